@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+
+/**
+ * nepalgeo - Nepal postal and location lookups from the command line
+ * Run `nepalgeo --help` for commands; see lib/cli.js
+ */
+
+const { run } = require('../lib/cli');
+
+run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
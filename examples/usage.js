@@ -16,7 +16,7 @@ console.log('2. Getting specific district:');
 const kathmandu = geo.getDistrict('Kathmandu');
 if (kathmandu) {
     console.log(`${kathmandu.name} has ${kathmandu.postOfficeCount} post offices`);
-    console.log(`Main post offices: ${kathmandu.postOffices.filter(po => po.type === 'G.P.O.' || po.type === 'D.P.O.').map(po => po.name).join(', ')}\n`);
+    console.log(`Main post offices: ${kathmandu.postOffices.filter(NepalGeoHelper.isMainOffice).map(po => po.name).join(', ')}\n`);
 }
 
 // Example 3: Get postal code information
@@ -79,7 +79,7 @@ busyDistricts.forEach((district, index) => {
 
 // Postal utilities
 const mainOffices = geo.postal.getMainPostOffices();
-console.log(`\nMain post offices (D.P.O./G.P.O.): ${mainOffices.length}`);
+console.log(`\nMain post offices (G.P.O., regional directorates, D.P.O.s): ${mainOffices.length}`);
 
 // Search utilities
 const suggestions = geo.search.getSuggestions('Kath');
@@ -2,44 +2,392 @@
 // Project: https://github.com/RohanPoudel2024/nepalgeohelper
 // Definitions by: Rohan Poudel <yitsmerohan@gmail.com>
 
+/// <reference types="node" />
+import { Readable } from 'stream';
+
+export interface Coordinates {
+    lat: number;
+    lng: number;
+    /** 'district' = district centre (districts only), 'local-level' = town centre of the local level, 'exact' = given with custom data */
+    precision: 'district' | 'local-level' | 'exact';
+}
+
 export interface District {
+    id: number | null;
+    cbsCode: string | null;
+    /** Official district name (one of the 77) */
     name: string;
+    /** Name in Devanagari, e.g. 'काठमाडौं' */
+    nepaliName: string | null;
+    /** Name used by the postal service, e.g. 'Kapilbastu' or 'Rukum' */
+    postalName: string;
+    province: string | null;
+    headquarters: string | null;
+    /** District centre */
+    coordinates: Coordinates | null;
     postOfficeCount: number;
     postOffices: PostOffice[];
 }
 
+export type OfficeTypeCode = 'G.P.O.' | 'E.R.P.D.' | 'W.R.P.D.' | 'M.W.R.P.D.' | 'F.W.R.P.D.' | 'D.P.O.' | 'A.P.O.';
+
+export interface OfficeType {
+    code: OfficeTypeCode;
+    /** e.g. 'District Post Office' */
+    name: string;
+    nepaliName: string;
+    /** 1 General Post Office, 2 regional directorate, 3 district post office, 4 area post office */
+    level: 1 | 2 | 3 | 4;
+    role: 'head' | 'regional' | 'district' | 'area';
+    /** Heads its district's postal service */
+    mainOffice: boolean;
+    /** Development region of a regional directorate */
+    region: string | null;
+    aliases: string[];
+}
+
 export interface PostOffice {
     name: string;
+    /** Name in Devanagari */
+    nepaliName: string | null;
     postalCode: string;
-    type: 'D.P.O.' | 'A.P.O.' | 'F.W.R.P.D.' | 'G.P.O.' | 'W.R.P.D.' | 'E.R.P.D.' | 'M.W.R.P.D.';
+    type: OfficeTypeCode;
+    /** Official district name */
+    district: string;
+    districtId: number | null;
+    /** District name as written in the postal data */
+    postalDistrict: string;
+    /** Town centre when known; null otherwise (never the district centre) */
+    coordinates: Coordinates | null;
+}
+
+export interface DistrictRegistryEntry {
+    id: number;
+    cbsCode: string;
+    name: string;
+    nepaliName: string;
+    postalName: string;
+    province: string;
+    headquarters: string;
+    coordinates: Coordinates | null;
+    aliases: string[];
+}
+
+export type LocalLevelType = 'Metropolitan City' | 'Sub-Metropolitan City' | 'Municipality' | 'Rural Municipality';
+
+export interface LocalLevel {
+    name: string;
+    type: LocalLevelType;
+    wards: number;
     district: string;
+    province: string;
+    /** Town centre when known; null otherwise (never the district centre) */
+    coordinates: Coordinates | null;
+}
+
+export interface LocalLevelOptions {
+    type?: LocalLevelType | string;
+}
+
+export interface LocalLevelStatistics {
+    totalLocalLevels: number;
+    totalWards: number;
+    byType: { [type: string]: number };
+}
+
+export interface AdminDistrict {
+    id: number;
+    cbsCode: string;
+    name: string;
+    nepaliName: string;
+    postalName: string;
+    headquarters: string;
+    coordinates: Coordinates | null;
+    aliases: string[];
+    province: string;
+    provinceNumber: number;
+    localLevelCount: number;
+    localLevels: LocalLevel[];
+}
+
+export interface Province {
+    number: number;
+    name: string;
+    officialName: string;
+    nepaliName: string;
+    capital: string;
+    aliases: string[];
+    districts: AdminDistrict[];
+}
+
+export interface ProvinceSummary {
+    number: number;
+    name: string;
+    officialName: string;
+    nepaliName: string;
+    capital: string;
+    districtCount: number;
+    localLevelCount: number;
+}
+
+export interface HierarchyProvince {
+    number: number;
+    name: string;
+    districts: {
+        name: string;
+        localLevels: { name: string; type: LocalLevelType; wards: number; coordinates: Coordinates | null }[];
+    }[];
 }
 
 export interface PostalInfo {
     postalCode: string;
     postOffice: string;
+    postOfficeNepali: string | null;
     district: string;
+    districtNepali: string | null;
+    postalDistrict: string;
     type: string;
+    /** e.g. 'Area Post Office' */
+    typeName: string | null;
+    typeNepali: string | null;
+    /** G.P.O., a regional directorate or a D.P.O. */
+    isMainOffice: boolean;
+    coordinates: Coordinates | null;
 }
 
 export interface Address {
+    tole?: string;
     district?: string;
     postOffice?: string;
     postalCode?: string;
     municipality?: string;
     ward?: number;
+    province?: string;
+    /** Pre-2015 zone, e.g. 'Bagmati Zone' (checked by the legacyNames rule) */
+    zone?: string;
+    /** Pre-2015 development region, e.g. 'Central' (also read from `region`) */
+    developmentRegion?: string;
+}
+
+export type AddressField = 'tole' | 'ward' | 'municipality' | 'postOffice' | 'district' | 'province' | 'postalCode';
+
+export interface ParsedAddress {
+    input: string;
+    address: Address;
+    confidence: { [field in AddressField]?: number };
+    inferred: AddressField[];
+    unparsed: string[];
+    warnings: string[];
+}
+
+export type ValidationIssueCode =
+    // Errors
+    | 'INVALID_ADDRESS'
+    | 'INVALID_DISTRICT'
+    | 'INVALID_PROVINCE'
+    | 'PROVINCE_DISTRICT_MISMATCH'
+    | 'INVALID_POSTAL_CODE'
+    | 'POSTAL_DISTRICT_MISMATCH'
+    | 'INVALID_POST_OFFICE'
+    | 'INVALID_MUNICIPALITY'
+    | 'MUNICIPALITY_DISTRICT_MISMATCH'
+    | 'INVALID_WARD'
+    // Warnings (or errors, depending on the validation profile)
+    | 'WARD_OUT_OF_RANGE'
+    | 'DISTRICT_MISSING'
+    | 'FIELD_MISSING'
+    | 'CORRECTION_WARNING'
+    | 'DEPRECATED_NAME'
+    | 'LEGACY_AREA_MISMATCH'
+    // Suggestions
+    | 'SIMILAR_DISTRICTS'
+    | 'POSTAL_CODE_DISTRICT'
+    | 'SIMILAR_POST_OFFICES'
+    | 'SIMILAR_MUNICIPALITIES'
+    // Suggestions from validatePostalCodeWithSuggestions
+    | 'POSTAL_CODE_DIGITS'
+    | 'POSTAL_CODE_LEADING_ZERO'
+    | 'POSTAL_CODE_EXTRA_DIGITS'
+    | 'SIMILAR_POSTAL_CODE';
+
+export declare class ValidationIssue {
+    constructor(code: ValidationIssueCode | string, field?: AddressField | 'municipality' | null, data?: Record<string, any>, message?: string | null);
+    /** One of ValidationIssueCode, or a custom rule's code */
+    code: ValidationIssueCode | string;
+    /** Address field the issue is about, null for the whole address */
+    field: AddressField | 'municipality' | null;
+    /** English message built from code and data */
+    message: string;
+    data: Record<string, any>;
+    toString(): string;
+}
+
+export declare const ISSUE_CODES: ValidationIssueCode[];
+
+/** 'en' and 'ne' are bundled; any locale registered with addCatalog works too */
+export type Locale = 'en' | 'ne' | (string & {});
+
+export interface LocaleOptions {
+    locale?: Locale;
+}
+
+export type Severity = 'error' | 'warning' | 'off';
+
+export type BuiltInRuleId =
+    | 'district'
+    | 'province'
+    | 'districtRequired'
+    | 'postalCode'
+    | 'postalDistrict'
+    | 'postOffice'
+    | 'municipality'
+    | 'ward'
+    | 'wardRange'
+    | 'legacyNames'
+    | 'municipalityRequired'
+    | 'wardRequired'
+    | 'toleRequired'
+    | 'postOfficeRequired'
+    | 'postalCodeRequired';
+
+export type ValidationProfileName = 'default' | 'strict' | 'lenient' | 'delivery' | 'kyc' | (string & {});
+
+export interface ValidationProfile {
+    /** Profile to start from */
+    extends?: ValidationProfileName;
+    rules?: Partial<Record<BuiltInRuleId | (string & {}), Severity>>;
+    completeness?: { weights?: Record<string, number>; threshold?: number };
+}
+
+export interface ValidateOptions extends LocaleOptions {
+    profile?: ValidationProfileName | ValidationProfile;
+    /** Severities for this call only */
+    rules?: Partial<Record<BuiltInRuleId | (string & {}), Severity>>;
+}
+
+export interface RuleContext {
+    geoData: any;
+    validator: LocationValidator;
+    options: ValidateOptions;
+    /** Shared by the rules of one validation */
+    state: Record<string, any>;
+    report(data?: Record<string, any>, overrides?: { code?: string; key?: string; field?: string }): void;
+    suggest(code: string, field: string | null, data?: Record<string, any>): void;
+    /** Localized field name, e.g. 'Postal code' */
+    label(field: string): string;
+}
+
+export interface ValidationRule {
+    id: string;
+    /** Issue code (default: the id in CONSTANT_CASE) */
+    code?: string;
+    field?: string | null;
+    severity?: Severity;
+    /** Message template for the code, or one per locale */
+    message?: MessageTemplate | Record<string, MessageTemplate>;
+    /** Return nothing when the address passes, false or issue data when it does not */
+    check(address: Address & Record<string, any>, context: RuleContext): void | undefined | null | true | false | Record<string, any>;
+}
+
+export interface RuleInfo {
+    id: string;
+    code: string;
+    field: string | null;
+    severity: Severity;
+    custom: boolean;
+}
+
+export declare class ValidationRules {
+    constructor(options?: { profile?: ValidationProfileName | ValidationProfile }, i18n?: I18n | null);
+    addRule(rule: ValidationRule): void;
+    removeRule(id: string): boolean;
+    setSeverity(id: string, severity: Severity): void;
+    addProfile(name: string, config?: ValidationProfile): void;
+    setProfile(profile: ValidationProfileName | ValidationProfile): void;
+    getProfiles(): string[];
+    getRules(options?: ValidateOptions): RuleInfo[];
+}
+
+/** Template with {placeholders}, or a function building the message */
+export type MessageTemplate = string | ((data: Record<string, any>, locale: string) => string);
+
+export interface CatalogOptions {
+    /** Locale to take missing messages from (default 'en') */
+    fallback?: Locale;
+    /** Write numbers in Devanagari digits */
+    digits?: 'latin' | 'devanagari';
+    name?: string;
+}
+
+export declare class I18n {
+    constructor(options?: LocaleOptions);
+    locale: string;
+    setLocale(locale: Locale): void;
+    getLocales(): string[];
+    addCatalog(locale: string, messages: Record<string, MessageTemplate>, options?: CatalogOptions): void;
+    setMessage(locale: Locale, key: string, message: MessageTemplate): void;
+    format(key: string, data?: Record<string, any>, locale?: Locale | null): string;
+}
+
+// Custom postal data (dataSource / overrides constructor options)
+export interface PostOfficeRecord {
+    district: string;
+    name: string;
+    postalCode: string;
+    type: string;
+    nepaliName?: string | null;
+    coordinates?: { lat: number; lng: number } | null;
+}
+
+export type DataSource =
+    | Array<PostOfficeRecord | Record<string, any>>
+    | { postal_data?: Array<Record<string, any>>; postOffices?: Array<PostOfficeRecord | Record<string, any>> }
+    | string
+    | ((bundled: PostOfficeRecord[]) => DataSource);
+
+export interface DataOverrides {
+    add?: PostOfficeRecord[];
+    update?: Array<Partial<PostOfficeRecord> & { postalCode: string }>;
+    remove?: Array<string | { postalCode: string }>;
+}
+
+export interface DataSourceProblem {
+    path: string;
+    message: string;
+}
+
+export declare class DataSourceError extends Error {
+    constructor(problems: DataSourceProblem[]);
+    problems: DataSourceProblem[];
+}
+
+export interface NepalGeoHelperOptions extends LocaleOptions {
+    profile?: ValidationProfileName;
+    dataSource?: DataSource;
+    overrides?: DataOverrides | string;
 }
 
 export interface ValidationResult {
     isValid: boolean;
-    errors: string[];
-    suggestions?: string[];
+    errors: ValidationIssue[];
+    warnings: ValidationIssue[];
+    suggestions: ValidationIssue[];
+    completeness: {
+        score: number;
+        percentage: string;
+        present: string[];
+        missing: string[];
+        isComplete: boolean;
+    };
+    recommendation: string[];
 }
 
 export interface Statistics {
     totalDistricts: number;
     totalPostOffices: number;
     averagePostOfficesPerDistrict: number;
+    totalLocalLevels: number;
+    totalWards: number;
 }
 
 export interface PackageInfo {
@@ -47,10 +395,103 @@ export interface PackageInfo {
     version: string;
     description: string;
     author: string;
-    lastUpdated: string;
+    /** Postal data version, e.g. '1.0.1' */
+    dataVersion: string | null;
+    /** When the postal data was last updated */
+    lastUpdated: string | null;
     dataStats: Statistics;
 }
 
+export interface DatasetInfo {
+    version: string | null;
+    source: string | null;
+    retrievedAt: string | null;
+    lastUpdated: string | null;
+    totalRecords: number;
+    /** 'sha256:<hex>' of the records */
+    checksum: string;
+    /** Whether the stored checksum matches the records (null if there is none) */
+    verified: boolean | null;
+}
+
+export interface DatasetOfficeSummary {
+    postalCode: string;
+    name: string;
+    district: string;
+    type: string;
+}
+
+export interface DatasetDiff {
+    from: DatasetInfo;
+    to: DatasetInfo;
+    added: DatasetOfficeSummary[];
+    removed: DatasetOfficeSummary[];
+    renamed: Array<{ postalCode: string; district: string; from: string; to: string }>;
+    postalCodeChanged: Array<{ name: string; district: string; from: string; to: string }>;
+    changed: Array<{ postalCode: string; name: string; changes: { district?: { from: string; to: string }; type?: { from: string; to: string } } }>;
+    summary: {
+        added: number;
+        removed: number;
+        renamed: number;
+        postalCodeChanged: number;
+        changed: number;
+        unchanged: number;
+        identical: boolean;
+    };
+}
+
+export type DatasetInput = Array<PostOfficeRecord | Record<string, any>> | { postal_data?: Array<Record<string, any>>; postOffices?: Array<Record<string, any>>; metadata?: Record<string, any> } | string;
+
+export declare function diffDatasets(oldData: DatasetInput, newData: DatasetInput): DatasetDiff;
+export declare function formatChangelog(diff: DatasetDiff, options?: { format?: 'text' | 'markdown' }): string;
+export declare function getDatasetInfo(data: DatasetInput): DatasetInfo;
+
+export type DatasetCheck =
+    | 'missingField'
+    | 'invalidPostalCode'
+    | 'duplicateCode'
+    | 'unknownType'
+    | 'unknownDistrict'
+    | 'prefixRange'
+    | 'districtSpelling'
+    | 'orphanDistrict'
+    | 'duplicateName'
+    | 'nameAnomaly';
+
+export interface DatasetIssue {
+    check: DatasetCheck;
+    severity: 'error' | 'warning';
+    message: string;
+    /** Record the issue was found at (the first one for issues about several records) */
+    index: number | null;
+    postalCode: string | null;
+    district: string | null;
+    /** The likely fix: office type, district name, or the district a code's prefix belongs to */
+    suggestion: string | null;
+}
+
+export interface DatasetValidationReport {
+    /** False when there are errors; warnings don't count */
+    valid: boolean;
+    errors: DatasetIssue[];
+    warnings: DatasetIssue[];
+    summary: {
+        records: number;
+        districts: number;
+        errors: number;
+        warnings: number;
+        byCheck: Record<DatasetCheck, number>;
+    };
+}
+
+export declare function validateDataset(data: DatasetInput, geoData?: any): DatasetValidationReport;
+
+/** Office type by code, variant ('A.P.O', 'DPO') or full name in either script */
+export declare function getOfficeType(type: string): OfficeType | null;
+/** Registry code for a type ('A.P.O' -> 'A.P.O.'), null if unknown */
+export declare function normalizeOfficeType(type: string): OfficeTypeCode | null;
+export declare function isMainOffice(postOffice: { type: string } | string): boolean;
+
 export interface DistrictWithPostalCount {
     name: string;
     postalCodeCount: number;
@@ -60,17 +501,51 @@ export interface DistrictWithPostalCount {
 export interface SearchResult {
     type: 'district' | 'postOffice';
     name: string;
+    /** Name in Devanagari */
+    nepaliName?: string | null;
     district?: string;
+    districtNepali?: string | null;
     postalCode?: string;
     relevance: number;
+    matchType?: 'exact' | 'exact_postal' | 'prefix' | 'contains' | 'postal_code' | 'fuzzy' | 'advanced_search' | 'legacy';
+    /** Set on 'legacy' matches: the old name the query was */
+    legacy?: { type: LegacyType; name: string; validUntil: string | null };
+}
+
+export interface SuggestionOptions {
+    limit?: number;
+    type?: 'all' | 'district' | 'postOffice';
+    /** Return { name, nepaliName, type } objects instead of plain strings */
+    detailed?: boolean;
+}
+
+export interface Suggestion {
+    name: string;
+    nepaliName: string | null;
+    type: 'district' | 'postOffice';
+}
+
+export type Country = 'India' | 'China';
+
+export interface DistrictPath {
+    /** Districts from start to destination, both included */
+    path: string[];
+    /** Number of borders crossed */
+    hops: number;
+}
+
+export interface DistrictWithHops {
+    name: string;
+    hops: number;
 }
 
 export interface DistrictAnalytics extends District {
-    province: string;
-    coordinates: { lat: number; lng: number } | null;
+    province: string | null;
+    coordinates: Coordinates | null;
     isCapital: boolean;
     populationCategory: string;
     borderDistricts: string[];
+    internationalBorders: Country[];
     rankings: {
         postOfficeCount: number;
         totalDistricts: number;
@@ -87,8 +562,10 @@ export interface PostalCodeValidation {
     postalCode: string;
     info?: PostalInfo;
     message?: string;
-    suggestions?: string[];
-    errors?: string[];
+    /** POSTAL_CODE_DIGITS, POSTAL_CODE_LEADING_ZERO, POSTAL_CODE_EXTRA_DIGITS or SIMILAR_POSTAL_CODE, with data.postalCode */
+    suggestions?: ValidationIssue[];
+    /** INVALID_POSTAL_CODE, with data.problem: 'missing' | 'notNumeric' | 'length' | 'notFound' */
+    errors?: ValidationIssue[];
 }
 
 export interface DistrictWithCoordinates extends District {
@@ -99,70 +576,467 @@ export interface DistrictWithCoordinates extends District {
     populationCategory?: string;
 }
 
+/** 'geojson', 'kml' and 'topojson' put each record at its coordinates (properties include district, province, postal code and office type) */
+export type ExportFormat = 'json' | 'csv' | 'geojson' | 'kml' | 'topojson' | 'ndjson' | 'yaml' | 'sql';
+
+export interface SqlExportOptions {
+    dialect?: 'postgres' | 'mysql' | 'sqlite';
+    /** Write CREATE TABLE IF NOT EXISTS statements (default true) */
+    createTables?: boolean;
+    /** Start with DROP TABLE IF EXISTS (default false) */
+    dropTables?: boolean;
+}
+
+/** A property name (dot paths work), or a column with its own header / computed value */
+export type CsvColumn = string | { key: string; header?: string; value?: (row: any) => any };
+
+export interface CsvOptions {
+    /** Which columns, in order (defaults to the exporter's columns) */
+    columns?: CsvColumn[];
+    /** Rename headers by column key */
+    headers?: { [key: string]: string };
+    /** Single character, default ',' */
+    delimiter?: string;
+    /** Default '\r\n' as in RFC 4180 */
+    lineEnding?: string;
+    /** Start with a UTF-8 byte order mark so Excel reads Devanagari correctly */
+    bom?: boolean;
+    /** Write the header row (default true) */
+    header?: boolean;
+}
+
 export declare class DistrictUtils {
     getAllDistricts(): District[];
     getDistrictByName(name: string): District | null;
+    getDistrictById(id: number): District | null;
+    getDistrictsByCbsCode(cbsCode: string | number): District[];
+    resolveDistrictName(name: string): string[];
+    getDistrictRegistry(): DistrictRegistryEntry[];
     getTotalDistricts(): number;
     getDistrictNames(): string[];
     searchDistricts(query: string): District[];
-    getDistrictsByProvince(): { [key: string]: District[] };
+    getDistrictsByProvince(): { [province: string]: District[] };
+    getProvince(districtName: string): Province | null;
+    getNeighboringDistricts(districtName: string): string[];
+    exportData(format: 'xlsx', options?: CsvOptions): Buffer;
+    exportData(format?: ExportFormat, options?: CsvOptions & SqlExportOptions & { geometry?: 'point' | 'boundary' }): string;
+    createExportStream(options?: CsvOptions): Readable;
+}
+
+export declare class ProvinceUtils {
+    getAllProvinces(): Province[];
+    getProvince(nameOrNumber: string | number): Province | null;
+    getProvinceNames(official?: boolean): string[];
+    getProvinceByDistrict(districtName: string): Province | null;
+    getDistrictNames(nameOrNumber: string | number): string[];
+    getDistrictsByProvince(): { [province: string]: District[] };
+    getProvinceSummaries(): ProvinceSummary[];
+    exists(nameOrNumber: string | number): boolean;
+}
+
+export type LegacyType = 'district' | 'province' | 'postalCode' | 'zone' | 'developmentRegion';
+
+export interface Zone {
+    id: number;
+    name: string;
+    officialName: string;
+    nepaliName: string;
+    /** Development region name, e.g. 'Central' */
+    region: string;
+    aliases: string[];
+    districts: string[];
+}
+
+export interface DevelopmentRegion {
+    id: number;
+    name: string;
+    officialName: string;
+    nepaliName: string;
+    headquarters: string;
+    aliases: string[];
+    zones: string[];
+}
+
+export interface HistoricalName {
+    type: 'district' | 'province' | 'postalCode';
+    name: string;
+    aliases?: string[];
+    current: string[];
+    validFrom?: string;
+    /** YYYY-MM-DD, or YYYY-MM where only the month is known */
+    validUntil: string;
+    note?: string;
+}
+
+export interface LegacyMatch {
+    type: LegacyType;
+    name: string;
+    input: string;
+    current: string[];
+    districts: string[];
+    provinces: string[];
+    validFrom: string | null;
+    validUntil: string | null;
+    note: string | null;
+}
+
+export declare class LegacyUtils {
+    getZones(): Zone[];
+    getZone(name: string): Zone | null;
+    getDevelopmentRegions(): DevelopmentRegion[];
+    getDevelopmentRegion(name: string): DevelopmentRegion | null;
+    getZoneByDistrict(district: string): Zone | null;
+    getDevelopmentRegionByDistrict(district: string): DevelopmentRegion | null;
+    getDistricts(zoneOrRegion: string): string[];
+    getHistoricalNames(type?: 'district' | 'province' | 'postalCode' | null): HistoricalName[];
+    addHistoricalName(entry: HistoricalName): void;
+    resolve(value: string, options?: { type?: LegacyType; postalCode?: string }): LegacyMatch | null;
 }
 
 export declare class PostalUtils {
     getPostalInfo(postalCode: string): PostalInfo | null;
     getPostOfficesByDistrict(district: string): PostOffice[];
+    getPostOfficesByType(type: string): PostOffice[];
+    getMainPostOffices(): PostOffice[];
     getTotalPostOffices(): number;
     getAveragePostOfficesPerDistrict(): number;
     searchPostalCodes(query: string): PostOffice[];
     getAllPostalCodes(): string[];
     isValidPostalCode(postalCode: string): boolean;
+    validatePostalCode(postalCode: string, options?: LocaleOptions): { isValid: boolean; error: string | null; postalCode?: string };
+    exportData(format: 'xlsx', options?: CsvOptions & { district?: string; type?: string }): Buffer;
+    /** The geospatial formats leave out offices without coordinates unless unlocated is true */
+    exportData(format?: ExportFormat, options?: CsvOptions & SqlExportOptions & { district?: string; type?: string; unlocated?: boolean }): string;
+    createExportStream(options?: CsvOptions & { district?: string; type?: string }): Readable;
 }
 
 export declare class LocationValidator {
-    validateAddress(address: Address): ValidationResult;
-    validateDistrict(district: string): boolean;
-    validatePostalCode(postalCode: string): boolean;
-    validatePostOffice(postOffice: string, district?: string): boolean;
+    validateAddress(address: Address, options?: ValidateOptions): ValidationResult;
+    rules: ValidationRules;
+    validateDistrict(district: string, options?: LocaleOptions): { isValid: boolean; error?: string; district?: District; suggestions: string[] };
+    validatePostalCode(postalCode: string, options?: LocaleOptions): { isValid: boolean; error: string | null; postalInfo?: PostalInfo | null };
+    validatePostOffice(postOffice: string, district?: string | null, options?: LocaleOptions): { isValid: boolean; error?: string; postOffice?: PostOffice; suggestions: string[] };
+    validateMunicipality(municipality: string, district?: string | null, options?: LocaleOptions): {
+        isValid: boolean;
+        code?: 'INVALID_MUNICIPALITY' | 'MUNICIPALITY_DISTRICT_MISMATCH';
+        /** Catalog key of the error message */
+        messageKey?: string;
+        error?: string;
+        district?: string | null;
+        localLevels: LocalLevel[];
+        suggestions: string[];
+    };
+}
+
+export type BulkFormat = 'csv' | 'json' | 'ndjson';
+
+export interface BulkValidateOptions extends ValidateOptions {
+    /** Address field -> column name, e.g. { district: 'District Name', postalCode: 'PIN' } */
+    columns?: Partial<Record<AddressField | 'municipality', string>> | null;
+    /** Normalize each address first and validate the corrected version */
+    correct?: boolean;
+    delimiter?: string;
+}
+
+export interface BulkValidateFileOptions extends BulkValidateOptions {
+    format?: BulkFormat;
+    /** Path for the annotated copy */
+    output?: string;
+    outputFormat?: BulkFormat;
+    /** Path for the JSON report */
+    report?: string;
+    /** Called with each row's result as it is validated; results are not kept in memory otherwise */
+    onResult?: (result: BulkValidationResult) => void;
+}
+
+export interface BulkValidationResult {
+    row: number;
+    record: Record<string, any>;
+    address: Address;
+    corrected: Address | null;
+    changes: AddressChange[];
+    isValid: boolean;
+    errorCodes: ValidationIssueCode[];
+    errors: ValidationIssue[];
+    warnings: ValidationIssue[];
+    suggestions: ValidationIssue[];
+}
+
+export interface BulkValidationReport {
+    total: number;
+    valid: number;
+    invalid: number;
+    corrected: number;
+    errorsByCode: Partial<Record<ValidationIssueCode, number>>;
+    byDistrict: Record<string, { total: number; valid: number; invalid: number }>;
+}
+
+export declare class BulkValidator {
+    constructor(geoData: any);
+    validateRecords(records: Iterable<Record<string, any>>, options?: BulkValidateOptions): { results: BulkValidationResult[]; report: BulkValidationReport };
+    validateFile(inputPath: string, options?: BulkValidateFileOptions): Promise<BulkValidationReport>;
+    validateRecord(record: Record<string, any>, row: number, options?: BulkValidateOptions): BulkValidationResult;
+    formatResults(results: BulkValidationResult[], format?: BulkFormat, options?: BulkValidateOptions): string;
+    formatReport(report: BulkValidationReport): string;
+    /** Annotated layout one piece at a time, for writing results as they come in */
+    createSerializer(format: BulkFormat, options?: BulkValidateOptions): {
+        start(first: BulkValidationResult | null): string;
+        row(result: BulkValidationResult, first: boolean): string;
+        end(): string;
+    };
+    getInputFormat(inputPath: string, format?: BulkFormat | 'jsonl' | null): BulkFormat;
+    getOutputFormat(outputPath: string, format: BulkFormat | null | undefined, inputFormat: BulkFormat): BulkFormat;
+}
+
+export declare class LocalLevelUtils {
+    getAllLocalLevels(options?: LocalLevelOptions): LocalLevel[];
+    getLocalLevelsByDistrict(district: string, options?: LocalLevelOptions): LocalLevel[];
+    findLocalLevels(name: string, district?: string | null): LocalLevel[];
+    getLocalLevel(name: string, district?: string | null): LocalLevel | null;
+    getWardCount(name: string, district?: string | null): number | null;
+    getWards(name: string, district?: string | null): number[];
+    isValidWard(name: string, ward: number, district?: string | null): boolean;
+    getLocalLevelTypes(): LocalLevelType[];
+    getHierarchy(): HierarchyProvince[];
+    getLocalLevelStatistics(): LocalLevelStatistics;
+}
+
+export declare class NepaliPhonetic {
+    constructor(aliases?: { [alias: string]: string });
+    addAlias(alias: string, name: string): void;
+    addAliases(aliases: { [alias: string]: string }): void;
+    removeAlias(alias: string): boolean;
+    getAliases(): { [alias: string]: string };
+    resolveAlias(text: string): string | null;
+    /** Phonetic key: names that sound the same share a key */
+    encode(text: string): string;
+    soundsLike(a: string, b: string): boolean;
+    /** 0-1 score combining spelling, sound and aliases */
+    similarity(input: string, name: string): number;
+}
+
+export interface NearestPostOfficeOptions {
+    limit?: number;
+    /** Only return post offices within this distance */
+    radiusKm?: number | null;
+    /** Search every district, not just the one the point lies in (default false) */
+    anyDistrict?: boolean;
+}
+
+export interface PostOfficeWithDistance extends PostOffice {
+    distanceKm: number;
+}
+
+export interface ReverseGeocodeResult {
+    lat: number;
+    lng: number;
+    province: string;
+    district: string;
+    /** Only set when the point is within a few km of a town centre we have coordinates for */
+    localLevel: { name: string; type: LocalLevelType } | null;
+    /** Nearest post office in the district */
+    postOffice: { name: string; postalCode: string; distanceKm: number } | null;
+    /** The same information as an Address, ready for formatAddress */
+    address: Address;
+    precision: 'district' | 'local-level';
+    /** Distance to the nearest known point (district centre or town centre) */
+    distanceKm: number;
+}
+
+export declare class DistrictGraph {
+    constructor(geoData: any);
+    getNeighbors(districtName: string): string[];
+    areNeighbors(a: string, b: string): boolean;
+    getShortestPath(from: string, to: string): DistrictPath | null;
+    getDistrictsWithinHops(districtName: string, maxHops?: number): DistrictWithHops[];
+    getInternationalBorders(districtName: string): Country[];
+    bordersIndia(districtName: string): boolean;
+    bordersChina(districtName: string): boolean;
+    getBorderDistricts(country: Country): string[];
+}
+
+export type BoundaryType = 'country' | 'province' | 'district' | 'localLevel';
+
+export interface BoundaryOptions {
+    format?: 'geojson' | 'topojson';
+    /** true for about 1 km, or a Douglas-Peucker tolerance in degrees */
+    simplify?: boolean | number;
+}
+
+export interface BoundaryFeature {
+    type: 'Feature';
+    properties: {
+        name: string;
+        type: BoundaryType;
+        nepaliName?: string | null;
+        /** False for the bundled shapes; true for shapes loaded with { approximate: true } */
+        approximate: boolean;
+        [key: string]: any;
+    };
+    geometry: {
+        type: 'Polygon' | 'MultiPolygon';
+        coordinates: number[][][] | number[][][][];
+    };
+}
+
+export interface BoundaryCollection {
+    type: 'FeatureCollection';
+    features: BoundaryFeature[];
+}
+
+export interface TopoJSONTopology {
+    type: 'Topology';
+    bbox?: number[];
+    objects: { [name: string]: { type: 'GeometryCollection'; geometries: any[] } };
+    arcs: number[][][];
+}
+
+export interface LocatedPoint {
+    lat: number;
+    lng: number;
+    province: Province | null;
+    /** Same object getDistrict returns */
+    district: District;
+    /** Only set when local level shapes have been loaded */
+    localLevel: LocalLevel | null;
+    approximate: boolean;
+}
+
+export declare class BoundaryUtils {
+    constructor(geoData: any);
+    getBoundary(name: string | number, options?: BoundaryOptions & { format?: 'geojson' }): BoundaryFeature | null;
+    getBoundary(name: string | number, options: BoundaryOptions & { format: 'topojson' }): TopoJSONTopology | null;
+    getBoundaries(type?: BoundaryType, options?: BoundaryOptions & { format?: 'geojson' }): BoundaryCollection;
+    getBoundaries(type: BoundaryType, options: BoundaryOptions & { format: 'topojson' }): TopoJSONTopology;
+    locatePoint(lat: number, lng: number): LocatedPoint | null;
+    loadBoundaries(featureCollection: { type: 'FeatureCollection'; features: any[] }, options?: { approximate?: boolean }): number;
+    isApproximate(): boolean;
+}
+
+export declare class GeoLocator {
+    constructor(geoData: any);
+    findNearestPostOffices(lat: number, lng: number, options?: NearestPostOfficeOptions): PostOfficeWithDistance[];
+    reverseGeocode(lat: number, lng: number): ReverseGeocodeResult | null;
+    getDistance(from: { lat: number; lng: number }, to: { lat: number; lng: number }): number | null;
+    isInNepalBounds(point: { lat: number; lng: number }): boolean;
+}
+
+export type AddressStyle = 'postal' | 'single-line' | 'nepali';
+
+export interface FormatAddressOptions {
+    style?: AddressStyle;
+    name?: string | null;
+    country?: boolean;
+    normalize?: boolean;
+}
+
+export interface AddressChange {
+    field: AddressField;
+    from: string | number | null;
+    to: string | number;
+    reason: 'casing' | 'alias' | 'spelling' | 'format' | 'inferred' | 'corrected';
+}
+
+export interface NormalizedAddress {
+    address: Address;
+    changes: AddressChange[];
+    warnings: string[];
+}
+
+export declare class AddressFormatter {
+    constructor(geoData: any);
+    normalizeAddress(address: Address | string): NormalizedAddress;
+    formatAddress(address: Address | string, options?: FormatAddressOptions): string;
+    getFormatStyles(): AddressStyle[];
+}
+
+export declare class AddressParser {
+    constructor(geoData: any);
+    parseAddress(text: string): ParsedAddress;
 }
 
 export declare class GeoSearch {
     searchByQuery(query: string): SearchResult[];
     searchDistricts(query: string): SearchResult[];
     searchPostOffices(query: string): SearchResult[];
+    getSuggestions(partialQuery: string, options?: SuggestionOptions & { detailed?: false }): string[];
+    getSuggestions(partialQuery: string, options: SuggestionOptions & { detailed: true }): Suggestion[];
+    exportResults(results: SearchResult[], format?: ExportFormat, options?: CsvOptions & { unlocated?: boolean }): string;
+    createExportStream(results: Iterable<SearchResult>, options?: CsvOptions): Readable;
 }
 
 export declare class NepalGeoHelper {
-    constructor();
+    constructor(options?: NepalGeoHelperOptions);
     
     geoData: any;
     districts: DistrictUtils;
     postal: PostalUtils;
     validator: LocationValidator;
     search: GeoSearch;
+    localLevels: LocalLevelUtils;
+    provinces: ProvinceUtils;
+    legacy: LegacyUtils;
+    phonetic: NepaliPhonetic;
+    parser: AddressParser;
+    formatter: AddressFormatter;
+    locator: GeoLocator;
+    graph: DistrictGraph;
+    boundaries: BoundaryUtils;
+    bulk: BulkValidator;
+    i18n: I18n;
+    rules: ValidationRules;
     
     // Main methods
     getDistricts(): District[];
     getDistrict(name: string): District | null;
     getPostalInfo(postalCode: string): PostalInfo | null;
     searchLocations(query: string): SearchResult[];
-    validateAddress(address: Address): ValidationResult;
+    validateAddress(address: Address, options?: ValidateOptions): ValidationResult;
+    validateFile(inputPath: string, options?: BulkValidateFileOptions): Promise<BulkValidationReport>;
+    parseAddress(text: string): ParsedAddress;
+    normalizeAddress(address: Address | string): NormalizedAddress;
+    formatAddress(address: Address | string, options?: FormatAddressOptions): string;
+    findNearestPostOffices(lat: number, lng: number, options?: NearestPostOfficeOptions): PostOfficeWithDistance[];
+    reverseGeocode(lat: number, lng: number): ReverseGeocodeResult | null;
+    getBoundary(name: string | number, options?: BoundaryOptions & { format?: 'geojson' }): BoundaryFeature | null;
+    getBoundary(name: string | number, options: BoundaryOptions & { format: 'topojson' }): TopoJSONTopology | null;
+    locatePoint(lat: number, lng: number): LocatedPoint | null;
     getStatistics(): Statistics;
+
+    // Local levels and wards
+    getLocalLevels(district?: string | null, options?: LocalLevelOptions): LocalLevel[];
+    getLocalLevel(name: string, district?: string | null): LocalLevel | null;
+    getWards(localLevelName: string, district?: string | null): number[];
+    getAdministrativeHierarchy(): HierarchyProvince[];
+
+    // Provinces
+    getProvinces(): Province[];
+    getProvince(nameOrNumber: string | number): Province | null;
+    getZones(): Zone[];
+    getDevelopmentRegions(): DevelopmentRegion[];
+    resolveLegacyName(value: string, options?: { type?: LegacyType; postalCode?: string }): LegacyMatch | null;
     
     // New utility methods
     getAllPostalCodes(): string[];
-    getDistrictsByProvince(): { [key: string]: District[] };
+    getOfficeTypes(): OfficeType[];
+    getOfficeType(type: string): OfficeType | null;
     isValidPostalCode(postalCode: string): boolean;
     getRandomDistrict(): District;
     getDistrictsWithPostalCounts(): DistrictWithPostalCount[];
     getPackageInfo(): PackageInfo;
+    getDatasetInfo(): DatasetInfo;
+    diffDatasets(oldData: DatasetInput, newData?: DatasetInput): DatasetDiff;
+    validateDataset(data?: DatasetInput): DatasetValidationReport;
 
     // Enhanced methods
     getDistrictsByProvince(): { [province: string]: District[] };
     getDistrictProvince(districtName: string): string | null;
     getMajorDistrictsWithCoordinates(): DistrictWithCoordinates[];
     getDistrictsByPopulation(category?: 'large' | 'medium' | 'small' | 'all'): District[] | DistrictWithCoordinates[];
-    validatePostalCodeWithSuggestions(postalCode: string): PostalCodeValidation;
+    validatePostalCodeWithSuggestions(postalCode: string, options?: LocaleOptions): PostalCodeValidation;
     getBorderingDistricts(districtName: string): District[];
+    getDistrictPath(from: string, to: string): DistrictPath | null;
+    getDistrictsWithinHops(districtName: string, maxHops?: number): DistrictWithHops[];
     getDistrictAnalytics(districtName: string): DistrictAnalytics | null;
 }
 
@@ -171,7 +1045,16 @@ export declare function getDistricts(): District[];
 export declare function getDistrict(name: string): District | null;
 export declare function getPostalInfo(code: string): PostalInfo | null;
 export declare function searchLocations(query: string): SearchResult[];
-export declare function validateAddress(address: Address): ValidationResult;
+export declare function validateAddress(address: Address, options?: ValidateOptions): ValidationResult;
+export declare function parseAddress(text: string): ParsedAddress;
+export declare function normalizeAddress(address: Address | string): NormalizedAddress;
+export declare function formatAddress(address: Address | string, options?: FormatAddressOptions): string;
+export declare function findNearestPostOffices(lat: number, lng: number, options?: NearestPostOfficeOptions): PostOfficeWithDistance[];
+export declare function reverseGeocode(lat: number, lng: number): ReverseGeocodeResult | null;
+export declare function getBoundary(name: string | number, options?: BoundaryOptions): BoundaryFeature | TopoJSONTopology | null;
+export declare function locatePoint(lat: number, lng: number): LocatedPoint | null;
+export declare function getProvinces(): Province[];
+export declare function getLocalLevels(district?: string | null, options?: LocalLevelOptions): LocalLevel[];
 
 declare const nepalgeohelper: NepalGeoHelper;
 export = nepalgeohelper;
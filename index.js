@@ -14,21 +14,63 @@ const DistrictUtils = require('./lib/district-utils');
 const PostalUtils = require('./lib/postal-utils');
 const LocationValidator = require('./lib/location-validator');
 const GeoSearch = require('./lib/geo-search');
+const LocalLevelUtils = require('./lib/local-level-utils');
+const ProvinceUtils = require('./lib/province-utils');
+const LegacyUtils = require('./lib/legacy-utils');
+const NepaliPhonetic = require('./lib/phonetic');
+const AddressParser = require('./lib/address-parser');
+const AddressFormatter = require('./lib/address-formatter');
+const GeoLocator = require('./lib/geo-locator');
+const DistrictGraph = require('./lib/district-graph');
+const BoundaryUtils = require('./lib/boundaries');
+const BulkValidator = require('./lib/bulk-validator');
+const { ValidationIssue, ISSUE_CODES } = require('./lib/validation-issues');
+const I18n = require('./lib/i18n');
+const ValidationRules = require('./lib/validation-rules');
+const { DataSourceError } = require('./lib/data-source');
+const { diffDatasets, formatChangelog, getDatasetInfo, validateDataset } = require('./lib/dataset');
+const { getOfficeTypes, getOfficeType, normalizeOfficeType, isMainOffice } = require('./lib/office-types');
 
 /**
  * Main class that brings together all the Nepal geographic utilities
  * Think of this as your one-stop shop for Nepal location data
  */
 class NepalGeoHelper {
-    constructor() {
+    /**
+     * @param {Object} options - {
+     *   locale: 'en' | 'ne' - language for validation messages (default 'en'),
+     *   profile: 'default' | 'strict' | 'lenient' | 'delivery' | 'kyc' - validation strictness (default 'default'),
+     *   dataSource: records, { postal_data }, 'offices.json' | 'offices.csv' or (bundledRecords) => records - replaces the bundled postal data,
+     *   overrides: { add, update, remove } or 'overrides.json' - changes applied on top of the postal data
+     * }
+     */
+    constructor(options = {}) {
         // Load all the Nepal geographic data
-        this.geoData = new NepalGeoData();
+        this.geoData = new NepalGeoData(options);
         
         // Set up utility classes that you can use
         this.districts = new DistrictUtils(this.geoData);
         this.postal = new PostalUtils(this.geoData);
         this.validator = new LocationValidator(this.geoData);
         this.search = new GeoSearch(this.geoData);
+        this.localLevels = new LocalLevelUtils(this.geoData);
+        this.provinces = new ProvinceUtils(this.geoData);
+        this.legacy = new LegacyUtils(this.geoData);
+        this.parser = new AddressParser(this.geoData);
+        this.formatter = new AddressFormatter(this.geoData);
+        this.locator = new GeoLocator(this.geoData);
+        this.graph = new DistrictGraph(this.geoData);
+        this.boundaries = new BoundaryUtils(this.geoData);
+        this.bulk = new BulkValidator(this.geoData);
+
+        // Romanization-aware matcher used by search and validation (add your own aliases here)
+        this.phonetic = this.geoData.phonetic;
+
+        // Message catalogs (add locales or override messages here)
+        this.i18n = this.geoData.i18n;
+
+        // Validation rules and profiles (add custom rules or change severities here)
+        this.rules = this.geoData.validationRules;
     }
 
     /**
@@ -66,19 +108,127 @@ class NepalGeoHelper {
     /**
      * Validate a Nepal address
      * Checks if districts exist, postal codes are valid, etc.
+     * Errors, warnings and suggestions come back as { code, field, message, data } objects
+     * Options: { locale: 'ne' } for Nepali messages, { profile: 'delivery' } or { rules: { ward: 'warning' } }
+     * for different strictness - on this call only
+     */
+    validateAddress(address, options = {}) {
+        return this.validator.validateAddress(address, options);
+    }
+
+    /**
+     * Validate a whole CSV, JSON or NDJSON address file (streamed, so big files are fine)
+     * Options: { columns, correct, output, report, ... } - see BulkValidator.validateFile
+     * Resolves to a report with error counts by code and by district
+     */
+    validateFile(inputPath, options = {}) {
+        return this.bulk.validateFile(inputPath, options);
+    }
+
+    /**
+     * Parse an address typed as one string
+     * Give it 'Baneshwor-10, Kathmandu 44600, Bagmati' and get back the fields plus a confidence for each
+     * The parsed address can go straight into validateAddress
+     */
+    parseAddress(text) {
+        return this.parser.parseAddress(text);
+    }
+
+    /**
+     * Fix up an address instead of just reporting what is wrong with it
+     * Corrects spelling and casing, fills the postal code or post office, and infers district and province
+     * Returns { address, changes, warnings } so you can show users what was changed
      */
-    validateAddress(address) {
-        return this.validator.validateAddress(address);
+    normalizeAddress(address) {
+        return this.formatter.normalizeAddress(address);
+    }
+
+    /**
+     * Format an address for an envelope or a single line of text
+     * Styles: 'postal' (Nepal Post label, the default), 'single-line' and 'nepali' (Devanagari)
+     */
+    formatAddress(address, options = {}) {
+        return this.formatter.formatAddress(address, options);
+    }
+
+    /**
+     * Find the post offices closest to a GPS position, nearest first
+     * Options: { limit: 5, radiusKm: null, anyDistrict: false } - each result has distanceKm; only the point's district is searched unless anyDistrict
+     */
+    findNearestPostOffices(lat, lng, options = {}) {
+        return this.locator.findNearestPostOffices(lat, lng, options);
+    }
+
+    /**
+     * Turn a GPS position into province, district, local level and nearest post office
+     * Returns null for points outside Nepal
+     */
+    reverseGeocode(lat, lng) {
+        return this.locator.reverseGeocode(lat, lng);
+    }
+
+    /**
+     * Get the boundary polygon of Nepal, a province or a district
+     * Options: { format: 'geojson' | 'topojson', simplify: true or a tolerance in degrees }
+     * The bundled shapes are simplified district polygons - load official ones with geo.boundaries.loadBoundaries()
+     */
+    getBoundary(name, options = {}) {
+        return this.boundaries.getBoundary(name, options);
+    }
+
+    /**
+     * Find the province and district a point falls in (point-in-polygon on the boundary shapes)
+     * Returns { province, district, ... } where district is the same object getDistrict returns, or null outside Nepal
+     */
+    locatePoint(lat, lng) {
+        return this.boundaries.locatePoint(lat, lng);
+    }
+
+    /**
+     * Get local levels (municipalities, rural municipalities, etc.)
+     * Pass a district to get just the ones inside it - perfect for cascading dropdowns
+     */
+    getLocalLevels(district = null, options = {}) {
+        return district
+            ? this.localLevels.getLocalLevelsByDistrict(district, options)
+            : this.localLevels.getAllLocalLevels(options);
+    }
+
+    /**
+     * Find a specific local level by name
+     * Pass the district too when the name is shared (e.g. 'Mahakali')
+     */
+    getLocalLevel(name, district = null) {
+        return this.localLevels.getLocalLevel(name, district);
+    }
+
+    /**
+     * Get the ward numbers of a local level
+     * e.g. getWards('Dhulikhel') returns [1, 2, ..., 12]
+     */
+    getWards(localLevelName, district = null) {
+        return this.localLevels.getWards(localLevelName, district);
+    }
+
+    /**
+     * Get the whole province -> district -> local level tree
+     */
+    getAdministrativeHierarchy() {
+        return this.localLevels.getHierarchy();
     }
 
     /**
      * Get some interesting stats about Nepal's postal system
      */
     getStatistics() {
+        const localLevelStats = this.localLevels.getLocalLevelStatistics();
+
         return {
             totalDistricts: this.districts.getTotalDistricts(),
             totalPostOffices: this.postal.getTotalPostOffices(),
-            averagePostOfficesPerDistrict: this.postal.getAveragePostOfficesPerDistrict()
+            averagePostOfficesPerDistrict: this.postal.getAveragePostOfficesPerDistrict(),
+            totalLocalLevels: localLevelStats.totalLocalLevels,
+            totalWards: localLevelStats.totalWards
         };
     }
 
@@ -91,86 +241,141 @@ class NepalGeoHelper {
     }
 
     /**
-     * Get districts by province/zone (useful for forms)
-     * Returns districts grouped by their administrative divisions
+     * Post office types ('G.P.O.', 'D.P.O.', 'A.P.O.', the regional directorates) with their full names and place
+     * in the postal hierarchy
      */
-    getDistrictsByProvince() {
-        const provinceMapping = {
-            'Province No. 1': ['Bhojpur', 'Dhankuta', 'Ilam', 'Jhapa', 'Khotang', 'Morang', 'Okhaldhunga', 'Panchthar', 'Sankhuwasabha', 'Solukhumbu', 'Sunsari', 'Taplejung', 'Terhathum', 'Udayapur'],
-            'Madhesh Province': ['Bara', 'Dhanusha', 'Mahottari', 'Parsa', 'Rautahat', 'Saptari', 'Sarlahi', 'Siraha'],
-            'Bagmati Province': ['Bhaktapur', 'Chitwan', 'Dhading', 'Dolakha', 'Kathmandu', 'Kavrepalanchok', 'Lalitpur', 'Makawanpur', 'Nuwakot', 'Ramechhap', 'Rasuwa', 'Sindhuli', 'Sindhupalchok'],
-            'Gandaki Province': ['Baglung', 'Gorkha', 'Kaski', 'Lamjung', 'Manang', 'Mustang', 'Myagdi', 'Nawalpur', 'Parbat', 'Syangja', 'Tanahun'],
-            'Lumbini Province': ['Arghakhanchi', 'Banke', 'Bardiya', 'Dang', 'Gulmi', 'Kapilvastu', 'Palpa', 'Parasi', 'Pyuthan', 'Rolpa', 'Rupandehi'],
-            'Karnali Province': ['Dailekh', 'Dolpa', 'Humla', 'Jajarkot', 'Jumla', 'Kalikot', 'Mugu', 'Rukum', 'Salyan', 'Surkhet'],
-            'Sudurpashchim Province': ['Achham', 'Baitadi', 'Bajhang', 'Bajura', 'Dadeldhura', 'Darchula', 'Doti', 'Kailali', 'Kanchanpur']
-        };
+    getOfficeTypes() {
+        return getOfficeTypes();
+    }
 
-        const result = {};
-        const allDistricts = this.getDistricts();
-        
-        Object.keys(provinceMapping).forEach(province => {
-            result[province] = [];
-            provinceMapping[province].forEach(districtName => {
-                const district = allDistricts.find(d => d.name === districtName);
-                if (district) {
-                    result[province].push(district);
-                }
-            });
-        });
+    /**
+     * What a post office type means: getOfficeType('D.P.O.').name === 'District Post Office'
+     * Variants and full names work too ('A.P.O', 'DPO', 'इलाका हुलाक कार्यालय')
+     */
+    getOfficeType(type) {
+        return getOfficeType(type);
+    }
 
-        return result;
+    /**
+     * Get districts grouped by province (useful for forms)
+     * Keys are official province names like 'Koshi Province' and 'Bagmati Province'
+     */
+    getDistrictsByProvince() {
+        return this.provinces.getDistrictsByProvince();
     }
 
     /**
      * Get province of a specific district
      * @param {string} districtName - Name of the district
-     * @returns {string|null} Province name or null if not found
+     * @returns {string|null} Official province name or null if not found
      */
     getDistrictProvince(districtName) {
-        const provinceData = this.getDistrictsByProvince();
-        for (const [province, districts] of Object.entries(provinceData)) {
-            if (districts.some(d => d.name.toLowerCase() === districtName.toLowerCase())) {
-                return province;
-            }
-        }
-        return null;
+        const province = this.provinces.getProvinceByDistrict(districtName);
+        return province ? province.officialName : null;
+    }
+
+    /**
+     * Get all 7 provinces with their capitals, Nepali names and districts
+     */
+    getProvinces() {
+        return this.provinces.getAllProvinces();
+    }
+
+    /**
+     * Find a province by name, number, old name ('Province No. 1') or Nepali name
+     */
+    getProvince(nameOrNumber) {
+        return this.provinces.getProvince(nameOrNumber);
+    }
+
+    /**
+     * Get the 14 pre-2015 zones with their districts
+     */
+    getZones() {
+        return this.legacy.getZones();
+    }
+
+    /**
+     * Get the 5 pre-2015 development regions
+     */
+    getDevelopmentRegions() {
+        return this.legacy.getDevelopmentRegions();
+    }
+
+    /**
+     * Map an old zone, region, district or province name to today's districts and provinces
+     * e.g. 'Bagmati Zone', 'Nawalparasi', 'Province No. 3'
+     */
+    resolveLegacyName(value, options = {}) {
+        return this.legacy.resolve(value, options);
     }
 
     /**
      * Get package version and info
+     * lastUpdated and dataVersion describe the postal data, not the code
      */
     getPackageInfo() {
+        const dataset = this.getDatasetInfo();
         return {
             name: 'nepalgeohelper',
             version: '1.2.0',
             description: 'Nepal geographic data utilities',
             author: 'Rohan Poudel',
-            lastUpdated: new Date().toISOString(),
+            dataVersion: dataset.version,
+            lastUpdated: dataset.lastUpdated,
             dataStats: this.getStatistics()
         };
     }
 
     /**
-     * Get major districts with approximate coordinates (useful for mapping)
-     * Returns districts with basic geographic coordinates
+     * Version, source, retrieval date and checksum of the postal data in use
+     */
+    getDatasetInfo() {
+        return this.geoData.getDatasetInfo();
+    }
+
+    /**
+     * See what changed between two postal datasets (e.g. before upgrading)
+     * @param {Array|Object|string} oldData - Records, { postal_data, metadata }, or a .json/.csv path
+     * @param {Array|Object|string} newData - Same forms; defaults to the data this helper uses
+     */
+    diffDatasets(oldData, newData = this.geoData.data) {
+        return diffDatasets(oldData, newData);
+    }
+
+    /**
+     * Check postal data for duplicate codes, unknown office types, codes outside their district's range,
+     * districts without post offices and odd names
+     * @param {Array|Object|string} data - Records, { postal_data, metadata }, or a .json/.csv path; defaults to the data this helper uses
+     * @returns {Object} { valid, errors, warnings, summary }
+     */
+    validateDataset(data = this.geoData.data) {
+        return validateDataset(data, this.geoData);
+    }
+
+    /**
+     * Get major districts with their coordinates (useful for mapping)
+     * lat/lng is the district centre; every district has a coordinates field if you need the rest
      */
     getMajorDistrictsWithCoordinates() {
         const majorDistricts = [
-            { name: 'Kathmandu', lat: 27.7172, lng: 85.3240, population: 'Large', isCapital: true },
-            { name: 'Lalitpur', lat: 27.6588, lng: 85.3247, population: 'Large', isCapital: false },
-            { name: 'Bhaktapur', lat: 27.6710, lng: 85.4298, population: 'Medium', isCapital: false },
-            { name: 'Pokhara', lat: 28.2096, lng: 83.9856, population: 'Large', isCapital: false },
-            { name: 'Chitwan', lat: 27.5291, lng: 84.3542, population: 'Large', isCapital: false },
-            { name: 'Jhapa', lat: 26.3469, lng: 87.9506, population: 'Large', isCapital: false },
-            { name: 'Morang', lat: 26.6890, lng: 87.2718, population: 'Large', isCapital: false },
-            { name: 'Sunsari', lat: 26.6341, lng: 87.1650, population: 'Medium', isCapital: false },
-            { name: 'Banke', lat: 28.1082, lng: 81.6187, population: 'Medium', isCapital: false },
-            { name: 'Kailali', lat: 28.7496, lng: 80.9814, population: 'Medium', isCapital: false }
+            { name: 'Kathmandu', population: 'Large', isCapital: true },
+            { name: 'Lalitpur', population: 'Large', isCapital: false },
+            { name: 'Bhaktapur', population: 'Medium', isCapital: false },
+            { name: 'Kaski', population: 'Large', isCapital: false },
+            { name: 'Chitwan', population: 'Large', isCapital: false },
+            { name: 'Jhapa', population: 'Large', isCapital: false },
+            { name: 'Morang', population: 'Large', isCapital: false },
+            { name: 'Sunsari', population: 'Medium', isCapital: false },
+            { name: 'Banke', population: 'Medium', isCapital: false },
+            { name: 'Kailali', population: 'Medium', isCapital: false }
         ];
 
-        return majorDistricts.map(coord => {
-            const district = this.getDistrict(coord.name);
-            return district ? { ...district, ...coord } : null;
+        return majorDistricts.map(entry => {
+            const district = this.getDistrict(entry.name);
+            return district && district.coordinates
+                ? { ...district, lat: district.coordinates.lat, lng: district.coordinates.lng, ...entry }
+                : null;
         }).filter(Boolean);
     }
 
@@ -211,40 +416,48 @@ class NepalGeoHelper {
 
     /**
      * Enhanced postal code validation with suggestions
+     * Errors are INVALID_POSTAL_CODE issues (data.problem says what is wrong: 'missing', 'notNumeric', 'length'
+     * or 'notFound'); suggestions are POSTAL_CODE_DIGITS, POSTAL_CODE_LEADING_ZERO, POSTAL_CODE_EXTRA_DIGITS or
+     * SIMILAR_POSTAL_CODE issues with the suggested code in data.postalCode
      * @param {string} postalCode - Postal code to validate
-     * @returns {Object} Detailed validation result with suggestions
+     * @param {Object} options - { locale } for the messages
+     * @returns {Object} { isValid, postalCode, info, message } or { isValid, postalCode, errors, suggestions }
      */
-    validatePostalCodeWithSuggestions(postalCode) {
+    validatePostalCodeWithSuggestions(postalCode, options = {}) {
         const isValid = this.postal.isValidPostalCode(postalCode);
         const result = { isValid, postalCode };
+        const message = (key, data) => this.i18n.format(key, data, options.locale);
+        const issue = (code, data, key = code) => new ValidationIssue(code, 'postalCode', data, message(key, data));
 
         if (isValid) {
             result.info = this.getPostalInfo(postalCode);
-            result.message = `Valid postal code for ${result.info.district}`;
+            result.message = message('POSTAL_CODE_VALID_FOR', { district: result.info.district });
         } else {
             result.suggestions = [];
             result.errors = [];
+            const invalid = (problem, key, data = {}) =>
+                result.errors.push(issue('INVALID_POSTAL_CODE', { value: postalCode, problem, ...data }, key));
 
             // Check common issues
             if (!postalCode || postalCode.trim() === '') {
-                result.errors.push('Postal code is required');
+                invalid('missing', 'POSTAL_CODE_MISSING');
             } else if (!/^\d+$/.test(postalCode)) {
-                result.errors.push('Postal code must contain only numbers');
+                invalid('notNumeric', 'POSTAL_CODE_NOT_NUMERIC');
                 // Try to extract numbers
                 const numbers = postalCode.replace(/\D/g, '');
                 if (numbers.length === 5) {
-                    result.suggestions.push(`Did you mean: ${numbers}?`);
+                    result.suggestions.push(issue('POSTAL_CODE_DIGITS', { postalCode: numbers }));
                 }
             } else if (postalCode.length !== 5) {
-                result.errors.push(`Postal code must be 5 digits (got ${postalCode.length})`);
+                invalid('length', 'POSTAL_CODE_LENGTH', { length: postalCode.length });
                 
                 if (postalCode.length === 4) {
-                    result.suggestions.push(`Try adding a leading zero: 0${postalCode}`);
+                    result.suggestions.push(issue('POSTAL_CODE_LEADING_ZERO', { postalCode: `0${postalCode}` }));
                 } else if (postalCode.length > 5) {
-                    result.suggestions.push(`Try removing extra digits: ${postalCode.substring(0, 5)}`);
+                    result.suggestions.push(issue('POSTAL_CODE_EXTRA_DIGITS', { postalCode: postalCode.substring(0, 5) }));
                 }
             } else {
-                result.errors.push('Postal code not found in Nepal');
+                invalid('notFound', 'POSTAL_CODE_NOT_FOUND');
                 
                 // Find similar postal codes
                 const allCodes = this.getAllPostalCodes();
@@ -256,7 +469,7 @@ class NepalGeoHelper {
                 if (similar.length > 0) {
                     result.suggestions = similar.map(code => {
                         const info = this.getPostalInfo(code);
-                        return `${code} (${info.district})`;
+                        return issue('SIMILAR_POSTAL_CODE', { postalCode: code, district: info.district });
                     });
                 }
             }
@@ -292,25 +505,26 @@ class NepalGeoHelper {
     /**
      * Get border districts of a given district
      * @param {string} districtName - Name of the district
-     * @returns {Array} Array of neighboring districts (approximation based on geography)
+     * @returns {Array} Array of neighboring districts
      */
     getBorderingDistricts(districtName) {
-        // Simplified bordering districts mapping for major districts
-        const borderMap = {
-            'Kathmandu': ['Lalitpur', 'Bhaktapur', 'Kavrepalanchok', 'Dhading', 'Nuwakot'],
-            'Lalitpur': ['Kathmandu', 'Bhaktapur', 'Kavrepalanchok', 'Makawanpur'],
-            'Bhaktapur': ['Kathmandu', 'Lalitpur', 'Kavrepalanchok'],
-            'Pokhara': ['Kaski', 'Syangja', 'Parbat', 'Baglung', 'Myagdi'],
-            'Chitwan': ['Makawanpur', 'Dhading', 'Gorkha', 'Tanahun', 'Nawalpur', 'Parsa'],
-            'Jhapa': ['Morang', 'Ilam'],
-            'Morang': ['Jhapa', 'Sunsari', 'Dhankuta'],
-            'Sunsari': ['Morang', 'Saptari', 'Udayapur', 'Dhankuta'],
-            'Banke': ['Bardiya', 'Dang', 'Salyan', 'Surkhet'],
-            'Kailali': ['Kanchanpur', 'Bardiya', 'Doti', 'Achham']
-        };
+        return this.graph.getNeighbors(districtName).map(name => this.getDistrict(name)).filter(Boolean);
+    }
 
-        const borders = borderMap[districtName] || [];
-        return borders.map(name => this.getDistrict(name)).filter(Boolean);
+    /**
+     * Shortest way from one district to another, counted in borders crossed
+     * Returns { path: ['Kathmandu', 'Dhading', 'Gorkha'], hops: 2 }
+     */
+    getDistrictPath(from, to) {
+        return this.graph.getShortestPath(from, to);
+    }
+
+    /**
+     * All districts within N borders of a district, e.g. a delivery zone
+     * Returns [{ name, hops }] nearest first
+     */
+    getDistrictsWithinHops(districtName, maxHops = 1) {
+        return this.graph.getDistrictsWithinHops(districtName, maxHops);
     }
 
     /**
@@ -334,10 +548,11 @@ class NepalGeoHelper {
         return {
             ...district,
             province,
-            coordinates: coords ? { lat: coords.lat, lng: coords.lng } : null,
+            coordinates: district.coordinates,
             isCapital: coords?.isCapital || false,
             populationCategory: coords?.population || 'small',
             borderDistricts: borders.map(d => d.name),
+            internationalBorders: this.graph.getInternationalBorders(districtName),
             rankings: {
                 postOfficeCount: postOfficeRank,
                 totalDistricts: allDistricts.length
@@ -389,6 +604,28 @@ module.exports.DistrictUtils = DistrictUtils;
 module.exports.PostalUtils = PostalUtils;
 module.exports.LocationValidator = LocationValidator;
 module.exports.GeoSearch = GeoSearch;
+module.exports.LocalLevelUtils = LocalLevelUtils;
+module.exports.ProvinceUtils = ProvinceUtils;
+module.exports.LegacyUtils = LegacyUtils;
+module.exports.NepaliPhonetic = NepaliPhonetic;
+module.exports.AddressParser = AddressParser;
+module.exports.AddressFormatter = AddressFormatter;
+module.exports.GeoLocator = GeoLocator;
+module.exports.DistrictGraph = DistrictGraph;
+module.exports.BoundaryUtils = BoundaryUtils;
+module.exports.BulkValidator = BulkValidator;
+module.exports.ValidationIssue = ValidationIssue;
+module.exports.ISSUE_CODES = ISSUE_CODES;
+module.exports.I18n = I18n;
+module.exports.ValidationRules = ValidationRules;
+module.exports.DataSourceError = DataSourceError;
+module.exports.diffDatasets = diffDatasets;
+module.exports.formatChangelog = formatChangelog;
+module.exports.getDatasetInfo = getDatasetInfo;
+module.exports.validateDataset = validateDataset;
+module.exports.getOfficeType = getOfficeType;
+module.exports.normalizeOfficeType = normalizeOfficeType;
+module.exports.isMainOffice = isMainOffice;
 
 // Quick access functions for simple use cases
 // These create a new instance each time, so use the class above for better performance
@@ -396,4 +633,13 @@ module.exports.getDistricts = () => new NepalGeoHelper().getDistricts();
 module.exports.getDistrict = (name) => new NepalGeoHelper().getDistrict(name);
 module.exports.getPostalInfo = (code) => new NepalGeoHelper().getPostalInfo(code);
 module.exports.searchLocations = (query) => new NepalGeoHelper().searchLocations(query);
-module.exports.validateAddress = (address) => new NepalGeoHelper().validateAddress(address);
+module.exports.validateAddress = (address, options) => new NepalGeoHelper().validateAddress(address, options);
+module.exports.parseAddress = (text) => new NepalGeoHelper().parseAddress(text);
+module.exports.normalizeAddress = (address) => new NepalGeoHelper().normalizeAddress(address);
+module.exports.formatAddress = (address, options) => new NepalGeoHelper().formatAddress(address, options);
+module.exports.findNearestPostOffices = (lat, lng, options) => new NepalGeoHelper().findNearestPostOffices(lat, lng, options);
+module.exports.reverseGeocode = (lat, lng) => new NepalGeoHelper().reverseGeocode(lat, lng);
+module.exports.getBoundary = (name, options) => new NepalGeoHelper().getBoundary(name, options);
+module.exports.locatePoint = (lat, lng) => new NepalGeoHelper().locatePoint(lat, lng);
+module.exports.getLocalLevels = (district, options) => new NepalGeoHelper().getLocalLevels(district, options);
+module.exports.getProvinces = () => new NepalGeoHelper().getProvinces();
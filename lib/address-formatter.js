@@ -0,0 +1,389 @@
+const AddressParser = require('./address-parser');
+const LocationValidator = require('./location-validator');
+const ProvinceUtils = require('./province-utils');
+const { normalizeDevanagari, toDevanagariDigits } = require('./devanagari');
+
+// How sure we need to be before silently fixing a misspelt name
+const AUTO_CORRECT_THRESHOLD = 0.75;
+
+const FORMAT_STYLES = ['postal', 'single-line', 'nepali'];
+
+/**
+ * Clean up addresses and print them the way Nepal Post expects
+ * normalizeAddress fixes spelling, casing and missing fields; formatAddress turns the result into a label
+ */
+class AddressFormatter {
+    constructor(geoData) {
+        this.geoData = geoData;
+        this.parser = new AddressParser(geoData);
+        this.validator = new LocationValidator(geoData);
+        this.provinces = new ProvinceUtils(geoData);
+    }
+
+    /**
+     * Return a corrected copy of an address
+     * - district, municipality and post office get their official spelling ('kabhre' -> 'Kavrepalanchok')
+     * - misspelt names are fixed when there is a clear best match ('Kathmadu' -> 'Kathmandu')
+     * - postal code is filled from the post office and the post office from the postal code
+     * - district and province are inferred when missing
+     * Nothing is guessed when the input is ambiguous; those cases end up in warnings instead
+     * @param {Object|string} address - Address object, or a string to parse first
+     * @returns {Object} { address, changes: [{ field, from, to, reason }], warnings }
+     */
+    normalizeAddress(address) {
+        const result = { address: {}, changes: [], warnings: [] };
+
+        if (typeof address === 'string') {
+            const parsed = this.parser.parseAddress(address);
+            address = parsed.address;
+            result.warnings.push(...parsed.warnings);
+        }
+
+        if (!address || typeof address !== 'object') {
+            result.warnings.push('Address must be a valid object or string');
+            return result;
+        }
+
+        const normalized = {};
+        Object.keys(address).forEach(field => {
+            const value = address[field];
+            if (value !== undefined && value !== null && value !== '') {
+                normalized[field] = typeof value === 'string' ? normalizeDevanagari(value) : value;
+            }
+        });
+        result.address = normalized;
+
+        this.normalizeWard(result);
+        this.normalizeDistrict(result);
+        this.normalizeMunicipality(result);
+        this.normalizePostOffice(result);
+        this.fillPostalFields(result);
+        this.fillDistrictAndProvince(result);
+
+        return result;
+    }
+
+    /**
+     * Format an address as a label
+     * - 'postal' (default): Nepal Post label, one line per level, NEPAL last
+     * - 'single-line': everything on one line, comma separated
+     * - 'nepali': the postal layout in Devanagari with Nepali digits
+     * The address is normalized first, so misspellings and missing postal codes are fixed on the label
+     * @param {Object|string} address - Address object or string
+     * @param {Object} options - { style, name, country, normalize }
+     * @returns {string} Formatted address
+     */
+    formatAddress(address, options = {}) {
+        const {
+            style = 'postal',
+            name = null,
+            country = true,
+            normalize = true
+        } = options;
+
+        if (!FORMAT_STYLES.includes(style)) {
+            throw new Error(`Unsupported address style: ${style}. Use one of: ${FORMAT_STYLES.join(', ')}`);
+        }
+
+        const fields = normalize ? this.normalizeAddress(address).address : (address || {});
+        const lines = style === 'nepali'
+            ? this.buildNepaliLines(fields, name, country)
+            : this.buildLines(fields, name, country);
+
+        if (style === 'single-line') {
+            // Only a label shouts the country; inline addresses use normal casing
+            return lines.map(line => (line === 'NEPAL' ? 'Nepal' : line)).join(', ');
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Get the supported format styles
+     * @returns {Array<string>} Style names
+     */
+    getFormatStyles() {
+        return FORMAT_STYLES.slice();
+    }
+
+    /**
+     * Label lines in English:
+     *   Name
+     *   Tole, Municipality-Ward
+     *   Post Office Postal Code
+     *   District, Province
+     *   NEPAL
+     * @private
+     */
+    buildLines(address, name, country) {
+        const province = address.province ? this.provinces.getProvince(address.province) : null;
+        const locality = [address.tole, this.joinWard(address.municipality, address.ward)].filter(Boolean).join(', ');
+
+        return [
+            name,
+            locality,
+            [address.postOffice, address.postalCode].filter(Boolean).join(' '),
+            [address.district, province ? province.officialName : address.province].filter(Boolean).join(', '),
+            country ? 'NEPAL' : null
+        ].filter(Boolean);
+    }
+
+    /**
+     * Label lines in Devanagari, same layout as buildLines
+     * Names without a Devanagari spelling in the dataset (toles, most local levels) stay as written
+     * @private
+     */
+    buildNepaliLines(address, name, country) {
+        const district = address.district ? this.geoData.getDistrictByName(address.district) : null;
+        const postOffice = address.postalCode ? this.geoData.getPostOfficeByCode(address.postalCode) : null;
+        const province = address.province ? this.provinces.getProvince(address.province) : null;
+
+        const ward = address.ward !== undefined ? `वडा नं. ${toDevanagariDigits(address.ward)}` : null;
+        const municipality = address.municipality ? this.toNepaliName(address.municipality) : null;
+        const locality = [address.tole, [municipality, ward].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+
+        const postOfficeName = postOffice && postOffice.nepaliName
+            ? postOffice.nepaliName
+            : address.postOffice ? this.toNepaliName(address.postOffice) : null;
+
+        return [
+            name,
+            locality,
+            [postOfficeName, address.postalCode ? toDevanagariDigits(address.postalCode) : null].filter(Boolean).join(' '),
+            [
+                district && district.nepaliName ? district.nepaliName : address.district,
+                province ? province.nepaliName : address.province
+            ].filter(Boolean).join(', '),
+            country ? 'नेपाल' : null
+        ].filter(Boolean);
+    }
+
+    /**
+     * Reuse the Devanagari spelling of a district or post office with the same name
+     * ('Kathmandu' municipality -> 'काठमाडौं'); otherwise keep the name as it is
+     * @private
+     */
+    toNepaliName(name) {
+        const district = this.geoData.getDistrictByName(name);
+        if (district && district.name.toLowerCase() === name.toLowerCase() && district.nepaliName) {
+            return district.nepaliName;
+        }
+
+        const postOffice = this.geoData.getPostOfficesByName(name).find(po => po.nepaliName);
+        return postOffice ? postOffice.nepaliName : name;
+    }
+
+    /**
+     * 'Dhulikhel' + 7 -> 'Dhulikhel-7', the usual way wards are written
+     * @private
+     */
+    joinWard(municipality, ward) {
+        if (ward === undefined || ward === null) {
+            return municipality || null;
+        }
+        return municipality ? `${municipality}-${ward}` : `Ward No. ${ward}`;
+    }
+
+    /**
+     * Turn '10' or '१०' into 10
+     * @private
+     */
+    normalizeWard(result) {
+        const { address } = result;
+        if (address.ward === undefined || typeof address.ward === 'number') {
+            return;
+        }
+
+        const ward = parseInt(String(address.ward).replace(/\D/g, ''), 10);
+        if (Number.isInteger(ward)) {
+            this.change(result, 'ward', ward, 'format');
+        } else {
+            result.warnings.push(`Ward '${address.ward}' is not a number`);
+            delete address.ward;
+        }
+    }
+
+    /**
+     * Official district name, correcting aliases, casing and clear misspellings
+     * @private
+     */
+    normalizeDistrict(result) {
+        const { address } = result;
+        if (!address.district) {
+            return;
+        }
+
+        const district = this.geoData.getAdminDistrictByName(address.district);
+        if (district) {
+            this.change(result, 'district', district.name, district.name.toLowerCase() === address.district.toLowerCase() ? 'casing' : 'alias');
+            return;
+        }
+
+        // 'Rukum' and 'Nawalparasi' were split in 2015; the postal code tells which half is meant
+        const halves = this.geoData.resolveDistrictName(address.district);
+        if (halves.length > 1) {
+            const postOffice = address.postalCode ? this.geoData.getPostOfficeByCode(String(address.postalCode).replace(/\s/g, '')) : null;
+            if (postOffice && halves.includes(postOffice.district)) {
+                this.change(result, 'district', postOffice.district, 'alias');
+            } else {
+                result.warnings.push(`District '${address.district}' is ambiguous (${halves.join(' or ')}); add the postal code or the full name`);
+            }
+            return;
+        }
+
+        const [suggestion] = this.validator.findSimilarDistricts(address.district);
+        if (suggestion && this.geoData.phonetic.similarity(address.district, suggestion) >= AUTO_CORRECT_THRESHOLD) {
+            this.change(result, 'district', suggestion, 'spelling');
+        } else {
+            result.warnings.push(`District '${address.district}' not recognized`);
+        }
+    }
+
+    /**
+     * Official local level name, within the district when we know it
+     * @private
+     */
+    normalizeMunicipality(result) {
+        const { address } = result;
+        if (!address.municipality) {
+            return;
+        }
+
+        const localLevels = this.validator.localLevels;
+        const matches = localLevels.findLocalLevels(address.municipality, address.district || null);
+        if (matches.length > 0) {
+            this.change(result, 'municipality', matches[0].name, 'casing');
+            return;
+        }
+
+        const candidates = address.district
+            ? localLevels.getLocalLevelsByDistrict(address.district)
+            : this.geoData.getAllLocalLevels();
+        const input = localLevels.normalizeName(address.municipality);
+        const best = candidates
+            .map(localLevel => ({ localLevel, similarity: this.geoData.phonetic.similarity(input, localLevel.name) }))
+            .sort((a, b) => b.similarity - a.similarity)[0];
+
+        if (best && best.similarity >= AUTO_CORRECT_THRESHOLD) {
+            this.change(result, 'municipality', best.localLevel.name, 'spelling');
+        } else {
+            result.warnings.push(`Municipality '${address.municipality}' not recognized`);
+        }
+    }
+
+    /**
+     * Official post office name, within the district when we know it
+     * @private
+     */
+    normalizePostOffice(result) {
+        const { address } = result;
+        if (!address.postOffice) {
+            return;
+        }
+
+        const inDistrict = po => !address.district || this.geoData.districtMatches(address.district, po.district);
+        const exact = this.geoData.getPostOfficesByName(address.postOffice).find(inDistrict);
+        if (exact) {
+            this.change(result, 'postOffice', exact.name, 'casing');
+            return;
+        }
+
+        const candidates = this.geoData.getAllPostOffices().filter(inDistrict);
+        const [best] = this.validator.findSimilarPostOffices(address.postOffice, candidates);
+        if (best && best.similarity >= AUTO_CORRECT_THRESHOLD) {
+            this.change(result, 'postOffice', best.name, 'spelling');
+        } else {
+            result.warnings.push(`Post office '${address.postOffice}' not recognized`);
+        }
+    }
+
+    /**
+     * Fill the postal code from the post office and the other way round
+     * @private
+     */
+    fillPostalFields(result) {
+        const { address } = result;
+
+        if (address.postalCode) {
+            const code = String(address.postalCode).replace(/\s/g, '');
+            this.change(result, 'postalCode', code, 'format');
+
+            const postOffice = this.geoData.getPostOfficeByCode(code);
+            if (!postOffice) {
+                result.warnings.push(`Postal code ${code} does not exist in Nepal`);
+            } else if (address.district && !this.geoData.districtMatches(address.district, postOffice.district)) {
+                // Don't fill the post office from a code that contradicts the district
+                result.warnings.push(`Postal code ${code} belongs to ${postOffice.district}, not ${address.district}`);
+            } else if (!address.postOffice) {
+                this.change(result, 'postOffice', postOffice.name, 'inferred');
+            } else if (postOffice.name !== address.postOffice) {
+                result.warnings.push(`Postal code ${code} belongs to ${postOffice.name}, not ${address.postOffice}`);
+            }
+            return;
+        }
+
+        if (address.postOffice) {
+            const postOffices = this.geoData.getPostOfficesByName(address.postOffice)
+                .filter(po => !address.district || this.geoData.districtMatches(address.district, po.district));
+            if (postOffices.length === 1) {
+                this.change(result, 'postalCode', postOffices[0].postalCode, 'inferred');
+            } else if (postOffices.length > 1) {
+                result.warnings.push(`Post office ${address.postOffice} exists in several districts; add the district to fill the postal code`);
+            }
+        }
+    }
+
+    /**
+     * Infer the district (from postal code or municipality) and always set the right province
+     * @private
+     */
+    fillDistrictAndProvince(result) {
+        const { address } = result;
+
+        if (!address.district) {
+            const postOffice = address.postalCode ? this.geoData.getPostOfficeByCode(address.postalCode) : null;
+            const localLevels = address.municipality ? this.validator.localLevels.findLocalLevels(address.municipality) : [];
+
+            if (postOffice) {
+                this.change(result, 'district', postOffice.district, 'inferred');
+            } else if (localLevels.length === 1) {
+                this.change(result, 'district', localLevels[0].district, 'inferred');
+            }
+        }
+
+        if (!address.district) {
+            return;
+        }
+
+        const province = this.provinces.getProvinceByDistrict(address.district);
+        if (!province) {
+            return;
+        }
+
+        if (!address.province) {
+            this.change(result, 'province', province.name, 'inferred');
+        } else {
+            const given = this.provinces.getProvince(address.province);
+            if (given && given.number !== province.number) {
+                result.warnings.push(`${address.district} is in ${province.name}, not ${given.name}`);
+            }
+            this.change(result, 'province', province.name, given && given.number === province.number ? 'alias' : 'corrected');
+        }
+    }
+
+    /**
+     * Set a field and record the change when the value actually differs
+     * @private
+     */
+    change(result, field, value, reason) {
+        const from = result.address[field];
+        if (from === value) {
+            return;
+        }
+
+        result.address[field] = value;
+        result.changes.push({ field, from: from === undefined ? null : from, to: value, reason });
+    }
+}
+
+module.exports = AddressFormatter;
+module.exports.FORMAT_STYLES = FORMAT_STYLES;
@@ -0,0 +1,423 @@
+const ProvinceUtils = require('./province-utils');
+const LocalLevelUtils = require('./local-level-utils');
+const { containsDevanagari, normalizeDevanagari, toRoman } = require('./devanagari');
+
+// Words that announce a ward number: 'Ward 10', 'Ward No. 10', 'Wada 10', 'वडा नं. १०'
+const WARD_MARKERS = ['ward', 'wada', 'wd', 'no', 'no.', 'number', 'वडा', 'नं', 'नं.', 'नम्बर'];
+
+// Parsed fields, smallest to biggest
+const ADDRESS_FIELDS = ['tole', 'ward', 'municipality', 'postOffice', 'district', 'province', 'postalCode'];
+
+// Words that add nothing once we know what a part is
+const NOISE_WORDS = ['nepal', 'नेपाल', 'district', 'jilla', 'zilla', 'जिल्ला'];
+
+/**
+ * Parse free-text Nepali addresses into structured fields
+ * "Baneshwor-10, Kathmandu 44600, Bagmati" -> { tole, ward, district, postalCode, province, ... }
+ * Every field comes with a confidence between 0 and 1 so you can decide what to trust
+ */
+class AddressParser {
+    constructor(geoData) {
+        this.geoData = geoData;
+        this.provinces = new ProvinceUtils(geoData);
+        this.localLevels = new LocalLevelUtils(geoData);
+    }
+
+    /**
+     * Parse an address written as a single string
+     * Handles commas or plain spaces between parts, 'X-10' / 'Ward 10' / 'वडा नं. १०' for wards,
+     * Nepali digits, district aliases and fills in what can be inferred (province from district, etc.)
+     * @param {string} text - Address as typed, e.g. 'Pokhara-8, Kaski'
+     * @returns {Object} { input, address, confidence, inferred, unparsed, warnings }
+     */
+    parseAddress(text) {
+        const result = {
+            input: text,
+            address: {},
+            confidence: {},
+            inferred: [],
+            unparsed: [],
+            warnings: []
+        };
+
+        if (!text || typeof text !== 'string' || !text.trim()) {
+            result.warnings.push('Address text must be a non-empty string');
+            return result;
+        }
+
+        let working = normalizeDevanagari(text);
+
+        // Postal code first, so its digits are never mistaken for a ward
+        const postalMatch = working.match(/(?:^|\D)(\d{5})(?!\d)/);
+        if (postalMatch) {
+            const postalCode = postalMatch[1];
+            const exists = Boolean(this.geoData.getPostOfficeByCode(postalCode));
+            this.setField(result, 'postalCode', postalCode, exists ? 1 : 0.5);
+            if (!exists) {
+                result.warnings.push(`Postal code ${postalCode} does not exist in Nepal`);
+            }
+            working = working.replace(postalCode, ' ');
+        }
+
+        const pieces = this.splitPieces(working);
+        this.assignFields(result, pieces);
+        this.inferFields(result);
+
+        return result;
+    }
+
+    /**
+     * Split the text into pieces, each classified against the provinces, districts,
+     * local levels and post offices it could be
+     * @private
+     */
+    splitPieces(text) {
+        const pieces = [];
+
+        text.split(/[,;|\n]+/).map(segment => segment.trim()).filter(Boolean).forEach(segment => {
+            // Whole segment first: 'Province No. 3' or 'Kavrepalanchok District' shouldn't be split up
+            const whole = this.classify(segment);
+            if (whole.province || whole.district) {
+                pieces.push({ text: segment, ward: null, matches: whole });
+                return;
+            }
+
+            this.splitWards(segment).forEach(group => {
+                const groupPieces = this.splitByNames(group.words);
+                if (group.ward !== null && groupPieces.length > 0) {
+                    groupPieces[groupPieces.length - 1].ward = group.ward;
+                } else if (group.ward !== null) {
+                    groupPieces.push({ text: '', ward: group.ward, matches: this.classify('') });
+                }
+                pieces.push(...groupPieces);
+            });
+        });
+
+        return pieces;
+    }
+
+    /**
+     * Break a segment at ward numbers: 'Tinkune Kathmandu-32 Bagmati' ->
+     * [{ words: ['Tinkune', 'Kathmandu'], ward: 32 }, { words: ['Bagmati'], ward: null }]
+     * @private
+     */
+    splitWards(segment) {
+        const tokens = segment.replace(/-\s*(\d{1,2})(?!\d)/g, ' $1').split(/\s+/).filter(Boolean);
+        const groups = [];
+        let words = [];
+
+        tokens.forEach(token => {
+            if (/^\d{1,2}$/.test(token)) {
+                groups.push({ words, ward: parseInt(token, 10) });
+                words = [];
+            } else if (!WARD_MARKERS.includes(token.toLowerCase())) {
+                words.push(token);
+            }
+        });
+
+        if (words.length > 0) {
+            groups.push({ words, ward: null });
+        }
+
+        return groups;
+    }
+
+    /**
+     * Split words into known names, longest match from the right
+     * 'New Baneshwor Kathmandu Bagmati' -> ['New Baneshwor', 'Kathmandu', 'Bagmati']
+     * @private
+     */
+    splitByNames(words) {
+        const pieces = [];
+        let unknown = [];
+        let end = words.length;
+
+        const flushUnknown = () => {
+            if (unknown.length > 0) {
+                const text = unknown.join(' ');
+                pieces.unshift({ text, ward: null, matches: this.classify(text) });
+                unknown = [];
+            }
+        };
+
+        while (end > 0) {
+            let start = 0;
+            let matches = null;
+
+            for (; start < end; start++) {
+                const candidate = this.classify(words.slice(start, end).join(' '));
+                if (candidate.province || candidate.district || candidate.localLevels.length || candidate.postOffices.length) {
+                    matches = candidate;
+                    break;
+                }
+            }
+
+            if (matches) {
+                flushUnknown();
+                pieces.unshift({ text: words.slice(start, end).join(' '), ward: null, matches });
+                end = start;
+            } else {
+                unknown.unshift(words[end - 1]);
+                end--;
+            }
+        }
+
+        flushUnknown();
+        return pieces.filter(piece => piece.text && !NOISE_WORDS.includes(piece.text.toLowerCase()));
+    }
+
+    /**
+     * Everything a piece of text could be
+     * @private
+     */
+    classify(text) {
+        const cleaned = text
+            .replace(/\s+(district|jilla|zilla|जिल्ला)$/i, '')
+            .trim();
+
+        if (!cleaned) {
+            return { province: null, district: null, localLevels: [], postOffices: [] };
+        }
+
+        const district = this.geoData.getAdminDistrictByName(cleaned);
+        const postOffices = this.geoData.getPostOfficesByName(cleaned);
+        const localLevels = containsDevanagari(cleaned)
+            ? this.findNepaliLocalLevels(cleaned, district, postOffices)
+            : this.localLevels.findLocalLevels(cleaned);
+
+        return {
+            province: this.provinces.getProvince(cleaned),
+            district,
+            localLevels,
+            postOffices
+        };
+    }
+
+    /**
+     * Local levels only have English names, so a Devanagari one ('काठमाडौं-१०', 'पोखरा-८') is found
+     * through the district or post office of the same name, or else by how its romanization sounds
+     * @private
+     */
+    findNepaliLocalLevels(text, district, postOffices) {
+        const names = [district ? district.name : null, ...postOffices.map(po => po.name)].filter(Boolean);
+        const byName = [...new Set(names)].reduce((found, name) => found.concat(this.localLevels.findLocalLevels(name)), []);
+        if (byName.length > 0) {
+            return byName;
+        }
+
+        const phonetic = this.geoData.phonetic;
+        const key = phonetic.encode(toRoman(text));
+        return key ? this.geoData.getAllLocalLevels().filter(localLevel => phonetic.encode(localLevel.name) === key) : [];
+    }
+
+    /**
+     * Decide which piece is which field
+     * Nepali addresses run from small to big (tole, municipality-ward, district, province),
+     * so districts and provinces are taken from the right and toles from the left
+     * @private
+     */
+    assignFields(result, pieces) {
+        const unused = () => pieces.filter(piece => !piece.used);
+        const fromRight = list => list.slice().reverse();
+
+        // Province
+        const provincePiece = fromRight(unused()).find(piece => piece.matches.province && piece.ward === null);
+        if (provincePiece) {
+            provincePiece.used = true;
+            this.setField(result, 'province', provincePiece.matches.province.name, 1);
+        }
+
+        // District - a piece carrying a ward is a municipality, even if it is named like a district
+        const districtPiece = fromRight(unused()).find(piece => piece.matches.district && piece.ward === null);
+        if (districtPiece) {
+            districtPiece.used = true;
+            this.setField(result, 'district', districtPiece.matches.district.name, 1);
+        } else {
+            const fuzzy = this.findFuzzyDistrict(fromRight(unused()).filter(piece =>
+                piece.ward === null && !piece.matches.localLevels.length && !piece.matches.postOffices.length
+            ));
+            if (fuzzy) {
+                fuzzy.piece.used = true;
+                this.setField(result, 'district', fuzzy.district.name, fuzzy.similarity);
+                result.warnings.push(`Read '${fuzzy.piece.text}' as district ${fuzzy.district.name}`);
+            }
+        }
+
+        // Municipality - prefer the piece that carries the ward
+        const district = result.address.district;
+        const inDistrict = localLevels => district
+            ? localLevels.filter(localLevel => localLevel.district === district)
+            : localLevels;
+
+        const wardPiece = unused().find(piece => piece.ward !== null);
+        const municipalityPiece = [wardPiece, ...fromRight(unused())]
+            .filter(Boolean)
+            .find(piece => inDistrict(piece.matches.localLevels).length > 0);
+
+        if (municipalityPiece) {
+            municipalityPiece.used = true;
+            const localLevels = inDistrict(municipalityPiece.matches.localLevels);
+            this.setField(result, 'municipality', localLevels[0].name, localLevels.length === 1 ? 1 : 0.7);
+            result.localLevels = localLevels;
+        } else if (wardPiece && wardPiece.text && district) {
+            const fuzzy = this.findFuzzyLocalLevel(wardPiece.text, district);
+            if (fuzzy) {
+                wardPiece.used = true;
+                this.setField(result, 'municipality', fuzzy.localLevel.name, fuzzy.similarity);
+                result.localLevels = [fuzzy.localLevel];
+            }
+        }
+
+        // Ward
+        if (wardPiece) {
+            this.setWard(result, wardPiece.ward);
+        }
+
+        // Post office named in the text
+        const postOfficePiece = fromRight(unused()).find(piece => piece.matches.postOffices.length > 0);
+        if (postOfficePiece) {
+            postOfficePiece.used = true;
+            const local = postOfficePiece.matches.postOffices.filter(po => !district || po.district === district);
+            const postOffice = local[0] || postOfficePiece.matches.postOffices[0];
+            this.setField(result, 'postOffice', postOffice.name, local.length > 0 ? 1 : 0.6);
+            if (local.length === 0) {
+                result.warnings.push(`Post office ${postOffice.name} is in ${postOffice.district}, not ${district}`);
+            }
+        }
+
+        // Whatever is left: the leftmost piece is the tole, the rest couldn't be read
+        const leftovers = unused().filter(piece => piece.text);
+        if (leftovers.length > 0) {
+            this.setField(result, 'tole', leftovers[0].text, 0.6);
+            result.unparsed.push(...leftovers.slice(1).map(piece => piece.text));
+        }
+    }
+
+    /**
+     * Fill in fields that follow from the ones we found, and flag contradictions
+     * @private
+     */
+    inferFields(result) {
+        const { address } = result;
+        const postOffice = address.postalCode ? this.geoData.getPostOfficeByCode(address.postalCode) : null;
+
+        if (!address.district && result.localLevels && result.localLevels.length === 1) {
+            this.setField(result, 'district', result.localLevels[0].district, 0.9, true);
+        }
+        if (!address.district && postOffice) {
+            this.setField(result, 'district', postOffice.district, 0.9, true);
+        }
+
+        if (postOffice && address.district && postOffice.district !== address.district) {
+            result.confidence.postalCode = 0.5;
+            result.warnings.push(`Postal code ${address.postalCode} belongs to ${postOffice.district}, not ${address.district}`);
+        }
+
+        if (!address.postOffice && postOffice) {
+            this.setField(result, 'postOffice', postOffice.name, 0.9, true);
+        }
+
+        if (address.district) {
+            const province = this.provinces.getProvinceByDistrict(address.district);
+            if (province && !address.province) {
+                this.setField(result, 'province', province.name, result.confidence.district, true);
+            } else if (province && province.name !== address.province) {
+                result.confidence.province = 0.5;
+                result.warnings.push(`${address.district} is in ${province.name}, not ${address.province}`);
+            }
+        }
+
+        // Re-check the ward now that the municipality may be known
+        if (address.ward !== undefined) {
+            this.setWard(result, address.ward);
+        }
+
+        delete result.localLevels;
+
+        // Present the fields from small to big, the way addresses are written
+        const ordered = {};
+        ADDRESS_FIELDS.filter(field => field in address).forEach(field => {
+            ordered[field] = address[field];
+        });
+        result.address = ordered;
+    }
+
+    /**
+     * Set the ward and how sure we are of it
+     * @private
+     */
+    setWard(result, ward) {
+        const localLevels = result.localLevels || [];
+
+        // No local level has more than 33 wards (Pokhara)
+        if (ward < 1 || ward > 33) {
+            this.setField(result, 'ward', ward, 0.3);
+            if (!result.warnings.some(warning => warning.startsWith(`Ward ${ward} `))) {
+                result.warnings.push(`Ward ${ward} is out of range (wards run from 1 to at most 33)`);
+            }
+            return;
+        }
+        if (localLevels.length === 0) {
+            this.setField(result, 'ward', ward, 0.8);
+            return;
+        }
+
+        const exists = localLevels.some(localLevel => ward <= localLevel.wards);
+        this.setField(result, 'ward', ward, exists ? 1 : 0.3);
+        if (!exists && !result.warnings.some(warning => warning.startsWith(`Ward ${ward} `))) {
+            result.warnings.push(`Ward ${ward} does not exist in ${localLevels[0].name} (wards 1-${localLevels[0].wards})`);
+        }
+    }
+
+    /**
+     * Closest district by spelling and sound, for typos like 'Kathmadu'
+     * @private
+     */
+    findFuzzyDistrict(pieces) {
+        let best = null;
+
+        pieces.forEach(piece => {
+            Object.values(this.geoData.adminDistricts).forEach(district => {
+                const similarity = Math.max(...[district.name, ...district.aliases]
+                    .map(name => this.geoData.phonetic.similarity(piece.text, name)));
+                if (similarity >= 0.8 && (!best || similarity > best.similarity)) {
+                    best = { piece, district, similarity: Math.round(similarity * 100) / 100 };
+                }
+            });
+        });
+
+        return best;
+    }
+
+    /**
+     * Closest local level inside a district, for typos like 'Dhulikhl'
+     * @private
+     */
+    findFuzzyLocalLevel(text, district) {
+        const name = this.localLevels.normalizeName(text);
+        let best = null;
+
+        this.localLevels.getLocalLevelsByDistrict(district).forEach(localLevel => {
+            const similarity = this.geoData.phonetic.similarity(name, localLevel.name);
+            if (similarity >= 0.8 && (!best || similarity > best.similarity)) {
+                best = { localLevel, similarity: Math.round(similarity * 100) / 100 };
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Record a field, its confidence and whether it was inferred
+     * @private
+     */
+    setField(result, field, value, confidence, inferred = false) {
+        result.address[field] = value;
+        result.confidence[field] = confidence;
+        if (inferred && !result.inferred.includes(field)) {
+            result.inferred.push(field);
+        }
+    }
+}
+
+module.exports = AddressParser;
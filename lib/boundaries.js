@@ -0,0 +1,362 @@
+const fs = require('fs');
+const path = require('path');
+const ProvinceUtils = require('./province-utils');
+const { toTopoJSON } = require('./geo-export');
+
+const BOUNDARY_FORMATS = ['geojson', 'topojson'];
+const BOUNDARY_TYPES = ['country', 'province', 'district', 'localLevel'];
+
+// Default Douglas-Peucker tolerance in degrees (about 1 km) when simplify is just `true`
+const DEFAULT_SIMPLIFY_TOLERANCE = 0.01;
+
+/**
+ * Check if a [lng, lat] point is inside a ring (ray casting)
+ * @param {Array<number>} point - [lng, lat]
+ * @param {Array<Array<number>>} ring - Closed ring of [lng, lat]
+ * @returns {boolean} True if inside
+ */
+function pointInRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > point[1]) !== (yj > point[1]) && point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Check if a [lng, lat] point is inside a GeoJSON Polygon or MultiPolygon (holes respected)
+ * @param {Array<number>} point - [lng, lat]
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean} True if inside
+ */
+function pointInPolygon(point, geometry) {
+    if (!geometry) {
+        return false;
+    }
+
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    return polygons.some(([outer, ...holes]) => pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole)));
+}
+
+/**
+ * Douglas-Peucker simplification of a closed ring; never goes below 4 points (a triangle)
+ * @param {Array<Array<number>>} ring - Closed ring of [lng, lat]
+ * @param {number} tolerance - Max distance (degrees) a removed point may be from the simplified line
+ * @returns {Array<Array<number>>} Simplified closed ring
+ */
+function simplifyRing(ring, tolerance) {
+    if (ring.length <= 4 || !(tolerance > 0)) {
+        return ring;
+    }
+
+    const distanceToSegment = (p, a, b) => {
+        const dx = b[0] - a[0];
+        const dy = b[1] - a[1];
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSquared));
+        return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+    };
+
+    const simplifyLine = points => {
+        let maxDistance = 0;
+        let index = 0;
+        for (let i = 1; i < points.length - 1; i++) {
+            const distance = distanceToSegment(points[i], points[0], points[points.length - 1]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+
+        if (maxDistance <= tolerance) {
+            return [points[0], points[points.length - 1]];
+        }
+        return simplifyLine(points.slice(0, index + 1)).slice(0, -1).concat(simplifyLine(points.slice(index)));
+    };
+
+    // Split at the point furthest from the start so both halves are open lines
+    const start = ring[0];
+    const far = ring.reduce((best, p, i) => (Math.hypot(p[0] - start[0], p[1] - start[1]) > best.distance
+        ? { index: i, distance: Math.hypot(p[0] - start[0], p[1] - start[1]) } : best), { index: 0, distance: 0 }).index;
+
+    const simplified = simplifyLine(ring.slice(0, far + 1)).slice(0, -1).concat(simplifyLine(ring.slice(far)));
+    return simplified.length >= 4 ? simplified : ring;
+}
+
+/**
+ * Simplify every ring of a GeoJSON Polygon or MultiPolygon
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {number} tolerance - Tolerance in degrees
+ * @returns {Object} New geometry
+ */
+function simplifyGeometry(geometry, tolerance) {
+    if (geometry.type === 'MultiPolygon') {
+        return { type: 'MultiPolygon', coordinates: geometry.coordinates.map(polygon => polygon.map(ring => simplifyRing(ring, tolerance))) };
+    }
+    return { type: geometry.type, coordinates: geometry.coordinates.map(ring => simplifyRing(ring, tolerance)) };
+}
+
+/**
+ * Boundary shapes for Nepal, its provinces and districts, plus point-in-polygon lookups
+ * The bundled shapes are simplified district polygons from nepal-geojson (see scripts/generate-boundaries.js);
+ * call loadBoundaries() with official GeoJSON to use surveyed lines instead
+ */
+class BoundaryUtils {
+    constructor(geoData) {
+        this.geoData = geoData;
+        this.provinces = new ProvinceUtils(geoData);
+    }
+
+    /**
+     * Get the boundary of the country, a province or a district
+     * @param {string|number} name - 'Nepal', a province name/number or a district name (any spelling)
+     * @param {Object} options - { format: 'geojson' | 'topojson', simplify: false | true | tolerance in degrees }
+     * @returns {Object|null} GeoJSON Feature or TopoJSON Topology, null if there is no such place
+     */
+    getBoundary(name, options = {}) {
+        const { format = 'geojson', simplify = false } = options;
+        this.checkFormat(format);
+
+        const feature = this.findFeature(name);
+        if (!feature) {
+            return null;
+        }
+
+        const result = this.prepareFeature(feature, simplify);
+        return format === 'topojson' ? toTopoJSON([result], result.properties.name) : result;
+    }
+
+    /**
+     * Get all boundaries of one type as a collection, e.g. every district for a choropleth
+     * @param {string} type - 'province', 'district', 'country' or 'localLevel' (if loaded)
+     * @param {Object} options - { format, simplify }
+     * @returns {Object} GeoJSON FeatureCollection or TopoJSON Topology
+     */
+    getBoundaries(type = 'district', options = {}) {
+        const { format = 'geojson', simplify = false } = options;
+        this.checkFormat(format);
+        if (!BOUNDARY_TYPES.includes(type)) {
+            throw new Error(`Unsupported boundary type: ${type}. Use one of: ${BOUNDARY_TYPES.join(', ')}`);
+        }
+
+        const features = this.getData().features
+            .filter(feature => feature.properties.type === type)
+            .map(feature => this.prepareFeature(feature, simplify));
+
+        return format === 'topojson'
+            ? toTopoJSON(features, type)
+            : { type: 'FeatureCollection', features };
+    }
+
+    /**
+     * Find the province and district (and local level, if local level shapes are loaded) containing a point
+     * The district is the same object getDistrict returns
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Object|null} { lat, lng, province, district, localLevel, approximate } or null outside Nepal
+     */
+    locatePoint(lat, lng) {
+        const point = [parseFloat(lng), parseFloat(lat)];
+        if (!Number.isFinite(point[0]) || !Number.isFinite(point[1])) {
+            return null;
+        }
+
+        const contains = feature => this.inBbox(point, feature.bbox) && pointInPolygon(point, feature.geometry);
+        const features = this.getData().features;
+
+        const districtFeature = features.find(feature => feature.properties.type === 'district' && contains(feature));
+        if (!districtFeature) {
+            return null;
+        }
+
+        const district = this.geoData.getDistrictByName(districtFeature.properties.name);
+        const localLevelFeature = features.find(feature => feature.properties.type === 'localLevel' &&
+            feature.properties.district === districtFeature.properties.name && contains(feature));
+
+        return {
+            lat: point[1],
+            lng: point[0],
+            province: this.provinces.getProvinceByDistrict(districtFeature.properties.name),
+            district,
+            localLevel: localLevelFeature
+                ? this.geoData.getAllLocalLevels().find(localLevel => localLevel.name === localLevelFeature.properties.name &&
+                    localLevel.district === districtFeature.properties.name) || null
+                : null,
+            approximate: this.isApproximate()
+        };
+    }
+
+    /**
+     * Replace the bundled shapes with your own GeoJSON (e.g. official Survey Department boundaries)
+     * Features need properties.name and properties.type ('country', 'province', 'district' or 'localLevel');
+     * local levels also need properties.district. Names are matched like everywhere else ('Kavre' works)
+     * @param {Object} featureCollection - GeoJSON FeatureCollection
+     * @param {Object} options - { approximate: false }
+     * @returns {number} Number of features loaded
+     */
+    loadBoundaries(featureCollection, options = {}) {
+        if (!featureCollection || !Array.isArray(featureCollection.features)) {
+            throw new Error('Boundaries must be a GeoJSON FeatureCollection');
+        }
+
+        const features = featureCollection.features.map(feature => {
+            const { name, type } = feature.properties || {};
+            if (!BOUNDARY_TYPES.includes(type) || !name) {
+                throw new Error('Every boundary feature needs properties.name and properties.type (' + BOUNDARY_TYPES.join(', ') + ')');
+            }
+            if (!feature.geometry || !['Polygon', 'MultiPolygon'].includes(feature.geometry.type)) {
+                throw new Error(`Boundary ${name} must be a Polygon or MultiPolygon`);
+            }
+
+            const properties = { ...feature.properties, name: this.officialName(name, type) };
+            if (type === 'localLevel') {
+                properties.district = this.officialName(feature.properties.district, 'district');
+            }
+            return { type: 'Feature', properties, geometry: feature.geometry };
+        });
+
+        this.geoData.boundaries = this.indexFeatures({
+            type: 'FeatureCollection',
+            features,
+            metadata: { approximate: options.approximate === true, source: 'custom' }
+        });
+        return features.length;
+    }
+
+    /**
+     * Whether the current shapes are approximations (false for the bundled ones, unless metadata says otherwise)
+     * @returns {boolean} True if approximate
+     */
+    isApproximate() {
+        const metadata = this.getData().metadata || {};
+        return metadata.approximate !== false;
+    }
+
+    /**
+     * Boundary data, loaded on first use so users who never need shapes don't pay for them
+     * Kept on geoData so every helper (including reverseGeocode) sees shapes passed to loadBoundaries
+     * @private
+     */
+    getData() {
+        if (!this.geoData.boundaries) {
+            const boundariesPath = path.join(__dirname, '../data/boundaries.json');
+            const data = fs.existsSync(boundariesPath)
+                ? JSON.parse(fs.readFileSync(boundariesPath, 'utf8'))
+                : { type: 'FeatureCollection', features: [], metadata: { approximate: true } };
+            this.geoData.boundaries = this.indexFeatures(data);
+        }
+        return this.geoData.boundaries;
+    }
+
+    /**
+     * Add a bounding box to every feature so locatePoint can skip most polygons
+     * @private
+     */
+    indexFeatures(data) {
+        data.features.forEach(feature => {
+            const rings = feature.geometry.type === 'MultiPolygon'
+                ? feature.geometry.coordinates.map(polygon => polygon[0])
+                : [feature.geometry.coordinates[0]];
+            const points = rings.reduce((all, ring) => all.concat(ring), []);
+            Object.defineProperty(feature, 'bbox', {
+                value: [
+                    Math.min(...points.map(p => p[0])), Math.min(...points.map(p => p[1])),
+                    Math.max(...points.map(p => p[0])), Math.max(...points.map(p => p[1]))
+                ],
+                enumerable: false
+            });
+        });
+        return data;
+    }
+
+    /**
+     * Find the feature for a country, province or district name
+     * @private
+     */
+    findFeature(name) {
+        if (name === null || name === undefined || name === '') {
+            return null;
+        }
+
+        const features = this.getData().features;
+        if (String(name).trim().toLowerCase() === 'nepal') {
+            return features.find(feature => feature.properties.type === 'country') || null;
+        }
+
+        const province = this.provinces.getProvince(name);
+        if (province) {
+            return features.find(feature => feature.properties.type === 'province' && feature.properties.name === province.name) || null;
+        }
+
+        const district = typeof name === 'string' ? this.geoData.getAdminDistrictByName(name) : null;
+        if (district) {
+            return features.find(feature => feature.properties.type === 'district' && feature.properties.name === district.name) || null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Copy a feature with its names, Nepali name and approximate flag filled in, simplified if asked
+     * @private
+     */
+    prepareFeature(feature, simplify) {
+        const tolerance = simplify === true ? DEFAULT_SIMPLIFY_TOLERANCE : Number(simplify) || 0;
+        const properties = { ...feature.properties, approximate: this.isApproximate() };
+
+        if (properties.type === 'district') {
+            const district = this.geoData.getAdminDistrictByName(properties.name);
+            properties.nepaliName = district ? district.nepaliName : null;
+            properties.province = district ? district.province : properties.province;
+        } else if (properties.type === 'province') {
+            const province = this.provinces.getProvince(properties.name);
+            properties.nepaliName = province ? province.nepaliName : null;
+        }
+
+        return {
+            type: 'Feature',
+            properties,
+            geometry: tolerance > 0 ? simplifyGeometry(feature.geometry, tolerance) : feature.geometry
+        };
+    }
+
+    /**
+     * Official name for a province or district in user-supplied data
+     * @private
+     */
+    officialName(name, type) {
+        if (type === 'province') {
+            const province = this.provinces.getProvince(name);
+            return province ? province.name : name;
+        }
+        if (type === 'district') {
+            const district = this.geoData.getAdminDistrictByName(name);
+            return district ? district.name : name;
+        }
+        return name;
+    }
+
+    /**
+     * @private
+     */
+    inBbox(point, bbox) {
+        return !bbox || (point[0] >= bbox[0] && point[0] <= bbox[2] && point[1] >= bbox[1] && point[1] <= bbox[3]);
+    }
+
+    /**
+     * @private
+     */
+    checkFormat(format) {
+        if (!BOUNDARY_FORMATS.includes(format)) {
+            throw new Error(`Unsupported boundary format: ${format}. Use one of: ${BOUNDARY_FORMATS.join(', ')}`);
+        }
+    }
+}
+
+module.exports = BoundaryUtils;
+module.exports.pointInPolygon = pointInPolygon;
+module.exports.simplifyGeometry = simplifyGeometry;
@@ -0,0 +1,426 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { finished } = require('stream');
+const LocationValidator = require('./location-validator');
+const AddressFormatter = require('./address-formatter');
+const { ValidationIssue } = require('./validation-issues');
+const { escapeField, parseCSVStream } = require('./csv');
+
+// Columns we recognise without a mapping, keyed by header with case, spaces, dashes and underscores removed
+const AUTO_COLUMNS = {
+    district: 'district',
+    municipality: 'municipality',
+    locallevel: 'municipality',
+    ward: 'ward',
+    wardno: 'ward',
+    postalcode: 'postalCode',
+    postcode: 'postalCode',
+    zip: 'postalCode',
+    postoffice: 'postOffice',
+    tole: 'tole',
+    street: 'tole',
+    province: 'province'
+};
+
+// Fields written back as corrected_<field> columns
+const CORRECTED_FIELDS = ['district', 'municipality', 'ward', 'postOffice', 'postalCode', 'province'];
+
+const INPUT_FORMATS = ['csv', 'json', 'ndjson'];
+
+/**
+ * Validate whole address files (CSV, JSON or NDJSON) and get an annotated copy plus a summary report
+ * CSV and NDJSON are streamed row by row, so file size doesn't matter; JSON arrays are read in one go
+ */
+class BulkValidator {
+    constructor(geoData) {
+        this.geoData = geoData;
+        this.validator = new LocationValidator(geoData);
+        this.formatter = new AddressFormatter(geoData);
+    }
+
+    /**
+     * Validate records already in memory
+     * @param {Iterable<Object>} records - Raw rows, e.g. from a parsed CSV
+     * @param {Object} options - { columns: { district: 'District Name', ... }, correct: false, locale: 'en' }
+     * @returns {Object} { results, report }
+     */
+    validateRecords(records, options = {}) {
+        const report = this.createReport();
+        const results = Array.from(records, (record, index) => {
+            const result = this.validateRecord(record, index + 1, options);
+            this.addToReport(report, result);
+            return result;
+        });
+        return { results, report };
+    }
+
+    /**
+     * Validate an address file, streaming it row by row
+     * @param {string} inputPath - CSV, JSON or NDJSON file
+     * @param {Object} options - {
+     *   format: 'csv' | 'json' | 'ndjson' (default: from the extension),
+     *   columns: { district: 'District Name', postalCode: 'PIN', ... } (default: recognised headers),
+     *   correct: false - normalize each address first and validate the corrected version,
+     *   locale: message language ('en', 'ne' or a registered catalog),
+     *   profile, rules: validation strictness, as for validateAddress,
+     *   delimiter: ',',
+     *   output: null - path for the annotated copy,
+     *   outputFormat: from the output extension, else same as the input,
+     *   report: null - path for the JSON report,
+     *   onResult: null - called with each row's result as it is validated (results are not kept in memory)
+     * }
+     * @returns {Promise<Object>} Report
+     */
+    async validateFile(inputPath, options = {}) {
+        const format = this.getInputFormat(inputPath, options.format);
+        const report = this.createReport();
+        const writer = options.output ? this.createFileWriter(options.output, this.getOutputFormat(options.output, options.outputFormat, format), options) : null;
+
+        let row = 0;
+        try {
+            for await (const record of this.readRecords(inputPath, format, options)) {
+                row++;
+                const result = this.validateRecord(record, row, options);
+                this.addToReport(report, result);
+                if (options.onResult) {
+                    options.onResult(result);
+                }
+                if (writer) {
+                    await writer.write(result);
+                }
+            }
+            if (writer) {
+                await writer.close();
+            }
+        } catch (error) {
+            if (writer) {
+                await writer.abort();
+            }
+            throw error;
+        }
+
+        if (options.report) {
+            fs.writeFileSync(options.report, JSON.stringify(report, null, 2) + '\n');
+        }
+        return report;
+    }
+
+    /**
+     * Validate one raw record
+     * @param {Object} record - Raw row
+     * @param {number} row - 1-based row number (header not counted)
+     * @param {Object} options - { columns, correct, locale, profile, rules }
+     * @returns {Object} { row, record, address, corrected, changes, isValid, errorCodes, errors, warnings, suggestions }
+     */
+    validateRecord(record, row, options = {}) {
+        const address = this.mapColumns(record, options.columns);
+        const normalized = options.correct ? this.formatter.normalizeAddress(address) : null;
+        const validation = this.validator.validateAddress(normalized ? normalized.address : address, {
+            locale: options.locale,
+            profile: options.profile,
+            rules: options.rules
+        });
+        // normalizeAddress warnings are plain text; wrap them so every warning has a code
+        const correctionWarnings = normalized ? normalized.warnings.map(text => new ValidationIssue('CORRECTION_WARNING', null, { text })) : [];
+
+        return {
+            row,
+            record,
+            address,
+            corrected: normalized ? normalized.address : null,
+            changes: normalized ? normalized.changes : [],
+            isValid: validation.isValid,
+            errorCodes: validation.errors.map(error => error.code),
+            errors: validation.errors,
+            warnings: validation.warnings.concat(correctionWarnings),
+            suggestions: validation.suggestions
+        };
+    }
+
+    /**
+     * Serialize results in one go (CSV, JSON or NDJSON), same layout as the annotated file from validateFile
+     * @param {Array<Object>} results - From validateRecords
+     * @param {string} format - 'csv', 'json' or 'ndjson'
+     * @param {Object} options - { correct, delimiter }
+     * @returns {string} Annotated data
+     */
+    formatResults(results, format = 'csv', options = {}) {
+        const serializer = this.createSerializer(format, options);
+        return serializer.start(results[0]) + results.map((result, i) => serializer.row(result, i === 0)).join('') + serializer.end();
+    }
+
+    /**
+     * Human-readable summary of a report
+     * @param {Object} report - From validateFile or validateRecords
+     * @returns {string} Multi-line summary
+     */
+    formatReport(report) {
+        const lines = [`${report.valid} of ${report.total} addresses valid (${report.invalid} invalid, ${report.corrected} corrected)`];
+        const codes = Object.keys(report.errorsByCode).sort((a, b) => report.errorsByCode[b] - report.errorsByCode[a]);
+        if (codes.length > 0) {
+            lines.push('Errors by type:');
+            codes.forEach(code => lines.push(`  ${code}: ${report.errorsByCode[code]}`));
+        }
+
+        const districts = Object.keys(report.byDistrict).filter(name => report.byDistrict[name].invalid > 0)
+            .sort((a, b) => report.byDistrict[b].invalid - report.byDistrict[a].invalid || a.localeCompare(b));
+        if (districts.length > 0) {
+            lines.push('Invalid addresses by district:');
+            districts.forEach(name => lines.push(`  ${name}: ${report.byDistrict[name].invalid} of ${report.byDistrict[name].total}`));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Pick the address fields out of a raw record
+     * @private
+     */
+    mapColumns(record, columns = null) {
+        const address = {};
+        const set = (field, value) => {
+            const trimmed = typeof value === 'string' ? value.trim() : value;
+            if (trimmed === '' || trimmed === null || trimmed === undefined) {
+                return;
+            }
+            // Spreadsheets give us strings; the validator wants a number for the ward
+            address[field] = field === 'ward' && /^\d+$/.test(String(trimmed)) ? Number(trimmed) : trimmed;
+        };
+
+        if (columns) {
+            Object.keys(columns).forEach(field => set(field, record[columns[field]]));
+        } else {
+            Object.keys(record).forEach(key => {
+                const field = AUTO_COLUMNS[key.toLowerCase().replace(/[\s_-]/g, '')];
+                if (field && !(field in address)) {
+                    set(field, record[key]);
+                }
+            });
+        }
+        return address;
+    }
+
+    /**
+     * @private
+     */
+    createReport() {
+        return { total: 0, valid: 0, invalid: 0, corrected: 0, errorsByCode: {}, byDistrict: {} };
+    }
+
+    /**
+     * @private
+     */
+    addToReport(report, result) {
+        report.total++;
+        report[result.isValid ? 'valid' : 'invalid']++;
+        if (result.changes.length > 0) {
+            report.corrected++;
+        }
+        result.errorCodes.forEach(code => {
+            report.errorsByCode[code] = (report.errorsByCode[code] || 0) + 1;
+        });
+
+        const districtName = (result.corrected || result.address).district;
+        const district = districtName ? this.geoData.getAdminDistrictByName(String(districtName)) : null;
+        const key = district ? district.name : (districtName ? 'Unknown' : 'Not specified');
+        const entry = report.byDistrict[key] || (report.byDistrict[key] = { total: 0, valid: 0, invalid: 0 });
+        entry.total++;
+        entry[result.isValid ? 'valid' : 'invalid']++;
+    }
+
+    /**
+     * Input format: the explicit one, else the file extension ('jsonl' counts as NDJSON), else CSV
+     * @param {string} inputPath - File name
+     * @param {string} format - Explicit format, if any
+     * @returns {string} 'csv', 'json' or 'ndjson'
+     */
+    getInputFormat(inputPath, format) {
+        const resolved = (format || path.extname(inputPath).slice(1) || 'csv').toLowerCase().replace(/^jsonl$/, 'ndjson');
+        if (!INPUT_FORMATS.includes(resolved)) {
+            throw new Error(`Unsupported input format: ${resolved}. Use one of: ${INPUT_FORMATS.join(', ')}`);
+        }
+        return resolved;
+    }
+
+    /**
+     * Annotated copy format: the explicit one, else the output file's extension, else the input format
+     * @param {string} outputPath - File name
+     * @param {string} format - Explicit format, if any
+     * @param {string} inputFormat - Fallback
+     * @returns {string} Output format
+     */
+    getOutputFormat(outputPath, format, inputFormat) {
+        const extension = path.extname(outputPath).slice(1).toLowerCase().replace(/^jsonl$/, 'ndjson');
+        return format || (INPUT_FORMATS.includes(extension) ? extension : inputFormat);
+    }
+
+    /**
+     * Records from a file, one at a time
+     * @private
+     */
+    async* readRecords(inputPath, format, options) {
+        if (format === 'json') {
+            const records = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+            if (!Array.isArray(records)) {
+                throw new Error('JSON input must be an array of addresses');
+            }
+            yield* records;
+            return;
+        }
+
+        const input = fs.createReadStream(inputPath, 'utf8');
+        if (format === 'csv') {
+            yield* parseCSVStream(input, { delimiter: options.delimiter || ',' });
+            return;
+        }
+
+        for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+            if (line.trim()) {
+                yield JSON.parse(line);
+            }
+        }
+    }
+
+    /**
+     * Writes the annotated file as results come in, respecting backpressure
+     * The file is only opened once the first record has parsed, and a failed write (an unwritable path, a full
+     * disk) rejects write() or close() instead of surfacing as an unhandled 'error' event
+     * @private
+     */
+    createFileWriter(outputPath, format, options) {
+        const serializer = this.createSerializer(format, options);
+        let stream = null;
+        let opened = false;
+        let failure = null;
+        let first = true;
+
+        const open = () => {
+            if (!stream) {
+                stream = fs.createWriteStream(outputPath, 'utf8');
+                stream.on('open', () => {
+                    opened = true;
+                });
+                stream.on('error', error => {
+                    failure = failure || error;
+                });
+            }
+            return stream;
+        };
+
+        const write = text => new Promise((resolve, reject) => {
+            const target = open();
+            if (failure) {
+                reject(failure);
+                return;
+            }
+            if (target.write(text)) {
+                resolve();
+                return;
+            }
+            const onDrain = () => {
+                target.removeListener('error', onError);
+                resolve();
+            };
+            const onError = error => {
+                target.removeListener('drain', onDrain);
+                reject(error);
+            };
+            target.once('drain', onDrain);
+            target.once('error', onError);
+        });
+
+        // Resolves once the file is closed; rejects with the first error the stream had
+        const done = () => new Promise((resolve, reject) => finished(stream, error => {
+            const cause = failure || error;
+            return cause ? reject(cause) : resolve();
+        }));
+
+        return {
+            write: result => {
+                const text = (first ? serializer.start(result) : '') + serializer.row(result, first);
+                first = false;
+                return write(text);
+            },
+            close: async () => {
+                await write((first ? serializer.start(null) : '') + serializer.end());
+                stream.end();
+                await done();
+            },
+            // Drop the stream and the partial file; a file we never opened (or failed to open) is left alone
+            abort: async () => {
+                if (!stream) {
+                    return;
+                }
+                stream.destroy();
+                await done().catch(() => {});
+                if (opened) {
+                    await fs.promises.unlink(outputPath).catch(() => {});
+                }
+            }
+        };
+    }
+
+    /**
+     * Annotated output layout, one piece at a time: start(firstResult or null), row(result, isFirst), end()
+     * CSV keeps the input columns (taken from the first record) and appends valid, error_codes, errors, warnings,
+     * suggestions and, with correct: true, corrected_<field>; JSON and NDJSON add a _validation object
+     * @param {string} format - 'csv', 'json' or 'ndjson'
+     * @param {Object} options - { correct, delimiter }
+     * @returns {Object} { start, row, end }
+     */
+    createSerializer(format, options = {}) {
+        const delimiter = options.delimiter || ',';
+        const annotation = result => ({
+            isValid: result.isValid,
+            errorCodes: result.errorCodes,
+            errors: result.errors,
+            warnings: result.warnings,
+            suggestions: result.suggestions,
+            ...(options.correct ? { corrected: result.corrected, changes: result.changes } : {})
+        });
+
+        switch (format) {
+            case 'csv': {
+                let columns = [];
+                const line = values => values.map(value => escapeField(value, delimiter)).join(delimiter) + '\r\n';
+                const extra = ['valid', 'error_codes', 'errors', 'warnings', 'suggestions']
+                    .concat(options.correct ? CORRECTED_FIELDS.map(field => `corrected_${field}`) : []);
+                return {
+                    start: first => {
+                        columns = first ? Object.keys(first.record) : [];
+                        return line(columns.concat(extra));
+                    },
+                    row: result => line(columns.map(column => result.record[column])
+                        .concat([
+                            result.isValid,
+                            result.errorCodes.join('; '),
+                            result.errors.map(issue => issue.message).join('; '),
+                            result.warnings.map(issue => issue.message).join('; '),
+                            result.suggestions.map(issue => issue.message).join('; ')
+                        ])
+                        .concat(options.correct ? CORRECTED_FIELDS.map(field => (result.corrected || {})[field]) : [])),
+                    end: () => ''
+                };
+            }
+
+            case 'ndjson':
+                return {
+                    start: () => '',
+                    row: result => JSON.stringify({ ...result.record, _validation: annotation(result) }) + '\n',
+                    end: () => ''
+                };
+
+            case 'json':
+                return {
+                    start: () => '[\n',
+                    row: (result, first) => (first ? '' : ',\n') + '  ' + JSON.stringify({ ...result.record, _validation: annotation(result) }),
+                    end: () => '\n]\n'
+                };
+
+            default:
+                throw new Error(`Unsupported output format: ${format}. Use one of: ${INPUT_FORMATS.join(', ')}`);
+        }
+    }
+}
+
+module.exports = BulkValidator;
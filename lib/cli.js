@@ -0,0 +1,574 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCSV } = require('./csv');
+const BulkValidator = require('./bulk-validator');
+const { normalizeDevanagari } = require('./devanagari');
+const { diffDatasets, formatChangelog } = require('./dataset');
+
+/**
+ * The nepalgeo command line tool (bin/nepalgeo.js is just a wrapper around run)
+ *
+ * Exit codes, so scripts and CI can rely on them:
+ *   0 - success
+ *   1 - the command ran but the answer is "no": postal code not found, no search results, invalid addresses,
+ *       datasets differ
+ *   2 - usage or input error: unknown command or option, unreadable file, unsupported format
+ */
+
+const EXIT_OK = 0;
+const EXIT_NEGATIVE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: nepalgeo <command> [options]
+
+Commands:
+  lookup <postal code | district>    Show a post office or district
+  search <query>                     Search districts, local levels and post offices (toles are not in the data)
+      --district <name>                only results in this district
+      --type <district|localLevel|postOffice> only this kind of result
+      --limit <n>                      at most n results (default 10)
+      --min-relevance <0-100>          weakest match to list (default 50); closer typos are offered as
+                                       "did you mean" instead
+  validate <file>                    Validate addresses from a CSV, JSON or NDJSON file ('-' for stdin)
+      --input <csv|json|ndjson>        input format (default: from the file extension, else csv)
+      --delimiter <char>               CSV delimiter (default ',')
+      --map <field=Column,...>         column mapping, e.g. "district=District Name,postalCode=PIN"
+      --correct                        fix spelling, casing and missing fields before validating
+      --locale <en|ne>                 language of error messages and suggestions (default en)
+      --profile <name>                 strictness: default, strict, lenient, delivery or kyc
+      --output <file>                  write an annotated copy (error codes, suggestions, corrected fields)
+      --output-format <csv|json|ndjson> format of the annotated copy (default: from --output, else the input)
+      --report <file>                  write the summary report as JSON
+  export <districts|postal>          Export data
+      --format <format>                json, csv, geojson, kml, topojson, ndjson, yaml, sql or xlsx (default json)
+      --district <name>                (postal) only this district
+      --type <office type>             (postal) only this office type, e.g. D.P.O.
+      --columns <a,b,c>                CSV/XLSX columns
+      --delimiter <char>               CSV delimiter
+      --bom                            CSV byte order mark for Excel
+      --dialect <postgres|mysql|sqlite> SQL dialect
+      --drop-tables                    SQL: start with DROP TABLE IF EXISTS
+      --geometry <point|boundary>      (districts) geospatial geometry
+      --unlocated                      (postal) geospatial: keep offices without coordinates (null geometry)
+      --output <file>                  write to a file instead of stdout (required for xlsx)
+  diff <old> [new]                   What changed between two postal datasets (JSON or CSV; new defaults to
+                                     the bundled data)
+      --format <text|markdown|json>    changelog format (default text)
+  stats                              Package and data version statistics
+
+Global options:
+  --format json                      machine-readable output for lookup, search, validate and stats
+  --help, -h                         show this help
+  --version, -v                      show the version
+
+Exit codes: 0 success, 1 not found / no results / invalid addresses / datasets differ, 2 usage or input error`;
+
+const SEARCH_TYPES = ['district', 'localLevel', 'postOffice'];
+
+// Exact, prefix, substring and same-sound matches score 50 and up; below that are spelling matches, where a
+// typo ('kathmadu') and a different place ('bateshwor' for 'baneshwor') look the same, so those are only
+// offered as suggestions, down to about 80% alike
+const DEFAULT_MIN_RELEVANCE = 50;
+const SUGGESTION_MIN_RELEVANCE = 40;
+
+// Flags that never take a value
+const BOOLEAN_FLAGS = ['help', 'version', 'bom', 'dropTables', 'correct', 'unlocated'];
+
+/**
+ * Thrown for anything that should exit with code 2
+ * @private
+ */
+class UsageError extends Error {}
+
+/**
+ * Split argv into positional arguments and --options (camelCased: --drop-tables -> dropTables)
+ * @param {Array<string>} argv - Arguments without node and script
+ * @returns {Object} { positional, options }
+ */
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h') {
+            options.help = true;
+        } else if (arg === '-v') {
+            options.version = true;
+        } else if (arg.startsWith('--') && arg.length > 2) {
+            const [rawName, inlineValue] = arg.slice(2).split(/=(.*)/s);
+            const name = rawName.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+            if (BOOLEAN_FLAGS.includes(name)) {
+                options[name] = true;
+            } else if (inlineValue !== undefined) {
+                options[name] = inlineValue;
+            } else if (i + 1 < argv.length) {
+                options[name] = argv[++i];
+            } else {
+                throw new UsageError(`Option --${rawName} needs a value`);
+            }
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    return { positional, options };
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments, e.g. process.argv.slice(2)
+ * @param {Object} io - { stdout, stderr, readFile, writeFile, helper } - defaults to the real process and file system;
+ *   validate streams its input file (and --output / --report) from disk, only stdin goes through readFile
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, io = {}) {
+    const stdout = io.stdout || (text => process.stdout.write(text));
+    const stderr = io.stderr || (text => process.stderr.write(text));
+    const readFile = io.readFile || (file => fs.readFileSync(file === '-' ? 0 : file, 'utf8'));
+    const writeFile = io.writeFile || ((file, data) => fs.writeFileSync(file, data));
+
+    try {
+        const { positional, options } = parseArgs(argv);
+        const [command, ...args] = positional;
+
+        if (options.version) {
+            stdout(require('../package.json').version + '\n');
+            return EXIT_OK;
+        }
+        if (options.help || !command || command === 'help') {
+            (command || options.help ? stdout : stderr)(USAGE + '\n');
+            return command || options.help ? EXIT_OK : EXIT_USAGE;
+        }
+
+        // Loaded here so --help and --version stay instant
+        const NepalGeoHelper = require('../index');
+        const geo = io.helper || new NepalGeoHelper();
+        const context = { geo, args, options, stdout, stderr, readFile, writeFile };
+
+        switch (command) {
+            case 'lookup':
+                return lookup(context);
+            case 'search':
+                return search(context);
+            case 'validate':
+                return await validate(context);
+            case 'export':
+                return exportData(context);
+            case 'diff':
+                return diff(context);
+            case 'stats':
+                return stats(context);
+            default:
+                throw new UsageError(`Unknown command: ${command}`);
+        }
+    } catch (error) {
+        stderr(`nepalgeo: ${error.message}\n`);
+        if (error instanceof UsageError) {
+            stderr('Run nepalgeo --help for usage\n');
+        }
+        return EXIT_USAGE;
+    }
+}
+
+/**
+ * nepalgeo lookup 44600 / nepalgeo lookup Kaski
+ * @private
+ */
+function lookup({ geo, args, options, stdout, stderr }) {
+    const query = args.join(' ').trim();
+    if (!query) {
+        throw new UsageError('lookup needs a postal code or district name');
+    }
+
+    // Nepali digits (४४६००) become ASCII here
+    const normalized = normalizeDevanagari(query);
+    let result;
+    if (/^\d+$/.test(normalized)) {
+        result = geo.getPostalInfo(normalized);
+    } else {
+        const district = geo.getDistrict(query);
+        result = district ? {
+            district: district.name,
+            districtNepali: district.nepaliName,
+            province: district.province,
+            headquarters: district.headquarters,
+            postOfficeCount: district.postOfficeCount,
+            postOffices: district.postOffices.map(po => `${po.name} (${po.postalCode}, ${po.type})`)
+        } : null;
+    }
+
+    if (!result) {
+        stderr(`Not found: ${query}\n`);
+        return EXIT_NEGATIVE;
+    }
+
+    stdout(isJSON(options) ? JSON.stringify(result, null, 2) + '\n' : formatRecord(result));
+    return EXIT_OK;
+}
+
+/**
+ * nepalgeo search "tokha" --district Kathmandu
+ * @private
+ */
+function search({ geo, args, options, stdout, stderr }) {
+    const query = args.join(' ').trim();
+    if (!query) {
+        throw new UsageError('search needs a query');
+    }
+
+    const limit = options.limit !== undefined ? parseInt(options.limit, 10) : 10;
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new UsageError('--limit must be a positive number');
+    }
+
+    const minRelevance = options.minRelevance !== undefined ? Number(options.minRelevance) : DEFAULT_MIN_RELEVANCE;
+    if (!Number.isFinite(minRelevance) || minRelevance < 0 || minRelevance > 100) {
+        throw new UsageError('--min-relevance must be a number from 0 to 100');
+    }
+
+    if (options.type && !SEARCH_TYPES.includes(options.type)) {
+        throw new UsageError(`--type must be one of: ${SEARCH_TYPES.join(', ')}`);
+    }
+
+    // Filter before limiting, otherwise --district would only see the overall top 10
+    const floor = Math.min(minRelevance, SUGGESTION_MIN_RELEVANCE);
+    let results = options.type === 'localLevel'
+        ? []
+        : geo.search.searchByQuery(query, { limit: Number.MAX_SAFE_INTEGER, includeType: options.type || 'all', minRelevance: floor });
+    if (!options.type || options.type === 'localLevel') {
+        results = results.concat(searchLocalLevels(geo, query, floor))
+            .sort((a, b) => b.relevance - a.relevance);
+    }
+    if (options.district) {
+        const district = geo.geoData.getAdminDistrictByName(options.district);
+        if (!district) {
+            throw new UsageError(`Unknown district: ${options.district}`);
+        }
+        results = results.filter(result => (result.type === 'district' ? result.name : result.district) === district.name);
+    }
+    const suggestions = results.slice(0, 5);
+    results = results.filter(result => result.relevance >= minRelevance).slice(0, limit);
+
+    if (results.length === 0) {
+        stderr(`No results for: ${query}\n`);
+        if (suggestions.length > 0) {
+            const describe = result => (result.type === 'district' ? `${result.name} (district)`
+                : `${result.name} (${result.type === 'postOffice' ? result.postalCode : result.localLevelType}, ${result.district})`);
+            stderr(`Did you mean: ${suggestions.map(describe).join(', ')}?\n`);
+        }
+        stderr('Only districts, local levels and post offices are searched; for a tole or neighbourhood, search its municipality or post office\n');
+        return EXIT_NEGATIVE;
+    }
+
+    if (isJSON(options)) {
+        stdout(JSON.stringify(results, null, 2) + '\n');
+    } else {
+        results.forEach(result => {
+            const where = result.type === 'postOffice' ? ` ${result.postalCode}, ${result.district}`
+                : result.type === 'localLevel' ? ` ${result.localLevelType}, ${result.district}` : '';
+            stdout(`${result.name} (${result.nepaliName || '-'})  ${result.type}${where}\n`);
+        });
+    }
+    return EXIT_OK;
+}
+
+/**
+ * Local levels whose name matches the query, scored like district and post office results
+ * @private
+ */
+function searchLocalLevels(geo, query, minRelevance) {
+    const name = geo.localLevels.normalizeName(query);
+    if (!name) {
+        return [];
+    }
+
+    return geo.geoData.getAllLocalLevels()
+        .map(localLevel => ({ localLevel, relevance: geo.geoData.calculateRelevance(localLevel.name, name) }))
+        .filter(({ relevance }) => relevance >= minRelevance)
+        .map(({ localLevel, relevance }) => {
+            const result = {
+                type: 'localLevel',
+                name: localLevel.name,
+                nepaliName: null,
+                localLevelType: localLevel.type,
+                wards: localLevel.wards,
+                district: localLevel.district,
+                province: localLevel.province,
+                relevance
+            };
+            return { ...result, matchType: geo.search.determineMatchType(name, result) };
+        });
+}
+
+/**
+ * nepalgeo validate addresses.csv --format json
+ * Files are streamed through BulkValidator.validateFile, so only stdin ('-') is read into memory
+ * @private
+ */
+async function validate({ geo, args, options, stdout, readFile, writeFile }) {
+    const file = args[0];
+    if (!file) {
+        throw new UsageError('validate needs a file (or - for stdin)');
+    }
+
+    const bulk = new BulkValidator(geo.geoData);
+    const bulkOptions = {
+        columns: parseColumnMap(options.map),
+        correct: Boolean(options.correct),
+        delimiter: options.delimiter,
+        locale: options.locale,
+        profile: options.profile
+    };
+    const printer = createValidatePrinter(bulk, (options.format || 'text').toLowerCase(), bulkOptions, stdout);
+
+    let format;
+    try {
+        format = bulk.getInputFormat(file === '-' ? '' : file, options.input);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const outputFormat = options.output ? bulk.getOutputFormat(options.output, options.outputFormat, format) : null;
+
+    let report;
+    if (file === '-') {
+        const validated = bulk.validateRecords(readRecords(readFile(file), format, options), bulkOptions);
+        validated.results.forEach(printer.row);
+        report = validated.report;
+        if (options.output) {
+            try {
+                writeFile(options.output, bulk.formatResults(validated.results, outputFormat, bulkOptions));
+            } catch (error) {
+                throw new UsageError(error.message);
+            }
+        }
+        if (options.report) {
+            writeFile(options.report, JSON.stringify(report, null, 2) + '\n');
+        }
+    } else {
+        try {
+            report = await bulk.validateFile(file, {
+                ...bulkOptions,
+                format,
+                output: options.output,
+                outputFormat,
+                report: options.report,
+                onResult: printer.row
+            });
+        } catch (error) {
+            throw new UsageError(`Could not validate ${file}: ${error.message}`);
+        }
+    }
+
+    printer.end(report);
+    return report.invalid > 0 ? EXIT_NEGATIVE : EXIT_OK;
+}
+
+/**
+ * Writes validate results to stdout as they come in: text lines, annotated CSV, or one JSON document
+ * (the report with a results array) that is built up row by row
+ * @private
+ */
+function createValidatePrinter(bulk, format, bulkOptions, stdout) {
+    switch (format) {
+        case 'text':
+            return {
+                row: result => {
+                    stdout(`${result.isValid ? 'ok     ' : 'INVALID'} row ${result.row}: ${Object.values(result.corrected || result.address).join(', ')}\n`);
+                    result.errors.forEach(error => stdout(`        - ${error.code}: ${error.message}\n`));
+                    result.suggestions.forEach(suggestion => stdout(`        ? ${suggestion.message}\n`));
+                },
+                end: report => stdout(bulk.formatReport(report))
+            };
+
+        case 'csv': {
+            const serializer = bulk.createSerializer('csv', bulkOptions);
+            let first = true;
+            return {
+                row: result => {
+                    stdout((first ? serializer.start(result) : '') + serializer.row(result, first));
+                    first = false;
+                },
+                end: () => stdout((first ? serializer.start(null) : '') + serializer.end())
+            };
+        }
+
+        case 'json': {
+            let first = true;
+            return {
+                row: result => {
+                    stdout((first ? '{\n  "results": [\n' : ',\n') + '    ' + JSON.stringify(result));
+                    first = false;
+                },
+                end: report => stdout((first ? '{\n  "results": [],\n' : '\n  ],\n') + JSON.stringify(report, null, 2).slice(2) + '\n')
+            };
+        }
+
+        default:
+            throw new UsageError(`Unsupported output format for validate: ${format}`);
+    }
+}
+
+/**
+ * nepalgeo export postal --format csv --district Kaski
+ * @private
+ */
+function exportData({ geo, args, options, stdout, writeFile }) {
+    const target = args[0];
+    const source = { districts: geo.districts, district: geo.districts, postal: geo.postal, 'post-offices': geo.postal }[target];
+    if (!source) {
+        throw new UsageError('export needs what to export: districts or postal');
+    }
+
+    const format = (options.format || 'json').toLowerCase();
+    if (format === 'xlsx' && !options.output) {
+        throw new UsageError('xlsx is binary; use --output <file>');
+    }
+
+    const exportOptions = { ...options };
+    if (options.columns) {
+        exportOptions.columns = options.columns.split(',').map(column => column.trim()).filter(Boolean);
+    }
+    if (options.district && source === geo.postal && !geo.geoData.getAdminDistrictByName(options.district)) {
+        throw new UsageError(`Unknown district: ${options.district}`);
+    }
+
+    let data;
+    try {
+        data = source.exportData(format, exportOptions);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    if (options.output) {
+        writeFile(options.output, data);
+    } else {
+        stdout(data.endsWith('\n') ? data : data + '\n');
+    }
+    return EXIT_OK;
+}
+
+/**
+ * nepalgeo diff old-postal-data.json [new.json] --format markdown
+ * @private
+ */
+function diff({ geo, args, options, stdout, readFile }) {
+    if (!args[0]) {
+        throw new UsageError('diff needs the old dataset file (and optionally the new one)');
+    }
+
+    const changes = diffDatasets(readDataset(readFile, args[0]), args[1] ? readDataset(readFile, args[1]) : geo.geoData.data);
+    const format = (options.format || 'text').toLowerCase();
+    if (format === 'json') {
+        stdout(JSON.stringify(changes, null, 2) + '\n');
+    } else if (format === 'text' || format === 'markdown') {
+        stdout(formatChangelog(changes, { format }));
+    } else {
+        throw new UsageError(`Unsupported output format for diff: ${options.format}`);
+    }
+    return changes.summary.identical ? EXIT_OK : EXIT_NEGATIVE;
+}
+
+/**
+ * nepalgeo stats
+ * @private
+ */
+function stats({ geo, options, stdout }) {
+    const statistics = {
+        ...geo.getStatistics(),
+        totalProvinces: geo.getProvinces().length,
+        dataVersion: geo.getDatasetInfo().version
+    };
+    stdout(isJSON(options) ? JSON.stringify(statistics, null, 2) + '\n' : formatRecord(statistics));
+    return EXIT_OK;
+}
+
+/**
+ * Parse validate input into raw records (column mapping happens in BulkValidator)
+ * @private
+ */
+function readRecords(text, format, options) {
+    let rows;
+    try {
+        switch (format) {
+            case 'json':
+                rows = JSON.parse(text);
+                break;
+            case 'ndjson':
+                rows = text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+                break;
+            case 'csv':
+                rows = parseCSV(text, { delimiter: options.delimiter || ',' });
+                break;
+            default:
+                throw new UsageError(`Unsupported input format: ${format}`);
+        }
+    } catch (error) {
+        throw error instanceof UsageError ? error : new UsageError(`Could not read ${format} input: ${error.message}`);
+    }
+
+    if (!Array.isArray(rows)) {
+        throw new UsageError('JSON input must be an array of addresses');
+    }
+    return rows;
+}
+
+/**
+ * Read a postal dataset file for diff: JSON ({ postal_data } or an array) or CSV
+ * @private
+ */
+function readDataset(readFile, file) {
+    try {
+        const text = readFile(file);
+        return ['.json', '.ndjson', '.jsonl'].includes(path.extname(file).toLowerCase()) ? JSON.parse(text) : parseCSV(text);
+    } catch (error) {
+        throw new UsageError(`Could not read ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * --map "district=District Name,postalCode=PIN" -> { district: 'District Name', postalCode: 'PIN' }
+ * @private
+ */
+function parseColumnMap(map) {
+    if (!map) {
+        return null;
+    }
+
+    const columns = {};
+    map.split(',').forEach(pair => {
+        const [field, column] = pair.split('=').map(part => (part || '').trim());
+        if (!field || !column) {
+            throw new UsageError(`--map entries look like field=Column Name, got: ${pair}`);
+        }
+        columns[field] = column;
+    });
+    return columns;
+}
+
+/**
+ * @private
+ */
+function isJSON(options) {
+    return String(options.format || '').toLowerCase() === 'json';
+}
+
+/**
+ * key: value lines for the text output
+ * @private
+ */
+function formatRecord(record) {
+    const width = Math.max(...Object.keys(record).map(key => key.length));
+    return Object.keys(record).map(key => {
+        const value = record[key];
+        if (Array.isArray(value)) {
+            return `${key.padEnd(width)}  ${value.length > 0 ? '\n' + value.map(item => `  - ${item}`).join('\n') : '-'}`;
+        }
+        if (value && typeof value === 'object') {
+            return `${key.padEnd(width)}  ${Object.keys(value).map(inner => `${inner}=${value[inner]}`).join(', ')}`;
+        }
+        return `${key.padEnd(width)}  ${value === null || value === undefined ? '-' : value}`;
+    }).join('\n') + '\n';
+}
+
+module.exports = { run, parseArgs, EXIT_OK, EXIT_NEGATIVE, EXIT_USAGE };
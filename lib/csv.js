@@ -0,0 +1,301 @@
+const { Readable } = require('stream');
+
+/**
+ * CSV writer shared by every exportData / exportResults method (RFC 4180), plus a parser for CSV input (the CLI)
+ *
+ * Columns can be given as:
+ *   'name'                                  - property (dot paths like 'coordinates.lat' work), header is the key
+ *   { key: 'postalCode', header: 'Code' }   - property with its own header
+ *   { key: 'main', value: row => ... }      - computed value
+ */
+
+const BOM = '\uFEFF';
+
+const DEFAULT_OPTIONS = {
+    delimiter: ',',
+    lineEnding: '\r\n',
+    bom: false,
+    header: true
+};
+
+/**
+ * Quote a value if it needs it (delimiter, quote, CR or LF inside), doubling embedded quotes
+ * @param {*} value - Any value; null and undefined become an empty field
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} CSV field
+ */
+function escapeField(value, delimiter = ',') {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Turn column options into { key, header, value } specs
+ * @param {Array} available - The exporter's default columns
+ * @param {Object} options - { columns, headers }
+ * @returns {Array<Object>} Column specs in output order
+ */
+function resolveColumns(available, options = {}) {
+    const byKey = {};
+    available.forEach(column => {
+        byKey[column.key] = column;
+    });
+
+    const toSpec = column => {
+        if (typeof column === 'string') {
+            return byKey[column] || { key: column, header: column };
+        }
+        if (!column || !column.key) {
+            throw new Error('CSV columns must be property names or { key, header, value } objects');
+        }
+        return { ...(byKey[column.key] || {}), ...column, header: column.header || (byKey[column.key] || {}).header || column.key };
+    };
+
+    const headers = options.headers || {};
+    return (options.columns || available).map(toSpec).map(column => ({
+        ...column,
+        header: headers[column.key] || column.header
+    }));
+}
+
+/**
+ * Read a column value from a row
+ * @private
+ */
+function readValue(row, column) {
+    if (typeof column.value === 'function') {
+        return column.value(row);
+    }
+    return column.key.split('.').reduce((value, part) => (value === null || value === undefined ? value : value[part]), row);
+}
+
+/**
+ * Generate CSV text one line at a time (header first), so huge exports never sit in memory at once
+ * @param {Iterable<Object>} rows - Any iterable of objects
+ * @param {Array} columns - Column specs (see top of file)
+ * @param {Object} options - { delimiter: ',', lineEnding: '\r\n', bom: false, header: true, headers: { key: 'Header' } }
+ * @returns {Iterator<string>} Lines including their line ending
+ */
+function* csvLines(rows, columns, options = {}) {
+    const { delimiter, lineEnding, bom, header } = { ...DEFAULT_OPTIONS, ...options };
+    if (typeof delimiter !== 'string' || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+        throw new Error('CSV delimiter must be a single character other than a quote or line break');
+    }
+
+    const specs = resolveColumns(columns, options);
+    const line = values => values.map(value => escapeField(value, delimiter)).join(delimiter) + lineEnding;
+
+    if (header) {
+        yield (bom ? BOM : '') + line(specs.map(column => column.header));
+    } else if (bom) {
+        yield BOM;
+    }
+
+    for (const row of rows) {
+        yield line(specs.map(column => readValue(row, column)));
+    }
+}
+
+/**
+ * Resolve columns and read every row into an array of values, for writers that are not line based (XLSX)
+ * @param {Iterable<Object>} rows - Rows to read
+ * @param {Array} columns - Column specs
+ * @param {Object} options - { columns, headers }
+ * @returns {Object} { headers: [...], rows: [[...], ...] }
+ */
+function tabulate(rows, columns, options = {}) {
+    const specs = resolveColumns(columns, options);
+    return {
+        headers: specs.map(column => column.header),
+        rows: Array.from(rows, row => specs.map(column => readValue(row, column)))
+    };
+}
+
+/**
+ * Serialize rows to a CSV string
+ * @param {Iterable<Object>} rows - Rows to write
+ * @param {Array} columns - Column specs
+ * @param {Object} options - Same as csvLines
+ * @returns {string} CSV text
+ */
+function toCSV(rows, columns, options = {}) {
+    return Array.from(csvLines(rows, columns, options)).join('');
+}
+
+/**
+ * Serialize rows to a readable stream of CSV text, e.g. piped into a file or an HTTP response
+ * @param {Iterable<Object>} rows - Rows to write (a generator works, so rows can be produced lazily)
+ * @param {Array} columns - Column specs
+ * @param {Object} options - Same as csvLines
+ * @returns {Readable} Stream of CSV text
+ */
+function createCSVStream(rows, columns, options = {}) {
+    const lines = csvLines(rows, columns, options);
+    return new Readable({
+        encoding: 'utf8',
+        read() {
+            try {
+                const next = lines.next();
+                this.push(next.done ? null : next.value);
+            } catch (error) {
+                this.destroy(error);
+            }
+        }
+    });
+}
+
+/**
+ * Incremental CSV record parser: feed it chunks, get back the records completed so far
+ * Quotes and CRLF split across chunks are handled, so it works on stream data
+ * @param {Object} options - { delimiter: ',' }
+ * @returns {Object} { push(chunk) => records, end() => records } where a record is an array of fields
+ */
+function createRecordParser(options = {}) {
+    const { delimiter = ',' } = options;
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let quoteSeen = false;
+    let skipLF = false;
+    let started = false;
+
+    const push = chunk => {
+        const records = [];
+        let text = String(chunk);
+        if (!started) {
+            text = text.replace(/^\uFEFF/, '');
+            started = true;
+        }
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (skipLF) {
+                skipLF = false;
+                if (char === '\n') {
+                    continue;
+                }
+            }
+
+            if (quoted) {
+                if (quoteSeen) {
+                    quoteSeen = false;
+                    if (char === '"') {
+                        field += '"';
+                        continue;
+                    }
+                    // The quote closed the field; handle this character as unquoted
+                    quoted = false;
+                } else if (char === '"') {
+                    quoteSeen = true;
+                    continue;
+                } else {
+                    field += char;
+                    continue;
+                }
+            }
+
+            if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                skipLF = char === '\r';
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        return records;
+    };
+
+    const end = () => {
+        if (quoted && !quoteSeen) {
+            throw new Error('CSV ends inside a quoted field');
+        }
+        quoted = false;
+        quoteSeen = false;
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            const last = record;
+            record = [];
+            field = '';
+            return [last];
+        }
+        return [];
+    };
+
+    return { push, end };
+}
+
+/**
+ * Turn records into objects keyed by the header record, skipping blank lines
+ * @private
+ */
+function createRowBuilder() {
+    let headers = null;
+    return records => records
+        .filter(values => values.length > 1 || values[0] !== '')
+        .map(values => {
+            if (!headers) {
+                headers = values.map(header => header.trim());
+                return null;
+            }
+            const row = {};
+            headers.forEach((header, i) => {
+                row[header] = values[i] !== undefined ? values[i] : '';
+            });
+            return row;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, line breaks inside quotes, CRLF or LF)
+ * The first row is the header; each following row becomes an object keyed by header
+ * @param {string} text - CSV text (a leading byte order mark is ignored)
+ * @param {Object} options - { delimiter: ',' }
+ * @returns {Array<Object>} Rows
+ */
+function parseCSV(text, options = {}) {
+    const parser = createRecordParser(options);
+    const toRows = createRowBuilder();
+    return toRows(parser.push(text).concat(parser.end()));
+}
+
+/**
+ * Parse CSV from a readable stream, one row object at a time (for files too big to load at once)
+ * @param {Readable} input - Stream of CSV text, e.g. fs.createReadStream(file, 'utf8')
+ * @param {Object} options - { delimiter: ',' }
+ * @returns {AsyncIterator<Object>} Rows
+ */
+async function* parseCSVStream(input, options = {}) {
+    const parser = createRecordParser(options);
+    const toRows = createRowBuilder();
+    for await (const chunk of input) {
+        yield* toRows(parser.push(chunk));
+    }
+    yield* toRows(parser.end());
+}
+
+module.exports = {
+    escapeField,
+    resolveColumns,
+    csvLines,
+    tabulate,
+    toCSV,
+    createCSVStream,
+    createRecordParser,
+    parseCSV,
+    parseCSVStream
+};
@@ -0,0 +1,191 @@
+/**
+ * NDJSON, YAML and SQL serializers shared by DistrictUtils and PostalUtils
+ * Like lib/csv.js and lib/geo-export.js these only turn rows into text; the utility classes decide what rows to export
+ */
+
+const SQL_DIALECTS = ['postgres', 'mysql', 'sqlite'];
+
+// Rows per INSERT statement; keeps statements well under MySQL's default max_allowed_packet
+const SQL_BATCH_SIZE = 250;
+
+/**
+ * Newline-delimited JSON: one object per line, easy to stream into BigQuery, Elasticsearch or jq
+ * @param {Iterable<Object>} rows - Rows to write
+ * @returns {string} NDJSON text (ends with a newline)
+ */
+function toNDJSON(rows) {
+    return Array.from(rows, row => JSON.stringify(row) + '\n').join('');
+}
+
+/**
+ * YAML for plain JSON data (objects, arrays, strings, numbers, booleans, null)
+ * Strings that could be read as something else ('33700', 'yes', 'a: b') are double-quoted
+ * @param {*} value - Data to write
+ * @returns {string} YAML text
+ */
+function toYAML(value) {
+    const RESERVED = /^(true|false|yes|no|on|off|null|~|y|n)$/i;
+    const scalar = item => {
+        if (item === null || item === undefined) {
+            return 'null';
+        }
+        if (typeof item === 'number' || typeof item === 'boolean') {
+            return String(item);
+        }
+        const text = String(item);
+        const plain = /^[A-Za-z\u0900-\u097F][\w .,()'\/\u0900-\u097F-]*$/.test(text) && !RESERVED.test(text) && text === text.trim();
+        return plain ? text : JSON.stringify(text);
+    };
+    const isEmpty = item => (Array.isArray(item) ? item.length === 0 : Object.keys(item).length === 0);
+    const isNested = item => item !== null && typeof item === 'object' && !isEmpty(item);
+
+    const write = (item, indent) => {
+        const pad = ' '.repeat(indent);
+        if (Array.isArray(item)) {
+            return item.map(entry => {
+                if (!isNested(entry)) {
+                    return `${pad}- ${entry !== null && typeof entry === 'object' ? (Array.isArray(entry) ? '[]' : '{}') : scalar(entry)}`;
+                }
+                // First key of an object goes on the dash line
+                return `${pad}- ${write(entry, indent + 2).slice(indent + 2)}`;
+            }).join('\n');
+        }
+        return Object.keys(item).map(key => {
+            const entry = item[key];
+            if (isNested(entry)) {
+                return `${pad}${scalar(key)}:\n${write(entry, Array.isArray(entry) ? indent : indent + 2)}`;
+            }
+            const text = entry !== null && typeof entry === 'object' ? (Array.isArray(entry) ? '[]' : '{}') : scalar(entry);
+            return `${pad}${scalar(key)}: ${text}`;
+        }).join('\n');
+    };
+
+    if (!isNested(value)) {
+        return (value !== null && typeof value === 'object' ? (Array.isArray(value) ? '[]' : '{}') : scalar(value)) + '\n';
+    }
+    return write(value, 0) + '\n';
+}
+
+/**
+ * SQL script that creates and fills provinces, districts and (optionally) post_offices tables
+ * districts.province_id references provinces.id; post_offices.district_id references districts.id
+ * @param {Object} geoData - NepalGeoData instance (provinces and districts always come from here)
+ * @param {Object} options - { dialect: 'postgres' | 'mysql' | 'sqlite', postOffices: null | [...], createTables: true, dropTables: false }
+ * @returns {string} SQL script
+ */
+function toSQL(geoData, options = {}) {
+    const { dialect = 'postgres', postOffices = null, createTables = true, dropTables = false } = options;
+    if (!SQL_DIALECTS.includes(dialect)) {
+        throw new Error(`Unsupported SQL dialect: ${dialect}. Use one of: ${SQL_DIALECTS.join(', ')}`);
+    }
+
+    const quoteName = name => (dialect === 'mysql' ? `\`${name}\`` : `"${name}"`);
+    const literal = value => {
+        if (value === null || value === undefined) {
+            return 'NULL';
+        }
+        if (typeof value === 'number') {
+            return String(value);
+        }
+        const text = String(value).replace(/'/g, "''");
+        // MySQL treats backslashes as escapes inside string literals by default
+        return `'${dialect === 'mysql' ? text.replace(/\\/g, '\\\\') : text}'`;
+    };
+    const decimal = dialect === 'sqlite' ? 'REAL' : 'DECIMAL(9, 6)';
+    const text = length => (dialect === 'sqlite' ? 'TEXT' : `VARCHAR(${length})`);
+
+    const provinces = geoData.getAllProvinces();
+    const districts = provinces.reduce((all, province) => all.concat(province.districts), []).sort((a, b) => a.id - b.id);
+
+    const tables = [
+        {
+            name: 'provinces',
+            columns: [
+                ['id', 'INTEGER NOT NULL PRIMARY KEY'],
+                ['name', `${text(50)} NOT NULL`],
+                ['official_name', text(100)],
+                ['nepali_name', text(100)],
+                ['capital', text(50)]
+            ],
+            rows: provinces.map(p => [p.number, p.name, p.officialName, p.nepaliName, p.capital])
+        },
+        {
+            name: 'districts',
+            columns: [
+                ['id', 'INTEGER NOT NULL PRIMARY KEY'],
+                ['province_id', 'INTEGER NOT NULL'],
+                ['name', `${text(50)} NOT NULL`],
+                ['nepali_name', text(100)],
+                ['postal_name', text(50)],
+                ['cbs_code', text(2)],
+                ['headquarters', text(50)],
+                ['lat', decimal],
+                ['lng', decimal]
+            ],
+            foreignKeys: [['province_id', 'provinces']],
+            rows: districts.map(d => [
+                d.id, d.provinceNumber, d.name, d.nepaliName, d.postalName, d.cbsCode, d.headquarters,
+                d.coordinates ? d.coordinates.lat : null, d.coordinates ? d.coordinates.lng : null
+            ])
+        }
+    ];
+
+    if (postOffices) {
+        tables.push({
+            name: 'post_offices',
+            columns: [
+                ['postal_code', `${text(5)} NOT NULL PRIMARY KEY`],
+                ['district_id', 'INTEGER NOT NULL'],
+                ['name', `${text(100)} NOT NULL`],
+                ['nepali_name', text(100)],
+                ['type', text(20)],
+                ['lat', decimal],
+                ['lng', decimal]
+            ],
+            foreignKeys: [['district_id', 'districts']],
+            rows: postOffices.map(po => [
+                po.postalCode, po.districtId, po.name, po.nepaliName, po.type,
+                po.coordinates ? po.coordinates.lat : null, po.coordinates ? po.coordinates.lng : null
+            ])
+        });
+    }
+
+    const statements = [`-- Nepal geographic data (${dialect})`];
+    if (dialect === 'sqlite') {
+        statements.push('PRAGMA foreign_keys = ON;');
+    }
+
+    if (dropTables) {
+        // Children first so the foreign keys don't get in the way
+        tables.slice().reverse().forEach(table => statements.push(`DROP TABLE IF EXISTS ${quoteName(table.name)};`));
+    }
+
+    tables.forEach(table => {
+        if (createTables) {
+            // Table-level constraints: MySQL ignores REFERENCES written on the column itself
+            const columns = table.columns.map(([name, type]) => `    ${quoteName(name)} ${type}`)
+                .concat((table.foreignKeys || []).map(([column, parent]) =>
+                    `    FOREIGN KEY (${quoteName(column)}) REFERENCES ${quoteName(parent)} (${quoteName('id')})`))
+                .join(',\n');
+            const suffix = dialect === 'mysql' ? ' ENGINE=InnoDB DEFAULT CHARSET=utf8mb4' : '';
+            statements.push(`CREATE TABLE IF NOT EXISTS ${quoteName(table.name)} (\n${columns}\n)${suffix};`);
+        }
+
+        const columnList = table.columns.map(([name]) => quoteName(name)).join(', ');
+        for (let i = 0; i < table.rows.length; i += SQL_BATCH_SIZE) {
+            const values = table.rows.slice(i, i + SQL_BATCH_SIZE)
+                .map(row => `    (${row.map(literal).join(', ')})`)
+                .join(',\n');
+            statements.push(`INSERT INTO ${quoteName(table.name)} (${columnList}) VALUES\n${values};`);
+        }
+    });
+
+    return statements.join('\n\n') + '\n';
+}
+
+module.exports = {
+    SQL_DIALECTS,
+    toNDJSON,
+    toYAML,
+    toSQL
+};
@@ -0,0 +1,325 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCSV } = require('./csv');
+const { getOfficeTypes, normalizeOfficeType } = require('./office-types');
+
+/**
+ * Custom postal data: read a user-supplied source (object, JSON/CSV file or loader function), apply overrides
+ * (add, update, remove post offices) and check the result before NepalGeoData builds anything from it
+ *
+ * Records may use the bundled file's keys ('District', 'Post Office', 'Postal/Pin Code', 'Post Office Type') or
+ * plain ones: { district, name, postalCode, type, nepaliName, coordinates: { lat, lng } }
+ */
+
+// Header/key spellings we accept, compared with case, spaces and punctuation removed
+const FIELD_KEYS = {
+    district: 'district',
+    postoffice: 'name',
+    name: 'name',
+    postalpincode: 'postalCode',
+    postalcode: 'postalCode',
+    postcode: 'postalCode',
+    pincode: 'postalCode',
+    postofficetype: 'type',
+    type: 'type',
+    nepaliname: 'nepaliName',
+    coordinates: 'coordinates',
+    lat: 'lat',
+    latitude: 'lat',
+    lng: 'lng',
+    lon: 'lng',
+    longitude: 'lng'
+};
+
+const BUNDLED_PATH = path.join(__dirname, '../data/postal-data.json');
+
+// Most problems listed in one error message; the error's `problems` array has all of them
+const MAX_LISTED = 10;
+
+/**
+ * Thrown when a data source or its overrides don't fit the schema
+ * `problems` lists every problem as { path, message }, e.g. { path: 'dataSource[12].postalCode', message: '...' }
+ */
+class DataSourceError extends Error {
+    constructor(problems) {
+        const listed = problems.slice(0, MAX_LISTED).map(problem => `  ${problem.path}: ${problem.message}`);
+        if (problems.length > MAX_LISTED) {
+            listed.push(`  ... and ${problems.length - MAX_LISTED} more`);
+        }
+        super(`Invalid postal data (${problems.length} problem${problems.length === 1 ? '' : 's'}):\n${listed.join('\n')}`);
+        this.name = 'DataSourceError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * The bundled postal data file ({ postal_data, metadata })
+ * @private
+ */
+function readBundled() {
+    return JSON.parse(fs.readFileSync(BUNDLED_PATH, 'utf8'));
+}
+
+/**
+ * Turn a record with any accepted keys into { district, name, postalCode, type, nepaliName, coordinates }
+ * @private
+ */
+function normalizeRecord(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return entry;
+    }
+
+    const record = {};
+    Object.keys(entry).forEach(key => {
+        const field = FIELD_KEYS[key.toLowerCase().replace(/[^a-z]/g, '')];
+        if (field && entry[key] !== '' && entry[key] !== undefined) {
+            record[field] = entry[key];
+        }
+    });
+
+    if (typeof record.postalCode === 'number') {
+        record.postalCode = String(record.postalCode);
+    }
+    if (typeof record.postalCode === 'string') {
+        record.postalCode = record.postalCode.trim();
+    }
+    // CSV gives lat and lng as separate text columns
+    if (record.coordinates === undefined && record.lat !== undefined && record.lng !== undefined) {
+        record.coordinates = { lat: Number(record.lat), lng: Number(record.lng) };
+    }
+    delete record.lat;
+    delete record.lng;
+    return record;
+}
+
+/**
+ * Read a data source into an array of records (not yet checked)
+ * @private
+ */
+function readSource(source, label) {
+    let data = source;
+    if (typeof source === 'function') {
+        data = source(readBundled().postal_data.map(normalizeRecord));
+    } else if (typeof source === 'string') {
+        data = readFile(source, label);
+    }
+
+    if (data && !Array.isArray(data) && typeof data === 'object') {
+        data = data.postal_data || data.postOffices;
+    }
+    if (!Array.isArray(data)) {
+        throw new DataSourceError([{
+            path: label,
+            message: 'must be an array of post offices, an object with postal_data or postOffices, a .json/.csv path or a function returning one of those'
+        }]);
+    }
+    return data.map(normalizeRecord);
+}
+
+/**
+ * Read postal data in any form accepted as a data source, without checking it
+ * @param {Array|Object|string|Function} source - Records, { postal_data | postOffices, metadata }, a .json/.csv path or a loader function
+ * @returns {Object} { records: [{ district, name, postalCode, type, ... }], metadata: the source's metadata or null }
+ */
+function readRecords(source) {
+    const data = typeof source === 'string' ? readFile(source, 'dataSource') : source;
+    const metadata = data && typeof data === 'object' && !Array.isArray(data) ? data.metadata || null : null;
+    return { records: readSource(data, 'dataSource'), metadata };
+}
+
+/**
+ * @private
+ */
+function readFile(file, label) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new DataSourceError([{ path: label, message: `cannot read ${file} (${error.code || error.message})` }]);
+    }
+
+    if (path.extname(file).toLowerCase() === '.csv') {
+        return parseCSV(text);
+    }
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new DataSourceError([{ path: label, message: `${file} is not valid JSON (${error.message})` }]);
+    }
+}
+
+/**
+ * Problems with one record, as { path, message }
+ * @private
+ */
+function checkRecord(record, recordPath, isKnownDistrict, partial = false) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return [{ path: recordPath, message: 'must be an object' }];
+    }
+
+    const problems = [];
+    const problem = (field, message) => problems.push({ path: `${recordPath}.${field}`, message });
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+
+    ['district', 'name', 'type'].forEach(field => {
+        if (record[field] === undefined ? !partial : !isText(record[field])) {
+            problem(field, record[field] === undefined ? 'is required' : 'must be a non-empty string');
+        }
+    });
+    if (isText(record.district) && !isKnownDistrict(record.district)) {
+        problem('district', `unknown district '${record.district}'`);
+    }
+    // Any spelling the office type registry knows ('DPO', 'District Post Office'); processData stores the code
+    if (isText(record.type) && !normalizeOfficeType(record.type)) {
+        problem('type', `unknown office type '${record.type}' (use one of: ${getOfficeTypes().map(type => type.code).join(', ')})`);
+    }
+    if (!partial && record.postalCode === undefined) {
+        problem('postalCode', 'is required');
+    } else if (record.postalCode !== undefined && !/^\d{5}$/.test(record.postalCode)) {
+        problem('postalCode', `must be 5 digits, got '${record.postalCode}'`);
+    }
+    if (record.nepaliName !== undefined && record.nepaliName !== null && !isText(record.nepaliName)) {
+        problem('nepaliName', 'must be a non-empty string');
+    }
+    if (record.coordinates !== undefined && record.coordinates !== null) {
+        const { lat, lng } = record.coordinates;
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            problem('coordinates', 'must be { lat, lng } in degrees');
+        }
+    }
+    return problems;
+}
+
+/**
+ * Apply { add, update, remove } overrides to checked records
+ * @private
+ */
+function applyOverrides(records, overrides, isKnownDistrict, problems) {
+    const byCode = new Map(records.map(record => [record.postalCode, record]));
+    const counts = { added: 0, updated: 0, removed: 0 };
+    const list = (key, value) => {
+        if (value === undefined) {
+            return [];
+        }
+        if (!Array.isArray(value)) {
+            problems.push({ path: `overrides.${key}`, message: 'must be an array' });
+            return [];
+        }
+        return value;
+    };
+
+    list('remove', overrides.remove).forEach((entry, i) => {
+        const code = typeof entry === 'object' && entry !== null ? normalizeRecord(entry).postalCode : String(entry);
+        if (!byCode.has(code)) {
+            problems.push({ path: `overrides.remove[${i}]`, message: `no post office with postal code ${code}` });
+            return;
+        }
+        byCode.delete(code);
+        counts.removed++;
+    });
+
+    list('update', overrides.update).forEach((entry, i) => {
+        const entryPath = `overrides.update[${i}]`;
+        const changes = normalizeRecord(entry);
+        const entryProblems = checkRecord(changes, entryPath, isKnownDistrict, true);
+        if (!changes || !changes.postalCode) {
+            entryProblems.push({ path: `${entryPath}.postalCode`, message: 'is required to pick the post office to update' });
+        } else if (!byCode.has(changes.postalCode)) {
+            entryProblems.push({ path: `${entryPath}.postalCode`, message: `no post office with postal code ${changes.postalCode}` });
+        }
+        if (entryProblems.length > 0) {
+            problems.push(...entryProblems);
+            return;
+        }
+        byCode.set(changes.postalCode, { ...byCode.get(changes.postalCode), ...changes });
+        counts.updated++;
+    });
+
+    list('add', overrides.add).forEach((entry, i) => {
+        const entryPath = `overrides.add[${i}]`;
+        const record = normalizeRecord(entry);
+        const entryProblems = checkRecord(record, entryPath, isKnownDistrict);
+        if (entryProblems.length === 0 && byCode.has(record.postalCode)) {
+            entryProblems.push({ path: `${entryPath}.postalCode`, message: `${record.postalCode} already exists (use overrides.update to change it)` });
+        }
+        if (entryProblems.length > 0) {
+            problems.push(...entryProblems);
+            return;
+        }
+        byCode.set(record.postalCode, record);
+        counts.added++;
+    });
+
+    return { records: Array.from(byCode.values()), counts };
+}
+
+/**
+ * Load postal data from a custom source and/or overrides
+ * @param {Object} options - {
+ *   source: null | Array | Object | 'file.json' | 'file.csv' | (bundledRecords) => records,
+ *   overrides: null | { add: [...], update: [{ postalCode, ...changes }], remove: ['44617'] } | 'overrides.json',
+ *   isKnownDistrict: name => boolean
+ * }
+ * @returns {Object} { postal_data: [records in the bundled file's format], metadata }
+ */
+function loadPostalData(options) {
+    const { source = null, overrides = null, isKnownDistrict } = options;
+    const bundled = source ? null : readBundled();
+    const records = source ? readSource(source, 'dataSource') : bundled.postal_data.map(normalizeRecord);
+
+    const problems = [];
+    const seen = new Set();
+    records.forEach((record, i) => {
+        const recordPath = `${source ? 'dataSource' : 'bundled data'}[${i}]`;
+        problems.push(...checkRecord(record, recordPath, isKnownDistrict));
+        if (record && record.postalCode) {
+            if (seen.has(record.postalCode)) {
+                problems.push({ path: `${recordPath}.postalCode`, message: `duplicate postal code ${record.postalCode}` });
+            }
+            seen.add(record.postalCode);
+        }
+    });
+    if (problems.length > 0) {
+        throw new DataSourceError(problems);
+    }
+
+    let result = { records, counts: { added: 0, updated: 0, removed: 0 } };
+    if (overrides) {
+        const changes = typeof overrides === 'string' ? readFile(overrides, 'overrides') : overrides;
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            throw new DataSourceError([{ path: 'overrides', message: 'must be an object with add, update and/or remove arrays' }]);
+        }
+        result = applyOverrides(records, changes, isKnownDistrict, problems);
+        if (problems.length > 0) {
+            throw new DataSourceError(problems);
+        }
+    }
+
+    return {
+        postal_data: result.records.map(record => ({
+            District: record.district.trim(),
+            'Post Office': record.name.trim(),
+            'Postal/Pin Code': record.postalCode,
+            'Post Office Type': record.type.trim(),
+            nepaliName: record.nepaliName || null,
+            coordinates: record.coordinates
+                ? { lat: record.coordinates.lat, lng: record.coordinates.lng, precision: 'exact' }
+                : null
+        })),
+        metadata: {
+            // Patched bundled data keeps its version with a build suffix (1.0.0+overrides); other sources have none
+            dataVersion: bundled && bundled.metadata.dataVersion
+                ? `${bundled.metadata.dataVersion}${overrides ? '+overrides' : ''}`
+                : null,
+            // Only the untouched bundled file still matches its stamped checksum
+            checksum: bundled && !overrides ? bundled.metadata.checksum || null : null,
+            totalRecords: result.records.length,
+            source: source ? (typeof source === 'string' ? source : 'custom') : bundled.metadata.source,
+            retrievedAt: bundled ? bundled.metadata.retrievedAt || null : null,
+            lastUpdated: bundled ? bundled.metadata.lastUpdated || null : null,
+            overrides: result.counts
+        }
+    };
+}
+
+module.exports = { DataSourceError, loadPostalData, readRecords };
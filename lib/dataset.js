@@ -0,0 +1,381 @@
+const crypto = require('crypto');
+const { readRecords } = require('./data-source');
+const { normalizeText } = require('./devanagari');
+const { isOfficeType, normalizeOfficeType, findMainOffice } = require('./office-types');
+
+/**
+ * Postal dataset versions: checksums, version info, what changed between two releases and integrity checks
+ *
+ * The bundled data/postal-data.json carries its own version in metadata (dataVersion, source, retrievedAt,
+ * lastUpdated, checksum); scripts/stamp-data.js updates it after the data is edited.
+ */
+
+// What validateDataset checks, and how bad a finding is
+const DATASET_CHECKS = {
+    missingField: 'error',
+    invalidPostalCode: 'error',
+    duplicateCode: 'error',
+    unknownType: 'error',
+    unknownDistrict: 'error',
+    prefixRange: 'error',
+    districtSpelling: 'warning',
+    orphanDistrict: 'warning',
+    duplicateName: 'warning',
+    nameAnomaly: 'warning'
+};
+
+/**
+ * Checksum of the post office records, independent of key names, record order and file formatting
+ * @param {Array|Object|string} data - Records, { postal_data }, or a .json/.csv path
+ * @returns {string} 'sha256:<hex>'
+ */
+function datasetChecksum(data) {
+    const { records } = readRecords(data);
+    const canonical = records
+        .map(record => [record.postalCode, record.district, record.name, record.type].map(value => String(value).trim()))
+        .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    return 'sha256:' + crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex');
+}
+
+/**
+ * Version info of a dataset
+ * @param {Array|Object|string} data - Records, { postal_data, metadata }, or a .json/.csv path
+ * @returns {Object} { version, source, retrievedAt, lastUpdated, totalRecords, checksum, verified }
+ *   verified is true when the stored checksum matches the records, false when it doesn't, null when there is none
+ */
+function getDatasetInfo(data) {
+    const { records, metadata } = readRecords(data);
+    return describe(records, metadata);
+}
+
+/**
+ * @private
+ */
+function describe(records, metadata) {
+    const meta = metadata || {};
+    const checksum = datasetChecksum(records);
+
+    return {
+        version: meta.dataVersion || null,
+        source: meta.source || null,
+        retrievedAt: meta.retrievedAt || null,
+        lastUpdated: meta.lastUpdated || null,
+        totalRecords: records.length,
+        checksum,
+        verified: meta.checksum ? meta.checksum === checksum : null
+    };
+}
+
+/**
+ * @private
+ */
+function summarize(record) {
+    return { postalCode: record.postalCode, name: record.name, district: record.district, type: record.type };
+}
+
+/**
+ * @private
+ */
+function sameText(a, b) {
+    return normalizeText(String(a || '')) === normalizeText(String(b || ''));
+}
+
+/**
+ * Compare two datasets, matching post offices by postal code
+ * A post office that disappears under one code and appears under another with the same name and district
+ * is reported as a postal code change, not as a removal plus an addition
+ * @param {Array|Object|string} oldData - Records, { postal_data, metadata }, or a .json/.csv path
+ * @param {Array|Object|string} newData - Same forms
+ * @returns {Object} { from, to, added, removed, renamed, postalCodeChanged, changed, summary }
+ */
+function diffDatasets(oldData, newData) {
+    const oldSet = readRecords(oldData);
+    const newSet = readRecords(newData);
+    const before = oldSet.records;
+    const after = newSet.records;
+    const oldByCode = new Map(before.map(record => [record.postalCode, record]));
+    const newByCode = new Map(after.map(record => [record.postalCode, record]));
+
+    const renamed = [];
+    const changed = [];
+    let unchanged = 0;
+    oldByCode.forEach((oldRecord, postalCode) => {
+        const newRecord = newByCode.get(postalCode);
+        if (!newRecord) {
+            return;
+        }
+
+        let same = true;
+        if (oldRecord.name !== newRecord.name) {
+            renamed.push({ postalCode, district: newRecord.district, from: oldRecord.name, to: newRecord.name });
+            same = false;
+        }
+        const changes = {};
+        ['district', 'type'].forEach(field => {
+            if (oldRecord[field] !== newRecord[field]) {
+                changes[field] = { from: oldRecord[field], to: newRecord[field] };
+            }
+        });
+        if (Object.keys(changes).length > 0) {
+            changed.push({ postalCode, name: newRecord.name, changes });
+            same = false;
+        }
+        if (same) {
+            unchanged++;
+        }
+    });
+
+    let removed = before.filter(record => !newByCode.has(record.postalCode));
+    let added = after.filter(record => !oldByCode.has(record.postalCode));
+
+    const postalCodeChanged = [];
+    removed = removed.filter(oldRecord => {
+        const match = added.find(newRecord => sameText(newRecord.name, oldRecord.name) && sameText(newRecord.district, oldRecord.district));
+        if (!match) {
+            return true;
+        }
+        postalCodeChanged.push({ name: match.name, district: match.district, from: oldRecord.postalCode, to: match.postalCode });
+        added = added.filter(record => record !== match);
+        return false;
+    });
+
+    return {
+        from: describe(before, oldSet.metadata),
+        to: describe(after, newSet.metadata),
+        added: added.map(summarize),
+        removed: removed.map(summarize),
+        renamed,
+        postalCodeChanged,
+        changed,
+        summary: {
+            added: added.length,
+            removed: removed.length,
+            renamed: renamed.length,
+            postalCodeChanged: postalCodeChanged.length,
+            changed: changed.length,
+            unchanged,
+            identical: added.length + removed.length + renamed.length + postalCodeChanged.length + changed.length === 0
+        }
+    };
+}
+
+/**
+ * Write a diff as a changelog
+ * @param {Object} diff - Result of diffDatasets
+ * @param {Object} options - { format: 'text' | 'markdown' }
+ * @returns {string} Changelog
+ */
+function formatChangelog(diff, options = {}) {
+    const markdown = options.format === 'markdown';
+    const version = info => info.version || info.checksum.slice(0, 15);
+    const { summary } = diff;
+    const lines = [
+        `${markdown ? '## ' : ''}Postal data ${version(diff.from)} -> ${version(diff.to)}`,
+        '',
+        summary.identical
+            ? 'No changes'
+            : `${summary.added} added, ${summary.removed} removed, ${summary.renamed} renamed, ` +
+              `${summary.postalCodeChanged} postal code changes, ${summary.changed} other changes`
+    ];
+
+    const section = (title, entries, line) => {
+        if (entries.length === 0) {
+            return;
+        }
+        lines.push('', markdown ? `### ${title}` : `${title}:`, '');
+        entries.forEach(entry => lines.push(`${markdown ? '-' : ' '} ${line(entry)}`));
+    };
+    section('Added', diff.added, office => `${office.postalCode} ${office.name} (${office.district}, ${office.type})`);
+    section('Removed', diff.removed, office => `${office.postalCode} ${office.name} (${office.district}, ${office.type})`);
+    section('Renamed', diff.renamed, entry => `${entry.postalCode} (${entry.district}): ${entry.from} -> ${entry.to}`);
+    section('Postal code changed', diff.postalCodeChanged, entry => `${entry.name} (${entry.district}): ${entry.from} -> ${entry.to}`);
+    section('Other changes', diff.changed, entry => `${entry.postalCode} ${entry.name}: ` +
+        Object.keys(entry.changes).map(field => `${field} ${entry.changes[field].from} -> ${entry.changes[field].to}`).join(', '));
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Check a dataset for problems that loading it doesn't catch
+ * Every district's postal codes share a 3-digit prefix, taken from its district office (or, without one, from
+ * most of its post offices); codes outside it usually mean the post office is filed under the wrong district
+ * @param {Array|Object|string} data - Records, { postal_data, metadata }, or a .json/.csv path
+ * @param {Object} geoData - NepalGeoData used to resolve district names (the bundled data if omitted)
+ * @returns {Object} { valid, errors, warnings, summary: { records, districts, errors, warnings, byCheck } }
+ *   Each issue is { check, severity, message, index, postalCode, district, suggestion }
+ */
+function validateDataset(data, geoData = null) {
+    // Required here, not at the top: geo-data itself uses this module
+    const geo = geoData || new (require('./geo-data'))();
+    const { records } = readRecords(data);
+    const issues = [];
+    const report = (check, message, fields = {}) => issues.push({
+        check,
+        severity: DATASET_CHECKS[check],
+        message,
+        index: null,
+        postalCode: null,
+        district: null,
+        suggestion: null,
+        ...fields
+    });
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+
+    const byCode = new Map();
+    const byDistrict = {};
+    const spellings = new Map();
+    records.forEach((record, index) => {
+        if (!record || typeof record !== 'object') {
+            report('missingField', `Record ${index} is not an object`, { index });
+            return;
+        }
+        const postalCode = isText(record.postalCode) ? record.postalCode : null;
+        const at = { index, postalCode, district: isText(record.district) ? record.district.trim() : null };
+        const label = postalCode || `Record ${index}`;
+
+        const missing = ['district', 'name', 'postalCode', 'type'].filter(field => !isText(record[field]));
+        if (missing.length > 0) {
+            report('missingField', `${label} has no ${missing.join(', ')}`, at);
+        }
+
+        if (postalCode && !/^\d{5}$/.test(postalCode)) {
+            report('invalidPostalCode', `${postalCode} is not a 5-digit postal code`, at);
+        } else if (postalCode && byCode.has(postalCode)) {
+            const first = byCode.get(postalCode);
+            report('duplicateCode', `${postalCode} is used by both ${first.name} (record ${first.index}) and ${record.name}`, at);
+        } else if (postalCode) {
+            byCode.set(postalCode, { index, name: record.name });
+        }
+
+        if (isText(record.type) && !isOfficeType(record.type)) {
+            const suggestion = normalizeOfficeType(record.type);
+            report('unknownType', `${label} has unknown office type '${record.type}'` +
+                (suggestion ? ` (did you mean '${suggestion}'?)` : ''), { ...at, suggestion });
+        }
+
+        if (isText(record.name)) {
+            nameAnomalies(record.name).forEach(problem => report('nameAnomaly', `${label} name '${record.name}' ${problem}`, at));
+        }
+
+        if (at.district) {
+            const official = officialDistrict(geo, at.district, postalCode);
+            if (!official) {
+                report('unknownDistrict', `${label} is in unknown district '${at.district}'`, at);
+                return;
+            }
+            const district = geo.adminDistricts[official];
+            if (!geo.postalSplits[at.district] && at.district !== district.name && at.district !== district.postalName) {
+                const spelling = spellings.get(at.district) || { official, count: 0, index };
+                spelling.count++;
+                spellings.set(at.district, spelling);
+            }
+            byDistrict[official] = byDistrict[official] || [];
+            byDistrict[official].push({ ...record, index });
+        }
+    });
+
+    spellings.forEach((spelling, written) => {
+        report('districtSpelling', `District '${written}' (${spelling.count} post office${spelling.count === 1 ? '' : 's'}) ` +
+            `is a misspelling of ${spelling.official}`, { index: spelling.index, district: spelling.official, suggestion: spelling.official });
+    });
+
+    const prefixes = {};
+    Object.keys(byDistrict).forEach(district => {
+        prefixes[district] = districtPrefix(byDistrict[district].filter(record => /^\d{5}$/.test(record.postalCode)));
+    });
+    Object.keys(byDistrict).forEach(district => {
+        const offices = byDistrict[district];
+        offices.filter(record => /^\d{5}$/.test(record.postalCode) && record.postalCode.slice(0, 3) !== prefixes[district])
+            .forEach(record => {
+                const prefix = record.postalCode.slice(0, 3);
+                const owner = Object.keys(prefixes).find(other => prefixes[other] === prefix) || null;
+                report('prefixRange', `${record.postalCode} ${record.name} is outside ${district}'s range (${prefixes[district]}xx)` +
+                    (owner ? `; ${prefix}xx is ${owner}` : ''), { index: record.index, postalCode: record.postalCode, district, suggestion: owner });
+            });
+
+        const names = new Map();
+        offices.filter(record => isText(record.name)).forEach(record => {
+            const key = normalizeText(record.name);
+            names.set(key, (names.get(key) || []).concat(record));
+        });
+        names.forEach(same => {
+            if (same.length > 1) {
+                report('duplicateName', `${same.length} post offices in ${district} are named '${same[0].name}' ` +
+                    `(${same.map(record => record.postalCode).join(', ')})`, { index: same[0].index, postalCode: same[0].postalCode, district });
+            }
+        });
+    });
+
+    Object.keys(geo.adminDistricts).filter(district => !byDistrict[district]).forEach(district => {
+        report('orphanDistrict', `No post offices in ${district}`, { district });
+    });
+
+    const byCheck = {};
+    Object.keys(DATASET_CHECKS).forEach(check => {
+        byCheck[check] = issues.filter(issue => issue.check === check).length;
+    });
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const warnings = issues.filter(issue => issue.severity === 'warning');
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        summary: {
+            records: records.length,
+            districts: Object.keys(byDistrict).length,
+            errors: errors.length,
+            warnings: warnings.length,
+            byCheck
+        }
+    };
+}
+
+/**
+ * Official district for a district name as written in postal data, or null
+ * @private
+ */
+function officialDistrict(geo, written, postalCode) {
+    if (geo.postalSplits[written]) {
+        return geo.normalizeDistrictName(written, postalCode);
+    }
+    const names = geo.resolveDistrictName(written);
+    return names.length === 1 ? names[0] : null;
+}
+
+/**
+ * A district's postal code prefix: its main office's, or the most common one
+ * @private
+ */
+function districtPrefix(offices) {
+    const main = findMainOffice(offices.filter(record => isOfficeType(record.type)));
+    if (main) {
+        return main.postalCode.slice(0, 3);
+    }
+
+    const counts = {};
+    offices.forEach(record => {
+        const prefix = record.postalCode.slice(0, 3);
+        counts[prefix] = (counts[prefix] || 0) + 1;
+    });
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+}
+
+/**
+ * What looks wrong with a post office name
+ * @private
+ */
+function nameAnomalies(name) {
+    const problems = [];
+    if (name !== name.trim() || /\s{2,}/.test(name)) {
+        problems.push('has extra spaces');
+    }
+    if (/^\p{Ll}/u.test(name.trim())) {
+        problems.push('starts with a lowercase letter');
+    }
+    if (/[^\p{L}\p{M} .'()\-]/u.test(name)) {
+        problems.push('has digits or unexpected characters');
+    }
+    return problems;
+}
+
+module.exports = { datasetChecksum, getDatasetInfo, diffDatasets, formatChangelog, validateDataset };
@@ -0,0 +1,151 @@
+/**
+ * Helpers for Nepali text written in Devanagari
+ * People type the same name in slightly different ways (चन्द्रबिन्दु vs अनुस्वार, with or
+ * without nukta, Nepali digits), so everything is normalized before we compare it
+ */
+
+const DEVANAGARI_PATTERN = /[\u0900-\u097F]/;
+
+const VOWELS = {
+    'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ri',
+    'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au'
+};
+
+const VOWEL_SIGNS = {
+    'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri',
+    'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au'
+};
+
+const CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'ng',
+    'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+    'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+    'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+    'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'w',
+    'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+
+const HALANT = '्';
+
+/**
+ * Check if text contains any Devanagari characters
+ * @param {string} text - Text to check
+ * @returns {boolean} True if at least one Devanagari character is present
+ */
+function containsDevanagari(text) {
+    return typeof text === 'string' && DEVANAGARI_PATTERN.test(text);
+}
+
+/**
+ * Normalize Devanagari text so different ways of typing a name compare equal
+ * 'काठमाडौँ' and 'काठमाडौं' both become 'काठमाडौं', and '४४६००' becomes '44600'
+ * @param {string} text - Text in Devanagari (Latin text passes through unchanged)
+ * @returns {string} Normalized text
+ */
+function normalizeDevanagari(text) {
+    if (!text || typeof text !== 'string') {
+        return '';
+    }
+
+    return text
+        .normalize('NFD')
+        .replace(/\u093C/g, '') // nukta
+        .normalize('NFC')
+        .replace(/\u0901/g, '\u0902') // chandrabindu -> anusvara
+        .replace(/[\u200C\u200D]/g, '') // zero-width joiners left behind by some keyboards
+        .replace(/[\u0966-\u096F]/g, digit => String(digit.charCodeAt(0) - 0x0966))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Write ASCII digits as Nepali digits: '44600' -> '४४६००'
+ * @param {string|number} text - Text containing digits
+ * @returns {string} Text with Devanagari digits
+ */
+function toDevanagariDigits(text) {
+    return String(text).replace(/[0-9]/g, digit => String.fromCharCode(0x0966 + Number(digit)));
+}
+
+/**
+ * Normalize any name for lookups: lowercase Latin, normalized Devanagari, single spaces
+ * @param {string} text - Name in either script
+ * @returns {string} Lookup key
+ */
+function normalizeText(text) {
+    return normalizeDevanagari(text).toLowerCase();
+}
+
+/**
+ * Split mixed-script input into its Latin and Devanagari parts
+ * e.g. 'Baneshwor, काठमाडौं' -> { latin: 'Baneshwor', devanagari: 'काठमाडौं' }
+ * Nepali digits are converted and kept with the Latin part so postal codes still work
+ * @param {string} text - Query as typed
+ * @returns {Object} { latin, devanagari }
+ */
+function splitScripts(text) {
+    const latin = [];
+    const devanagari = [];
+
+    normalizeDevanagari(text).split(/[\s,]+/).filter(Boolean).forEach(token => {
+        if (containsDevanagari(token)) {
+            devanagari.push(token);
+        } else {
+            latin.push(token);
+        }
+    });
+
+    return {
+        latin: latin.join(' '),
+        devanagari: devanagari.join(' ')
+    };
+}
+
+/**
+ * Rough romanization of Devanagari, close to how Nepali names are usually spelt in English
+ * Only meant for matching ('बनेपा' -> 'banepa'), not for display
+ * @param {string} text - Devanagari text
+ * @returns {string} Lowercase Latin text
+ */
+function toRoman(text) {
+    const words = normalizeDevanagari(text).split(' ');
+
+    return words.map(word => {
+        let result = '';
+        const chars = Array.from(word);
+
+        chars.forEach((char, i) => {
+            const next = chars[i + 1];
+
+            if (CONSONANTS[char]) {
+                result += CONSONANTS[char];
+                // Inherent 'a' unless a vowel sign or halant follows, and never at the end of a word
+                if (next && !VOWEL_SIGNS[next] && next !== HALANT) {
+                    result += 'a';
+                }
+            } else if (VOWEL_SIGNS[char]) {
+                result += VOWEL_SIGNS[char];
+            } else if (VOWELS[char]) {
+                result += VOWELS[char];
+            } else if (char === 'ं') {
+                result += 'n';
+            } else if (char === 'ः') {
+                result += 'h';
+            } else if (char !== HALANT) {
+                result += char;
+            }
+        });
+
+        return result;
+    }).join(' ').toLowerCase();
+}
+
+module.exports = {
+    containsDevanagari,
+    normalizeDevanagari,
+    normalizeText,
+    splitScripts,
+    toDevanagariDigits,
+    toRoman
+};
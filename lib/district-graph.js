@@ -0,0 +1,154 @@
+/**
+ * District adjacency graph: which districts share a border, and how far apart districts are in hops
+ * Handy for delivery zones ("everything within 2 districts of Kathmandu") and rough routing
+ * District names can be official names, postal names or aliases ('Kavre', 'Chitawan')
+ */
+class DistrictGraph {
+    constructor(geoData) {
+        this.geoData = geoData;
+    }
+
+    /**
+     * Get the districts that share a border with a district
+     * @param {string} districtName - District name
+     * @returns {Array<string>} Neighboring district names (sorted), or [] if the district is unknown
+     */
+    getNeighbors(districtName) {
+        const name = this.resolve(districtName);
+        return name ? this.geoData.districtBorders.neighbors[name].slice().sort() : [];
+    }
+
+    /**
+     * Check if two districts share a border
+     * @param {string} a - District name
+     * @param {string} b - District name
+     * @returns {boolean} True if they are neighbors
+     */
+    areNeighbors(a, b) {
+        const from = this.resolve(a);
+        const to = this.resolve(b);
+        return Boolean(from && to && this.geoData.districtBorders.neighbors[from].includes(to));
+    }
+
+    /**
+     * Shortest path between two districts, counted in district borders crossed
+     * @param {string} from - Start district
+     * @param {string} to - Destination district
+     * @returns {Object|null} { path: ['Kathmandu', 'Dhading', 'Gorkha'], hops: 2 } or null if either district is unknown
+     */
+    getShortestPath(from, to) {
+        const start = this.resolve(from);
+        const end = this.resolve(to);
+        if (!start || !end) {
+            return null;
+        }
+
+        // Breadth-first search; neighbors are visited in name order so the result is stable
+        const previous = { [start]: null };
+        const queue = [start];
+        while (queue.length > 0 && !(end in previous)) {
+            const current = queue.shift();
+            this.getNeighbors(current).forEach(next => {
+                if (!(next in previous)) {
+                    previous[next] = current;
+                    queue.push(next);
+                }
+            });
+        }
+
+        if (!(end in previous)) {
+            return null;
+        }
+
+        const path = [];
+        for (let step = end; step !== null; step = previous[step]) {
+            path.unshift(step);
+        }
+        return { path, hops: path.length - 1 };
+    }
+
+    /**
+     * All districts within N borders of a district (not including the district itself)
+     * @param {string} districtName - Center district
+     * @param {number} maxHops - How many borders to cross (1 = direct neighbors)
+     * @returns {Array<Object>} [{ name, hops }] sorted by hops, then name
+     */
+    getDistrictsWithinHops(districtName, maxHops = 1) {
+        const start = this.resolve(districtName);
+        if (!start || !Number.isInteger(maxHops) || maxHops < 1) {
+            return [];
+        }
+
+        const hops = { [start]: 0 };
+        let frontier = [start];
+        for (let distance = 1; distance <= maxHops && frontier.length > 0; distance++) {
+            const next = [];
+            frontier.forEach(name => {
+                this.getNeighbors(name).forEach(neighbor => {
+                    if (!(neighbor in hops)) {
+                        hops[neighbor] = distance;
+                        next.push(neighbor);
+                    }
+                });
+            });
+            frontier = next;
+        }
+
+        return Object.keys(hops)
+            .filter(name => name !== start)
+            .map(name => ({ name, hops: hops[name] }))
+            .sort((a, b) => a.hops - b.hops || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Countries a district shares a border with
+     * @param {string} districtName - District name
+     * @returns {Array<string>} e.g. ['China', 'India'] for Darchula, [] for inland districts
+     */
+    getInternationalBorders(districtName) {
+        const name = this.resolve(districtName);
+        return name ? this.geoData.districtBorders.international[name].slice() : [];
+    }
+
+    /**
+     * Check if a district borders India
+     * @param {string} districtName - District name
+     * @returns {boolean} True if it does
+     */
+    bordersIndia(districtName) {
+        return this.getInternationalBorders(districtName).includes('India');
+    }
+
+    /**
+     * Check if a district borders China
+     * @param {string} districtName - District name
+     * @returns {boolean} True if it does
+     */
+    bordersChina(districtName) {
+        return this.getInternationalBorders(districtName).includes('China');
+    }
+
+    /**
+     * Get every district on the border with a country
+     * @param {string} country - 'India' or 'China'
+     * @returns {Array<string>} District names (sorted)
+     */
+    getBorderDistricts(country) {
+        const international = this.geoData.districtBorders.international;
+        return Object.keys(international).filter(name => international[name].includes(country)).sort();
+    }
+
+    /**
+     * Official name for any district spelling
+     * @private
+     */
+    resolve(districtName) {
+        if (!districtName || typeof districtName !== 'string') {
+            return null;
+        }
+        const district = this.geoData.getAdminDistrictByName(districtName);
+        return district ? district.name : null;
+    }
+}
+
+module.exports = DistrictGraph;
@@ -1,6 +1,27 @@
+const ProvinceUtils = require('./province-utils');
+const DistrictGraph = require('./district-graph');
+const BoundaryUtils = require('./boundaries');
+const { exportFeatures, isGeoFormat, pointFeature } = require('./geo-export');
+const { toCSV, tabulate, createCSVStream } = require('./csv');
+const { toNDJSON, toYAML, toSQL } = require('./data-export');
+const { toXLSX } = require('./xlsx');
+const { isMainOffice, findMainOffice, matchesOfficeType } = require('./office-types');
+
+const mainPostOffice = district => findMainOffice(district.postOffices) || district.postOffices[0];
+
+// Default CSV columns; pick others with exportData('csv', { columns: ['name', 'province', 'coordinates.lat'] })
+const CSV_COLUMNS = [
+    { key: 'name', header: 'District Name' },
+    { key: 'postOfficeCount', header: 'Post Office Count' },
+    { key: 'mainPostOfficeType', header: 'Main Post Office Type', value: district => mainPostOffice(district).type }
+];
+
 class DistrictUtils {
     constructor(geoData) {
         this.geoData = geoData;
+        this.provinces = new ProvinceUtils(geoData);
+        this.graph = new DistrictGraph(geoData);
+        this.boundaries = new BoundaryUtils(geoData);
     }
 
     /**
@@ -14,7 +35,7 @@ class DistrictUtils {
 
     /**
      * Find a district by its name (case-insensitive)
-     * Works with partial matches too - 'kath' will find 'Kathmandu'
+     * Postal-service names and common misspellings work too - 'Chitawan' finds 'Chitwan'
      * @param {string} name - District name to search for
      * @returns {Object|null} District object or null if not found
      */
@@ -25,6 +46,57 @@ class DistrictUtils {
         return this.geoData.getDistrictByName(name);
     }
 
+    /**
+     * Find a district by its stable registry id (1-77, ordered by province)
+     * @param {number} id - District id
+     * @returns {Object|null} District object or null if not found
+     */
+    getDistrictById(id) {
+        const adminDistrict = this.geoData.getAdminDistrictById(id);
+        return adminDistrict ? this.geoData.getDistrictByName(adminDistrict.name) : null;
+    }
+
+    /**
+     * Find districts by CBS code
+     * Codes are the pre-2015 ones, so '54' returns both Rukum East and Rukum West
+     * @param {string} cbsCode - Two-digit CBS district code
+     * @returns {Array<Object>} Array of district objects
+     */
+    getDistrictsByCbsCode(cbsCode) {
+        const code = String(cbsCode).padStart(2, '0');
+        return this.getAllDistricts().filter(district => district.cbsCode === code);
+    }
+
+    /**
+     * Map any district name (postal-service name, old spelling, alias) to official names
+     * @param {string} name - District name
+     * @returns {Array<string>} Official district names ('Rukum' gives two)
+     */
+    resolveDistrictName(name) {
+        return this.geoData.resolveDistrictName(name);
+    }
+
+    /**
+     * Get the district registry: id, CBS code, official and Nepali names, postal name and headquarters
+     * @returns {Array<Object>} Registry entries ordered by id
+     */
+    getDistrictRegistry() {
+        return this.provinces.getAllProvinces()
+            .reduce((all, province) => all.concat(province.districts), [])
+            .map(district => ({
+                id: district.id,
+                cbsCode: district.cbsCode,
+                name: district.name,
+                nepaliName: district.nepaliName,
+                postalName: district.postalName,
+                province: district.province,
+                headquarters: district.headquarters,
+                coordinates: district.coordinates,
+                aliases: district.aliases
+            }))
+            .sort((a, b) => a.id - b.id);
+    }
+
     /**
      * Get total number of districts
      * @returns {number} Total districts count
@@ -106,7 +178,7 @@ class DistrictUtils {
             name: district.name,
             totalPostOffices: district.postOfficeCount,
             postOfficeTypes: postOfficeTypes,
-            hasMainPostOffice: district.postOffices.some(po => po.type === 'D.P.O.' || po.type === 'G.P.O.'),
+            hasMainPostOffice: district.postOffices.some(isMainOffice),
             postalCodeRange: this.getPostalCodeRange(district)
         };
     }
@@ -131,49 +203,58 @@ class DistrictUtils {
 
     /**
      * Get districts by post office type
-     * @param {string} type - Post office type (e.g., 'D.P.O.', 'A.P.O.')
+     * @param {string} type - Post office type in any spelling (e.g., 'D.P.O.', 'A.P.O.', 'Area Post Office')
      * @returns {Array<Object>} Array of districts with specified post office type
      */
     getDistrictsByPostOfficeType(type) {
         return this.getAllDistricts().filter(district =>
-            district.postOffices.some(po => po.type === type)
+            district.postOffices.some(po => matchesOfficeType(po, type))
         );
     }
 
     /**
-     * Get neighboring districts (placeholder - would need geographic data)
+     * Get neighboring districts (the ones sharing a border)
      * @param {string} districtName - District name
      * @returns {Array<string>} Array of neighboring district names
      */
     getNeighboringDistricts(districtName) {
-        // This would require geographic boundary data
-        // For now, return empty array with note
-        console.warn('Neighboring districts feature requires geographic boundary data');
-        return [];
+        return this.graph.getNeighbors(districtName);
     }
 
     /**
      * Export district data to various formats
-     * @param {string} format - Export format ('json', 'csv')
-     * @returns {string} Formatted data
+     * The geospatial formats put each district at its centre, or use its polygon with { geometry: 'boundary' }
+     * CSV takes { columns, headers, delimiter, bom, lineEnding } (see lib/csv.js); any district field can be a column
+     * XLSX takes the same columns and headers; SQL takes { dialect, createTables, dropTables } and writes provinces and districts
+     * @param {string} format - Export format ('json', 'csv', 'geojson', 'kml', 'topojson', 'ndjson', 'yaml', 'sql', 'xlsx')
+     * @param {Object} options - { geometry: 'point' | 'boundary' } for the geospatial formats, CSV / SQL options otherwise
+     * @returns {string|Buffer} Formatted data (a Buffer for 'xlsx')
      */
-    exportData(format = 'json') {
+    exportData(format = 'json', options = {}) {
         const districts = this.getAllDistricts();
 
+        if (isGeoFormat(format)) {
+            return exportFeatures(districts.map(district => this.toFeature(district, options.geometry)), format, 'districts');
+        }
+
         switch (format.toLowerCase()) {
             case 'json':
                 return JSON.stringify(districts, null, 2);
             
             case 'csv':
-                let csv = 'District Name,Post Office Count,Main Post Office Type\n';
-                districts.forEach(district => {
-                    const mainPO = district.postOffices.find(po => 
-                        po.type === 'D.P.O.' || po.type === 'G.P.O.'
-                    ) || district.postOffices[0];
-                    
-                    csv += `"${district.name}",${district.postOfficeCount},"${mainPO.type}"\n`;
-                });
-                return csv;
+                return toCSV(districts, CSV_COLUMNS, options);
+
+            case 'ndjson':
+                return toNDJSON(districts);
+
+            case 'yaml':
+                return toYAML(districts);
+
+            case 'sql':
+                return toSQL(this.geoData, { ...options, postOffices: null });
+
+            case 'xlsx':
+                return toXLSX([{ name: 'Districts', ...tabulate(districts, CSV_COLUMNS, options) }]);
             
             default:
                 throw new Error(`Unsupported export format: ${format}`);
@@ -181,24 +262,52 @@ class DistrictUtils {
     }
 
     /**
-     * Get districts grouped by province (simulated - would need actual province data)
+     * Stream districts as CSV, for piping into a file or HTTP response
+     * @param {Object} options - Same CSV options as exportData
+     * @returns {Readable} Stream of CSV text
+     */
+    createExportStream(options = {}) {
+        return createCSVStream(this.getAllDistricts(), CSV_COLUMNS, options);
+    }
+
+    /**
+     * GeoJSON Feature for a district, for the geospatial exports
+     * @private
+     */
+    toFeature(district, geometry = 'point') {
+        const mainPO = mainPostOffice(district);
+        const properties = {
+            name: district.name,
+            nepaliName: district.nepaliName,
+            district: district.name,
+            province: district.province,
+            headquarters: district.headquarters,
+            postOfficeCount: district.postOfficeCount,
+            postalCode: mainPO ? mainPO.postalCode : null
+        };
+
+        if (geometry === 'boundary') {
+            const boundary = this.boundaries.getBoundary(district.name);
+            return { type: 'Feature', properties, geometry: boundary ? boundary.geometry : null };
+        }
+        return pointFeature(district.coordinates, properties);
+    }
+
+    /**
+     * Get districts grouped by province, keyed by official province name
      * @returns {Object} Districts grouped by province
      */
     getDistrictsByProvince() {
-        // This is a simplified grouping - in reality, you'd need actual province data
-        const districts = this.getAllDistricts();
-        const grouped = {};
-        
-        // Group districts alphabetically for now (placeholder)
-        districts.forEach(district => {
-            const firstLetter = district.name.charAt(0).toUpperCase();
-            if (!grouped[firstLetter]) {
-                grouped[firstLetter] = [];
-            }
-            grouped[firstLetter].push(district);
-        });
-        
-        return grouped;
+        return this.provinces.getDistrictsByProvince();
+    }
+
+    /**
+     * Get the province a district belongs to
+     * @param {string} districtName - District name
+     * @returns {Object|null} Province object or null if not found
+     */
+    getProvince(districtName) {
+        return this.provinces.getProvinceByDistrict(districtName);
     }
 }
 
@@ -1,111 +1,180 @@
 const fs = require('fs');
 const path = require('path');
+const { normalizeDevanagari, normalizeText, splitScripts, toRoman } = require('./devanagari');
+const NepaliPhonetic = require('./phonetic');
+const SearchIndex = require('./search-index');
+const I18n = require('./i18n');
+const ValidationRules = require('./validation-rules');
+const { loadPostalData } = require('./data-source');
+const { getDatasetInfo } = require('./dataset');
+const { isMainOffice, normalizeOfficeType } = require('./office-types');
 
 class NepalGeoData {
-    constructor() {
+    /**
+     * @param {Object} options - { locale: 'en' | 'ne' } for validation messages, { profile: 'strict' } for validation rules,
+     *   { indexes: false } turns off the search index (only useful for benchmarks),
+     *   { dataSource, overrides } replace or patch the bundled postal data (see lib/data-source.js)
+     */
+    constructor(options = {}) {
+        this.options = options;
         this.data = null;
         this.districts = null;
         this.postOffices = null;
+        this.provinces = null;
+        this.adminDistricts = null;
+        this.localLevels = null;
+        this.districtAliases = null;
+        this.postalSplits = null;
+        this.nepaliNames = null;
+        this.coordinates = null;
+        this.districtBorders = null;
+        this.legacy = null;
+        // Boundary shapes are big, so BoundaryUtils loads them on first use
+        this.boundaries = null;
+        this.postOfficesByCode = null;
+        this.postOfficesByName = null;
+        this.searchIndex = null;
+        this.datasetInfo = null;
+
+        // Shared by search and the validators; add your own aliases with geoData.phonetic.addAlias()
+        this.phonetic = new NepaliPhonetic();
+
+        // Message catalogs for validation output; options.locale picks the default language ('en' or 'ne')
+        this.i18n = new I18n({ locale: options.locale });
+
+        // Rules behind validateAddress; options.profile picks the default strictness ('strict', 'delivery', ...)
+        this.validationRules = new ValidationRules({ profile: options.profile }, this.i18n);
+
+        // Admin data goes first: the district registry is needed to map postal districts
+        this.loadAdminData();
         this.loadData();
     }
 
     /**
-     * Load the postal data from our JSON file
-     * This runs automatically when you create a new instance
+     * Load the postal data: the bundled file, or options.dataSource, with options.overrides applied
+     * This runs automatically when you create a new instance. Everything goes through loadPostalData, so the
+     * bundled file is checked like a custom source and its errors are thrown as they are
      */
     loadData() {
+        this.data = loadPostalData({
+            source: this.options.dataSource || null,
+            overrides: this.options.overrides || null,
+            isKnownDistrict: name => Boolean(this.postalSplits[name.trim()]) || this.resolveDistrictName(name).length > 0
+        });
+        this.loadNepaliNames();
+        this.processData();
+    }
+
+    /**
+     * Load the federal administrative hierarchy (provinces, districts, local levels)
+     * Kept separate from the postal data since the two come from different sources
+     */
+    loadAdminData() {
         try {
-            const dataPath = path.join(__dirname, '../data/postal-data.json');
-            
-            // If JSON file doesn't exist, create it from CSV
-            if (!fs.existsSync(dataPath)) {
-                this.createDataFromCSV();
-            }
-            
-            const rawData = fs.readFileSync(dataPath, 'utf8');
-            this.data = JSON.parse(rawData);
-            this.processData();
+            const readJSON = file => JSON.parse(fs.readFileSync(path.join(__dirname, '../data', file), 'utf8'));
+            const districtData = readJSON('districts.json');
+
+            this.adminData = {
+                provinces: readJSON('provinces.json').provinces,
+                districts: districtData.districts,
+                postalSplits: districtData.postal_splits || {},
+                localLevels: readJSON('local-levels.json').local_levels
+            };
+            this.loadCoordinates();
+            this.processAdminData();
+            this.loadDistrictBorders();
+            this.loadLegacyData();
         } catch (error) {
-            // Fallback to CSV if JSON fails
-            this.createDataFromCSV();
+            throw new Error('Failed to load Nepal administrative data: ' + error.message);
         }
     }
 
     /**
-     * Create JSON data from CSV source
+     * Load the bundled coordinates (district centres plus headquarters and major towns)
+     * Missing file just means every coordinates field is null
      */
-    createDataFromCSV() {
+    loadCoordinates() {
         try {
-            const csvPath = path.join(__dirname, '../npm.txt');
-            const csvData = fs.readFileSync(csvPath, 'utf8');
-            const parsedData = this.parseCSV(csvData);
-            
-            const jsonData = {
-                postal_data: parsedData,
-                metadata: {
-                    totalRecords: parsedData.length,
-                    lastUpdated: new Date().toISOString(),
-                    source: 'Nepal Postal Service'
-                }
-            };
-            
-            // Save to JSON file
-            const dataPath = path.join(__dirname, '../data/postal-data.json');
-            fs.writeFileSync(dataPath, JSON.stringify(jsonData, null, 2));
-            
-            this.data = jsonData;
-            this.processData();
+            const coordinatesPath = path.join(__dirname, '../data/coordinates.json');
+            const data = JSON.parse(fs.readFileSync(coordinatesPath, 'utf8'));
+            this.coordinates = { districts: data.districts || {}, localLevels: data.local_levels || {} };
         } catch (error) {
-            throw new Error('Failed to load Nepal geo data: ' + error.message);
+            this.coordinates = { districts: {}, localLevels: {} };
         }
     }
 
     /**
-     * Parse CSV data
+     * Load which districts share a border, with each other and with India and China
+     * Stored as pairs so the graph is always symmetric
      */
-    parseCSV(csvData) {
-        const lines = csvData.trim().split('\n');
-        const data = [];
-        
-        for (let i = 1; i < lines.length; i++) {
-            const fields = this.parseCSVLine(lines[i]);
-            
-            if (fields.length >= 4) {
-                data.push({
-                    District: fields[0],
-                    'Post Office': fields[1],
-                    'Postal/Pin Code': fields[2],
-                    'Post Office Type': fields[3]
-                });
+    loadDistrictBorders() {
+        const neighbors = {};
+        const international = {};
+        Object.keys(this.adminDistricts).forEach(name => {
+            neighbors[name] = [];
+            international[name] = [];
+        });
+
+        this.districtBorders = { neighbors, international };
+
+        const bordersPath = path.join(__dirname, '../data/district-borders.json');
+        if (!fs.existsSync(bordersPath)) {
+            return;
+        }
+
+        const data = JSON.parse(fs.readFileSync(bordersPath, 'utf8'));
+        (data.borders || []).forEach(([a, b]) => {
+            if (!neighbors[a] || !neighbors[b]) {
+                throw new Error(`Border ${a} - ${b} references an unknown district`);
             }
+            neighbors[a].push(b);
+            neighbors[b].push(a);
+        });
+
+        Object.entries(data.international || {}).forEach(([country, districts]) => {
+            districts.filter(name => international[name]).forEach(name => international[name].push(country));
+        });
+    }
+
+    /**
+     * Load the pre-2015 zones and development regions and the historical names (see lib/legacy-utils.js)
+     * Missing file just means no legacy lookups
+     */
+    loadLegacyData() {
+        this.legacy = { zones: [], developmentRegions: [], historicalNames: [], abolished: null };
+
+        const legacyPath = path.join(__dirname, '../data/legacy.json');
+        if (!fs.existsSync(legacyPath)) {
+            return;
         }
-        
-        return data;
+
+        const data = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+        (data.zones || []).forEach(zone => {
+            zone.districts.forEach(name => {
+                if (!this.adminDistricts[name]) {
+                    throw new Error(`Zone ${zone.name} references an unknown district: ${name}`);
+                }
+            });
+        });
+        this.legacy = {
+            zones: data.zones || [],
+            developmentRegions: data.development_regions || [],
+            historicalNames: data.historical_names || [],
+            abolished: data.metadata ? data.metadata.zonesAbolished : null
+        };
     }
 
     /**
-     * Parse a single CSV line handling quoted fields
+     * Load the Devanagari post office names (keyed by postal code)
+     * Missing file just means no Nepali names - English search keeps working
      */
-    parseCSVLine(line) {
-        const fields = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                fields.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
+    loadNepaliNames() {
+        try {
+            const namesPath = path.join(__dirname, '../data/nepali-names.json');
+            this.nepaliNames = JSON.parse(fs.readFileSync(namesPath, 'utf8')).post_offices || {};
+        } catch (error) {
+            this.nepaliNames = {};
         }
-        fields.push(current.trim());
-        
-        return fields;
     }
 
     /**
@@ -121,22 +190,37 @@ class NepalGeoData {
         this.postOffices = [];
 
         this.data.postal_data.forEach(entry => {
-            // Normalize district name to fix inconsistencies in the data
-            const originalDistrict = entry.District;
-            const district = this.normalizeDistrictName(originalDistrict);
+            // Map the postal-service district name to the official district
+            const postalDistrict = entry.District.trim();
+            const postalCode = entry['Postal/Pin Code'];
+            // Registry code for the type, so variants like 'A.P.O' read as 'A.P.O.'
+            const type = normalizeOfficeType(entry['Post Office Type']) || entry['Post Office Type'];
+            const district = this.normalizeDistrictName(postalDistrict, postalCode);
+            const adminDistrict = this.adminDistricts[district] || null;
             
             const postOffice = {
                 name: entry['Post Office'],
-                postalCode: entry['Postal/Pin Code'],
-                type: entry['Post Office Type'],
-                district: district
+                nepaliName: entry.nepaliName || this.nepaliNames[postalCode] || null,
+                postalCode: postalCode,
+                type,
+                district: district,
+                districtId: adminDistrict ? adminDistrict.id : null,
+                postalDistrict: postalDistrict,
+                coordinates: entry.coordinates || this.locatePostOffice(entry['Post Office'], type, adminDistrict)
             };
 
             this.postOffices.push(postOffice);
 
             if (!this.districts[district]) {
                 this.districts[district] = {
+                    id: adminDistrict ? adminDistrict.id : null,
+                    cbsCode: adminDistrict ? adminDistrict.cbsCode : null,
                     name: district,
+                    nepaliName: adminDistrict ? adminDistrict.nepaliName : null,
+                    postalName: adminDistrict ? adminDistrict.postalName : postalDistrict,
+                    province: adminDistrict ? adminDistrict.province : null,
+                    headquarters: adminDistrict ? adminDistrict.headquarters : null,
+                    coordinates: adminDistrict ? adminDistrict.coordinates : null,
                     postOfficeCount: 0,
                     postOffices: []
                 };
@@ -145,25 +229,234 @@ class NepalGeoData {
             this.districts[district].postOfficeCount++;
             this.districts[district].postOffices.push(postOffice);
         });
+
+        this.buildIndexes();
+    }
+
+    /**
+     * Build the lookup indexes: postal code and name maps plus the search index (trigrams, prefix trie, acronyms)
+     * Runs once after the data is processed, so lookups and search don't scan every post office
+     */
+    buildIndexes() {
+        this.postOfficesByCode = new Map();
+        this.postOfficesByName = new Map();
+        this.postOffices.forEach(po => {
+            if (!this.postOfficesByCode.has(po.postalCode)) {
+                this.postOfficesByCode.set(po.postalCode, po);
+            }
+
+            // Keyed by the Devanagari spelling too, so 'काठमाडौं' finds the office as well as 'Kathmandu'
+            [po.name, po.nepaliName].filter(Boolean).forEach(name => {
+                const nameKey = normalizeDevanagari(name).toLowerCase();
+                this.postOfficesByName.set(nameKey, (this.postOfficesByName.get(nameKey) || []).concat(po));
+            });
+        });
+
+        if (this.options.indexes === false) {
+            this.searchIndex = null;
+            return;
+        }
+
+        this.searchIndex = new SearchIndex();
+        const phoneticKeys = text => text.split(/[\s-]/).concat(text).map(part => this.phonetic.encode(part));
+
+        Object.values(this.districts).forEach(district => {
+            const adminDistrict = this.adminDistricts[district.name];
+            const aliases = adminDistrict ? adminDistrict.aliases : [];
+            this.searchIndex.add(district, {
+                type: 'district',
+                names: [district.name, district.nepaliName],
+                texts: aliases.concat(...[district.name, ...aliases].map(phoneticKeys))
+            });
+        });
+
+        this.postOffices.forEach(po => {
+            this.searchIndex.add(po, {
+                type: 'postOffice',
+                names: [po.name, po.nepaliName],
+                texts: [po.postalCode, ...phoneticKeys(po.name)]
+            });
+        });
+    }
+
+    /**
+     * Process the administrative data into provinces -> districts -> local levels
+     * Also builds the lookup table used to map postal district names to official ones
+     */
+    processAdminData() {
+        const { provinces, districts, localLevels } = this.adminData || {};
+        if (!Array.isArray(provinces) || !Array.isArray(districts) || !Array.isArray(localLevels)) {
+            throw new Error('Invalid administrative data structure');
+        }
+
+        this.provinces = {};
+        this.adminDistricts = {};
+        this.districtAliases = {};
+        this.postalSplits = this.adminData.postalSplits;
+        this.localLevels = [];
+
+        const provincesByNumber = {};
+        provinces.forEach(entry => {
+            const province = {
+                number: entry.number,
+                name: entry.name,
+                officialName: entry.officialName,
+                nepaliName: entry.nepaliName,
+                capital: entry.capital,
+                aliases: entry.aliases || [],
+                districts: []
+            };
+            provincesByNumber[entry.number] = province;
+            this.provinces[entry.name] = province;
+        });
+
+        districts.forEach(entry => {
+            const province = provincesByNumber[entry.province];
+            if (!province) {
+                throw new Error(`District ${entry.name} references unknown province ${entry.province}`);
+            }
+
+            const district = {
+                id: entry.id,
+                cbsCode: entry.cbsCode,
+                name: entry.name,
+                nepaliName: entry.nepaliName || null,
+                postalName: entry.postalName,
+                headquarters: entry.headquarters,
+                coordinates: this.getCoordinates(entry.name),
+                aliases: entry.aliases || [],
+                province: province.name,
+                provinceNumber: province.number,
+                localLevelCount: 0,
+                localLevels: []
+            };
+            this.adminDistricts[district.name] = district;
+            province.districts.push(district);
+
+            // Every spelling we know of (in either script) points at the official name(s)
+            [district.name, district.nepaliName, district.postalName, ...district.aliases].filter(Boolean).forEach(alias => {
+                const key = normalizeText(alias);
+                this.districtAliases[key] = this.districtAliases[key] || [];
+                if (!this.districtAliases[key].includes(district.name)) {
+                    this.districtAliases[key].push(district.name);
+                }
+            });
+        });
+
+        localLevels.forEach(entry => {
+            const district = this.adminDistricts[entry.district];
+            if (!district) {
+                throw new Error(`Local level ${entry.name} references unknown district ${entry.district}`);
+            }
+
+            const localLevel = {
+                name: entry.name,
+                type: entry.type,
+                wards: entry.wards,
+                district: district.name,
+                province: district.province,
+                // Only towns we have a point for; a copy of the district centre would look like a real location
+                coordinates: this.getCoordinates(district.name, entry.name)
+            };
+
+            this.localLevels.push(localLevel);
+            district.localLevelCount++;
+            district.localLevels.push(localLevel);
+        });
+    }
+
+    /**
+     * Look up bundled coordinates for a district centre or one of its local levels
+     * precision says what the point is: 'district' for the district centre, 'local-level' for a town centre
+     * @param {string} district - Official district name
+     * @param {string} localLevel - Local level name (omit for the district centre)
+     * @returns {Object|null} { lat, lng, precision } or null if we don't have that point
+     */
+    getCoordinates(district, localLevel = null) {
+        const point = localLevel
+            ? (this.coordinates.localLevels[district] || {})[localLevel]
+            : this.coordinates.districts[district];
+
+        if (!point) {
+            return null;
+        }
+        return { lat: point.lat, lng: point.lng, precision: localLevel ? 'local-level' : 'district' };
+    }
+
+    /**
+     * Best known location of a post office
+     * District, general and regional offices sit at the district headquarters; area offices named after a town we know use that town;
+     * everything else has no point (null) rather than the district centre
+     * @private
+     */
+    locatePostOffice(name, type, adminDistrict) {
+        if (!adminDistrict) {
+            return null;
+        }
+
+        const known = this.coordinates.localLevels[adminDistrict.name] || {};
+        const headquarters = (this.coordinates.districts[adminDistrict.name] || {}).headquarters;
+        const key = name.toLowerCase();
+
+        let localLevel = null;
+        if (isMainOffice(type) || key === adminDistrict.headquarters.toLowerCase()) {
+            localLevel = headquarters;
+        } else {
+            localLevel = Object.keys(known).find(candidate => {
+                const lower = candidate.toLowerCase();
+                return lower === key || lower.split(' ')[0] === key;
+            });
+        }
+
+        return (localLevel && this.getCoordinates(adminDistrict.name, localLevel)) || null;
+    }
+
+    /**
+     * Map a district name from any source to the official district name(s)
+     * Split districts ('Rukum', 'Nawalparasi') resolve to both halves
+     * @param {string} name - Official name, postal name, alias or common misspelling
+     * @returns {Array<string>} Official district names, empty if unknown
+     */
+    resolveDistrictName(name) {
+        if (!name || typeof name !== 'string') {
+            return [];
+        }
+        return (this.districtAliases[normalizeText(name)] || []).slice();
+    }
+
+    /**
+     * Check whether a district name (in any spelling) refers to an official district
+     * 'Rukum' matches both 'Rukum East' and 'Rukum West'
+     * @param {string} name - District name as given
+     * @param {string} officialName - Official district name
+     * @returns {boolean} True if they refer to the same district
+     */
+    districtMatches(name, officialName) {
+        if (!name || !officialName) {
+            return false;
+        }
+
+        const officialNames = this.resolveDistrictName(name);
+        return officialNames.length > 0
+            ? officialNames.includes(officialName)
+            : name.toLowerCase().trim() === officialName.toLowerCase();
     }
 
     /**
      * Normalizing district names to fix common inconsistencies in the data
+     * Postal-service names are mapped to one of the 77 official districts; for districts
+     * split in 2015 the postal code decides which half a post office belongs to
      */
-    normalizeDistrictName(district) {
+    normalizeDistrictName(district, postalCode = null) {
         const normalized = district.trim();
-        
-        // Fix known inconsistencies in the postal data
-        const corrections = {
-            'Chitawan': 'Chitwan',
-            'Kaverpalanchok': 'Kavrepalanchok',
-            'Makabanpur': 'Makawanpur',
-            'Taplajung': 'Taplejung',
-            'Kailal': 'Kailali',  
-            'Syanja': 'Syangja'   
-        };
-        
-        return corrections[normalized] || normalized;
+        const split = this.postalSplits[normalized];
+
+        if (split) {
+            return (postalCode && split.postOffices[postalCode]) || split.default;
+        }
+
+        const officialNames = this.resolveDistrictName(normalized);
+        return officialNames.length === 1 ? officialNames[0] : normalized;
     }
 
     /**
@@ -175,13 +468,11 @@ class NepalGeoData {
 
     /**
      * Get district by name
+     * Accepts official names, postal-service names and known misspellings ('Chitawan', 'Kapilbastu')
+     * Split districts ('Rukum', 'Nawalparasi') are ambiguous and return null
      */
     getDistrictByName(name) {
-        const normalizedName = name.toLowerCase().trim();
-        const districtKey = Object.keys(this.districts).find(
-            key => key.toLowerCase() === normalizedName
-        );
-        return districtKey ? this.districts[districtKey] : null;
+        return this.findByDistrictName(this.districts, name);
     }
 
     /**
@@ -191,27 +482,108 @@ class NepalGeoData {
         return this.postOffices;
     }
 
+    /**
+     * Get all provinces with their districts and local levels
+     */
+    getAllProvinces() {
+        return Object.values(this.provinces);
+    }
+
+    /**
+     * Get all local levels (metropolitan, sub-metropolitan, municipality, rural municipality)
+     */
+    getAllLocalLevels() {
+        return this.localLevels;
+    }
+
+    /**
+     * Get a district from the administrative hierarchy by name
+     * Same name handling as getDistrictByName, but returns the record with local levels
+     */
+    getAdminDistrictByName(name) {
+        return this.findByDistrictName(this.adminDistricts, name);
+    }
+
+    /**
+     * Get a district from the registry by its stable id (1-77)
+     */
+    getAdminDistrictById(id) {
+        const numericId = parseInt(id, 10);
+        return Object.values(this.adminDistricts).find(district => district.id === numericId) || null;
+    }
+
+    /**
+     * Look up a district in a name-keyed map, resolving aliases through the registry
+     * @private
+     */
+    findByDistrictName(districtMap, name) {
+        if (!name || typeof name !== 'string') {
+            return null;
+        }
+
+        const officialNames = this.resolveDistrictName(name);
+        if (officialNames.length > 1) {
+            return null;
+        }
+        if (officialNames.length === 1) {
+            return districtMap[officialNames[0]] || null;
+        }
+
+        const normalizedName = name.toLowerCase().trim();
+        const districtKey = Object.keys(districtMap).find(
+            key => key.toLowerCase() === normalizedName
+        );
+        return districtKey ? districtMap[districtKey] : null;
+    }
+
     /**
      * Get post office by postal code
      */
     getPostOfficeByCode(postalCode) {
-        return this.postOffices.find(po => po.postalCode === postalCode);
+        return this.postOfficesByCode.get(postalCode);
+    }
+
+    /**
+     * Get every post office with a given name (case-insensitive, in English or Nepali)
+     * Names repeat across districts, e.g. 'Ganeshpur' is in Dadeldhura and Kapilvastu
+     */
+    getPostOfficesByName(name) {
+        if (!name || typeof name !== 'string') {
+            return [];
+        }
+        return (this.postOfficesByName.get(normalizeDevanagari(name).toLowerCase()) || []).slice();
     }
 
     /**
      * Search functionality with enhanced fuzzy matching
+     * Works in English, Nepali (Devanagari) or both at once - 'Baneshwor काठमाडौं' matches on either part
+     * Results carry the name in both scripts
      */
     search(query, type = 'all') {
-        const normalizedQuery = query.toLowerCase().trim();
+        const { latin, devanagari } = splitScripts(query);
+        const normalizedQuery = latin.toLowerCase();
         const results = [];
 
+        if (!normalizedQuery && !devanagari) {
+            return results;
+        }
+
+        // Only score records the index says could match; very short queries still scan everything
+        const candidates = this.findSearchCandidates(normalizedQuery, devanagari);
+        const districts = candidates ? candidates.district || [] : Object.values(this.districts);
+        const postOffices = candidates ? candidates.postOffice || [] : this.postOffices;
+
         if (type === 'all' || type === 'district') {
-            Object.values(this.districts).forEach(district => {
-                const relevance = this.calculateRelevance(district.name, normalizedQuery);
+            districts.forEach(district => {
+                const relevance = Math.max(
+                    this.calculateBilingualRelevance(district, normalizedQuery, devanagari),
+                    this.calculateAliasRelevance(district.name, normalizedQuery)
+                );
                 if (relevance > 0) {
                     results.push({
                         type: 'district',
                         name: district.name,
+                        nepaliName: district.nepaliName,
                         relevance: relevance
                     });
                 }
@@ -219,16 +591,19 @@ class NepalGeoData {
         }
 
         if (type === 'all' || type === 'postOffice') {
-            this.postOffices.forEach(po => {
-                const nameRelevance = this.calculateRelevance(po.name, normalizedQuery);
-                const postalRelevance = po.postalCode.includes(query) ? 90 : 0;
+            postOffices.forEach(po => {
+                const nameRelevance = this.calculateBilingualRelevance(po, normalizedQuery, devanagari);
+                const postalRelevance = normalizedQuery && po.postalCode.includes(normalizedQuery) ? 90 : 0;
                 const maxRelevance = Math.max(nameRelevance, postalRelevance);
                 
                 if (maxRelevance > 0) {
+                    const district = this.districts[po.district];
                     results.push({
                         type: 'postOffice',
                         name: po.name,
+                        nepaliName: po.nepaliName,
                         district: po.district,
+                        districtNepali: district ? district.nepaliName : null,
                         postalCode: po.postalCode,
                         relevance: maxRelevance
                     });
@@ -241,6 +616,67 @@ class NepalGeoData {
             .sort((a, b) => b.relevance - a.relevance);
     }
 
+    /**
+     * Ask the search index for records that could match a query
+     * Besides the query itself it looks up its phonetic key, any alias it stands for, and the
+     * romanized Devanagari part, so sound-alikes and abbreviations are never missed
+     * @param {string} latinQuery - Lowercase Latin part of the query
+     * @param {string} devanagariQuery - Devanagari part of the query
+     * @returns {Object|null} { district: [...], postOffice: [...] } or null when everything should be scanned
+     */
+    findSearchCandidates(latinQuery, devanagariQuery) {
+        if (!this.searchIndex || (latinQuery + devanagariQuery).replace(/\s/g, '').length < 3) {
+            return null;
+        }
+
+        const romanized = devanagariQuery ? toRoman(devanagariQuery) : '';
+        return this.searchIndex.findCandidates([
+            latinQuery,
+            latinQuery && this.phonetic.encode(latinQuery),
+            latinQuery && this.phonetic.resolveAlias(latinQuery),
+            devanagariQuery,
+            romanized,
+            romanized && this.phonetic.encode(romanized)
+        ]);
+    }
+
+    /**
+     * Score a record against the Latin and Devanagari parts of a query, keeping the best
+     * Records without a Nepali name are matched on a romanized form of the Devanagari part
+     * @private
+     */
+    calculateBilingualRelevance(record, latinQuery, devanagariQuery) {
+        let relevance = 0;
+
+        if (latinQuery) {
+            relevance = this.calculateRelevance(record.name, latinQuery);
+        }
+
+        if (devanagariQuery) {
+            const devanagariRelevance = record.nepaliName
+                ? this.calculateRelevance(normalizeDevanagari(record.nepaliName), devanagariQuery)
+                : this.calculateRelevance(record.name, toRoman(devanagariQuery));
+            relevance = Math.max(relevance, devanagariRelevance);
+        }
+
+        return relevance;
+    }
+
+    /**
+     * Score a district by its known aliases ('Kavre', 'Kabhre' for Kavrepalanchok)
+     * Capped below an exact match on the official name
+     * @private
+     */
+    calculateAliasRelevance(districtName, query) {
+        const adminDistrict = this.adminDistricts[districtName];
+        if (!query || !adminDistrict) {
+            return 0;
+        }
+
+        return adminDistrict.aliases.reduce((best, alias) =>
+            Math.max(best, Math.min(this.calculateRelevance(alias, query), 90)), 0);
+    }
+
     /**
      * Calculate search relevance score with fuzzy matching
      */
@@ -274,36 +710,24 @@ class NepalGeoData {
     }
 
     /**
-     * Calculate fuzzy matching score for abbreviations and typos
+     * Calculate fuzzy matching score for abbreviations, romanization differences and typos
+     * 'ktm' (alias), 'chitawan' / 'kabhre' (same sound) and 'kathmadu' (typo) all score
      */
     calculateFuzzyScore(text, query) {
-        // Handle common abbreviations
-        const abbreviations = {
-            'ktm': 'kathmandu',
-            'pok': 'pokhara',
-            'pokhra': 'pokhara',
-            'lalitpurr': 'lalitpur',
-            'bhkt': 'bhaktapur',
-            'bkt': 'bhaktapur',
-            'chitawan': 'chitwan',
-            'chit': 'chitwan'
-        };
-        
-        // Check if query is a known abbreviation
-        if (abbreviations[query] && text.includes(abbreviations[query])) {
+        // Known abbreviations from the alias table
+        const alias = this.phonetic.resolveAlias(query);
+        if (alias && text.includes(alias)) {
             return 75;
         }
-        
-        // Check if text contains the full form of query
-        for (const [abbrev, full] of Object.entries(abbreviations)) {
-            if (query === full && text.includes(abbrev)) {
-                return 75;
-            }
+
+        // Same name in a different romanization
+        if (this.phonetic.soundsLike(text, query)) {
+            return 72;
         }
         
         // Acronym matching (first letters)
+        const words = text.split(/[\s-]/);
         if (query.length >= 2 && query.length <= 4) {
-            const words = text.split(/[\s-]/);
             if (words.length >= query.length) {
                 const acronym = words.slice(0, query.length).map(w => w.charAt(0)).join('');
                 if (acronym === query) {
@@ -311,11 +735,14 @@ class NepalGeoData {
                 }
             }
         }
+
+        // One word of a longer name sounds like the query ('sindhupalchowk' -> 'Sindhupalchok Bazar')
+        if (words.length > 1 && words.some(word => this.phonetic.soundsLike(word, query))) {
+            return 65;
+        }
         
-        // Levenshtein distance for typos
-        const distance = this.levenshteinDistance(text, query);
-        const maxLength = Math.max(text.length, query.length);
-        const similarity = 1 - (distance / maxLength);
+        // Typos, compared on spelling and on sound
+        const similarity = this.phonetic.similarity(query, text);
         
         if (similarity > 0.6) {
             return Math.round(similarity * 50);
@@ -367,6 +794,16 @@ class NepalGeoData {
             ) / 100
         };
     }
+
+    /**
+     * Version, source and checksum of the loaded postal data (worked out on first use)
+     */
+    getDatasetInfo() {
+        if (!this.datasetInfo) {
+            this.datasetInfo = getDatasetInfo(this.data);
+        }
+        return { ...this.datasetInfo };
+    }
 }
 
 module.exports = NepalGeoData;
@@ -0,0 +1,177 @@
+/**
+ * Geospatial export formats shared by the exportData / exportResults methods
+ * Everything takes GeoJSON Features in, so adding a format means adding one function here
+ */
+
+const GEO_EXPORT_FORMATS = ['geojson', 'kml', 'topojson'];
+
+/**
+ * Build a GeoJSON Point Feature from a { lat, lng } (geometry is null when there are no coordinates)
+ * @param {Object|null} coordinates - { lat, lng, precision }
+ * @param {Object} properties - Feature properties
+ * @returns {Object} GeoJSON Feature
+ */
+function pointFeature(coordinates, properties) {
+    return {
+        type: 'Feature',
+        properties: coordinates && coordinates.precision ? { ...properties, precision: coordinates.precision } : properties,
+        geometry: coordinates ? { type: 'Point', coordinates: [coordinates.lng, coordinates.lat] } : null
+    };
+}
+
+/**
+ * Wrap features in a FeatureCollection
+ * @param {Array<Object>} features - GeoJSON Features
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function toGeoJSON(features) {
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Convert GeoJSON features to a TopoJSON topology
+ * Points keep their coordinates; every polygon ring becomes one arc (no shared-arc detection or quantization)
+ * @param {Array<Object>} features - GeoJSON Point, Polygon or MultiPolygon features
+ * @param {string} objectName - Name of the geometry collection in topology.objects
+ * @returns {Object} TopoJSON Topology
+ */
+function toTopoJSON(features, objectName = 'features') {
+    const arcs = [];
+    const addRing = ring => {
+        arcs.push(ring);
+        return arcs.length - 1;
+    };
+
+    const geometries = features.map(feature => {
+        const geometry = feature.geometry;
+        if (!geometry) {
+            return { type: null, properties: feature.properties };
+        }
+        if (geometry.type === 'Point') {
+            return { type: 'Point', properties: feature.properties, coordinates: geometry.coordinates };
+        }
+        return {
+            type: geometry.type,
+            properties: feature.properties,
+            arcs: geometry.type === 'MultiPolygon'
+                ? geometry.coordinates.map(polygon => polygon.map(ring => [addRing(ring)]))
+                : geometry.coordinates.map(ring => [addRing(ring)])
+        };
+    });
+
+    const points = features
+        .filter(feature => feature.geometry && feature.geometry.type === 'Point')
+        .map(feature => feature.geometry.coordinates)
+        .concat(...arcs);
+    const bbox = points.length > 0 ? [
+        Math.min(...points.map(p => p[0])), Math.min(...points.map(p => p[1])),
+        Math.max(...points.map(p => p[0])), Math.max(...points.map(p => p[1]))
+    ] : undefined;
+
+    return {
+        type: 'Topology',
+        bbox,
+        objects: { [objectName]: { type: 'GeometryCollection', geometries } },
+        arcs
+    };
+}
+
+/**
+ * Convert GeoJSON features to a KML document (Google Earth, QGIS)
+ * Properties go into ExtendedData so they show up in the attribute table
+ * @param {Array<Object>} features - GeoJSON Point, Polygon or MultiPolygon features
+ * @param {string} name - Document name
+ * @returns {string} KML
+ */
+function toKML(features, name = 'Nepal') {
+    const escape = value => String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+    const coordinates = points => points.map(p => `${p[0]},${p[1]}`).join(' ');
+    const polygon = rings => '<Polygon>' +
+        `<outerBoundaryIs><LinearRing><coordinates>${coordinates(rings[0])}</coordinates></LinearRing></outerBoundaryIs>` +
+        rings.slice(1).map(ring => `<innerBoundaryIs><LinearRing><coordinates>${coordinates(ring)}</coordinates></LinearRing></innerBoundaryIs>`).join('') +
+        '</Polygon>';
+    const geometry = shape => {
+        if (!shape) {
+            return '';
+        }
+        switch (shape.type) {
+            case 'Point':
+                return `<Point><coordinates>${shape.coordinates[0]},${shape.coordinates[1]}</coordinates></Point>`;
+            case 'Polygon':
+                return polygon(shape.coordinates);
+            case 'MultiPolygon':
+                return `<MultiGeometry>${shape.coordinates.map(polygon).join('')}</MultiGeometry>`;
+            default:
+                throw new Error(`Unsupported geometry type for KML: ${shape.type}`);
+        }
+    };
+
+    const placemarks = features.map(feature => {
+        const data = Object.keys(feature.properties)
+            .filter(key => feature.properties[key] !== null && feature.properties[key] !== undefined)
+            .map(key => `<Data name="${escape(key)}"><value>${escape(feature.properties[key])}</value></Data>`)
+            .join('');
+        return `    <Placemark><name>${escape(feature.properties.name)}</name>` +
+            `<ExtendedData>${data}</ExtendedData>${geometry(feature.geometry)}</Placemark>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        `    <name>${escape(name)}</name>`,
+        ...placemarks,
+        '  </Document>',
+        '</kml>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Serialize features in one of the geospatial formats
+ * Features without a geometry (places we have no coordinates for) are left out unless options.unlocated is set
+ * @param {Array<Object>} features - GeoJSON Features
+ * @param {string} format - 'geojson', 'kml' or 'topojson'
+ * @param {string} name - Layer name (TopoJSON object / KML document)
+ * @param {Object} options - { unlocated: false }
+ * @returns {string} Serialized data
+ */
+function exportFeatures(features, format, name, options = {}) {
+    const kept = options.unlocated ? features : features.filter(feature => feature.geometry);
+    switch (format.toLowerCase()) {
+        case 'geojson':
+            return JSON.stringify(toGeoJSON(kept), null, 2);
+
+        case 'kml':
+            return toKML(kept, name);
+
+        case 'topojson':
+            return JSON.stringify(toTopoJSON(kept, name));
+
+        default:
+            throw new Error(`Unsupported export format: ${format}`);
+    }
+}
+
+/**
+ * Check if a format is one of the geospatial ones
+ * @param {string} format - Export format
+ * @returns {boolean} True for geojson, kml and topojson
+ */
+function isGeoFormat(format) {
+    return typeof format === 'string' && GEO_EXPORT_FORMATS.includes(format.toLowerCase());
+}
+
+module.exports = {
+    GEO_EXPORT_FORMATS,
+    pointFeature,
+    toGeoJSON,
+    toTopoJSON,
+    toKML,
+    exportFeatures,
+    isGeoFormat
+};
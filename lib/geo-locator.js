@@ -0,0 +1,204 @@
+const BoundaryUtils = require('./boundaries');
+
+const EARTH_RADIUS_KM = 6371;
+
+// Rough box around Nepal; anything outside is not ours
+const NEPAL_BOUNDS = { minLat: 26.3, maxLat: 30.5, minLng: 80, maxLng: 88.3 };
+
+// A point further than this from every district centre is outside Nepal (Dolpa, the largest district, is ~100 km across)
+const MAX_DISTRICT_DISTANCE_KM = 75;
+
+// How close a point must be to a town centre before we name the local level
+const LOCAL_LEVEL_RADIUS_KM = 5;
+
+/**
+ * Great-circle distance between two points in kilometres (haversine formula)
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {number} Distance in km
+ */
+function haversineDistance(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Location lookups by latitude/longitude
+ * Everything here works on the bundled coordinates, so results are only as precise as those points
+ * (see the precision field on each result)
+ */
+class GeoLocator {
+    constructor(geoData) {
+        this.geoData = geoData;
+        this.boundaries = new BoundaryUtils(geoData);
+    }
+
+    /**
+     * Find the post offices closest to a point
+     * Give it a GPS position and get back post offices sorted by distance, nearest first
+     * Only offices with coordinates can be measured, and most small offices have none, so by default the search
+     * stays in the district the point lies in (every district has at least its district office located)
+     * rather than handing back a located office across the border
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {Object} options - { limit: 5, radiusKm: null (no limit), anyDistrict: false }
+     * @returns {Array<Object>} Post offices with distanceKm added
+     */
+    findNearestPostOffices(lat, lng, options = {}) {
+        const { limit = 5, radiusKm = null, anyDistrict = false } = options;
+        const point = this.toPoint(lat, lng);
+        if (!point) {
+            return [];
+        }
+
+        // Outside the shapes (right on the national border) every district is searched
+        const located = anyDistrict ? null : this.boundaries.locatePoint(point.lat, point.lng);
+        return this.geoData.getAllPostOffices()
+            .filter(po => po.coordinates && (!located || po.district === located.district.name))
+            .map(po => ({ ...po, distanceKm: this.round(haversineDistance(point, po.coordinates)) }))
+            .filter(po => radiusKm === null || po.distanceKm <= radiusKm)
+            .sort((a, b) => a.distanceKm - b.distanceKm || a.postalCode.localeCompare(b.postalCode))
+            .slice(0, limit);
+    }
+
+    /**
+     * Turn a GPS position into an address
+     * The district comes from the boundary shapes (see BoundaryUtils.locatePoint), falling back to the nearest
+     * known point (district centre or town centre) near the edges; the local level is only named when the point
+     * is within a few km of a town we have coordinates for
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Object|null} { province, district, localLevel, postOffice, address, precision, distanceKm } or null outside Nepal
+     */
+    reverseGeocode(lat, lng) {
+        const point = this.toPoint(lat, lng);
+        if (!point || !this.isInNepalBounds(point)) {
+            return null;
+        }
+
+        const located = this.boundaries.locatePoint(point.lat, point.lng);
+        const inDistrict = entry => !located || entry.district === located.district.name;
+
+        const nearestDistrict = this.nearest(point, this.getDistrictPoints().filter(inDistrict));
+        if (!nearestDistrict || (!located && nearestDistrict.distanceKm > MAX_DISTRICT_DISTANCE_KM)) {
+            return null;
+        }
+
+        const nearestTown = this.nearest(point, this.getLocalLevelPoints().filter(inDistrict));
+        const useTown = nearestTown && nearestTown.distanceKm < nearestDistrict.distanceKm;
+        const reference = useTown ? nearestTown : nearestDistrict;
+
+        const district = this.geoData.getAdminDistrictByName(reference.district);
+        const localLevel = useTown && nearestTown.distanceKm <= LOCAL_LEVEL_RADIUS_KM ? nearestTown.localLevel : null;
+
+        const postOffice = this.geoData.getAllPostOffices()
+            .filter(po => po.district === district.name && po.coordinates)
+            .map(po => ({ po, distanceKm: haversineDistance(point, po.coordinates) }))
+            .sort((a, b) => a.distanceKm - b.distanceKm)[0];
+
+        return {
+            lat: point.lat,
+            lng: point.lng,
+            province: district.province,
+            district: district.name,
+            localLevel: localLevel ? { name: localLevel.name, type: localLevel.type } : null,
+            postOffice: postOffice ? {
+                name: postOffice.po.name,
+                postalCode: postOffice.po.postalCode,
+                distanceKm: this.round(postOffice.distanceKm)
+            } : null,
+            // Ready for formatAddress / validateAddress
+            address: {
+                ...(localLevel ? { municipality: localLevel.name } : {}),
+                ...(postOffice ? { postOffice: postOffice.po.name, postalCode: postOffice.po.postalCode } : {}),
+                district: district.name,
+                province: district.province
+            },
+            precision: localLevel ? 'local-level' : 'district',
+            distanceKm: this.round(reference.distanceKm)
+        };
+    }
+
+    /**
+     * Distance between two points in km
+     * @param {Object} from - { lat, lng }
+     * @param {Object} to - { lat, lng }
+     * @returns {number|null} Distance in km, or null if either point is invalid
+     */
+    getDistance(from, to) {
+        const a = from && this.toPoint(from.lat, from.lng);
+        const b = to && this.toPoint(to.lat, to.lng);
+        return a && b ? this.round(haversineDistance(a, b)) : null;
+    }
+
+    /**
+     * Check if a point is inside the rough bounding box of Nepal
+     * @param {Object} point - { lat, lng }
+     * @returns {boolean} True if inside the box
+     */
+    isInNepalBounds(point) {
+        return point.lat >= NEPAL_BOUNDS.minLat && point.lat <= NEPAL_BOUNDS.maxLat &&
+            point.lng >= NEPAL_BOUNDS.minLng && point.lng <= NEPAL_BOUNDS.maxLng;
+    }
+
+    /**
+     * District centres
+     * @private
+     */
+    getDistrictPoints() {
+        return this.geoData.getAllProvinces()
+            .reduce((all, province) => all.concat(province.districts), [])
+            .filter(district => district.coordinates)
+            .map(district => ({ district: district.name, coordinates: district.coordinates }));
+    }
+
+    /**
+     * Town centres of the local levels we have exact points for
+     * @private
+     */
+    getLocalLevelPoints() {
+        return this.geoData.getAllLocalLevels()
+            .filter(localLevel => localLevel.coordinates && localLevel.coordinates.precision === 'local-level')
+            .map(localLevel => ({ district: localLevel.district, localLevel, coordinates: localLevel.coordinates }));
+    }
+
+    /**
+     * Closest of a list of { coordinates } entries, with distanceKm added
+     * @private
+     */
+    nearest(point, entries) {
+        return entries.reduce((best, entry) => {
+            const distanceKm = haversineDistance(point, entry.coordinates);
+            return !best || distanceKm < best.distanceKm ? { ...entry, distanceKm } : best;
+        }, null);
+    }
+
+    /**
+     * Accept numbers or numeric strings, reject anything that is not a valid coordinate
+     * @private
+     */
+    toPoint(lat, lng) {
+        const point = { lat: parseFloat(lat), lng: parseFloat(lng) };
+        if (!Number.isFinite(point.lat) || !Number.isFinite(point.lng) ||
+            Math.abs(point.lat) > 90 || Math.abs(point.lng) > 180) {
+            return null;
+        }
+        return point;
+    }
+
+    /**
+     * Round distances to 10 m
+     * @private
+     */
+    round(distanceKm) {
+        return Math.round(distanceKm * 100) / 100;
+    }
+}
+
+module.exports = GeoLocator;
+module.exports.haversineDistance = haversineDistance;
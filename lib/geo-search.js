@@ -1,15 +1,35 @@
+const { containsDevanagari, normalizeDevanagari, splitScripts } = require('./devanagari');
+const { exportFeatures, isGeoFormat, pointFeature } = require('./geo-export');
+const { toCSV, createCSVStream } = require('./csv');
+const LegacyUtils = require('./legacy-utils');
+const { isMainOffice, matchesOfficeType } = require('./office-types');
+
+// Default CSV columns for exportResults
+const CSV_COLUMNS = [
+    { key: 'type', header: 'Type' },
+    { key: 'name', header: 'Name' },
+    { key: 'district', header: 'District' },
+    { key: 'postalCode', header: 'Postal Code' },
+    { key: 'relevance', header: 'Relevance' },
+    { key: 'matchType', header: 'Match Type' },
+    { key: 'nepaliName', header: 'Nepali Name' }
+];
+
 /**
  * Smart search for Nepal locations
  * Finds districts, post offices, and postal codes with fuzzy matching
+ * Queries can be in English, Nepali (Devanagari) or a mix of both
  */
 class GeoSearch {
     constructor(geoData) {
         this.geoData = geoData;
+        this.legacy = new LegacyUtils(geoData);
     }
 
     /**
      * Search for places in Nepal by any query
      * Smart enough to detect postal codes, district names, or post offices
+     * 'काठमाडौं', 'Kathmandu' and '४४६००' all find Kathmandu; results include both scripts
      * @param {string} query - What you're looking for
      * @param {Object} options - Search options (limit, relevance threshold, etc.)
      * @returns {Array<Object>} Array of search results with relevance scores
@@ -28,14 +48,18 @@ class GeoSearch {
 
         let results = [];
 
-        // Auto-detect if query is a postal code
-        if (/^\d{5}$/.test(query.trim())) {
-            const postalResult = this.searchByPostalCode(query.trim());
+        // Auto-detect if query is a postal code (Nepali digits too)
+        const normalizedQuery = normalizeDevanagari(query);
+        if (/^\d{5}$/.test(normalizedQuery)) {
+            const postalResult = this.searchByPostalCode(normalizedQuery);
             if (postalResult) {
+                const district = this.geoData.getDistrictByName(postalResult.district);
                 results.push({
                     type: 'postOffice',
                     name: postalResult.name,
+                    nepaliName: postalResult.nepaliName,
                     district: postalResult.district,
+                    districtNepali: district ? district.nepaliName : null,
                     postalCode: postalResult.postalCode,
                     relevance: 100,
                     matchType: 'exact_postal'
@@ -43,6 +67,9 @@ class GeoSearch {
             }
         }
 
+        // Pre-2015 and renamed values ('Bagmati Zone', 'Nawalparasi', a registered retired postal code) find what they are now
+        results.push(...this.searchLegacy(normalizedQuery, includeType));
+
         // Search districts and post offices
         const searchResults = this.geoData.search(query, includeType);
         
@@ -62,6 +89,40 @@ class GeoSearch {
         return results.slice(0, limit);
     }
 
+    /**
+     * Current districts (or post office) for a legacy name, tagged with what the name was
+     * @private
+     */
+    searchLegacy(query, includeType) {
+        const legacy = this.legacy.resolve(query);
+        if (!legacy) {
+            return [];
+        }
+        const tag = { matchType: 'legacy', legacy: { type: legacy.type, name: legacy.name, validUntil: legacy.validUntil } };
+
+        if (legacy.type === 'postalCode') {
+            return includeType === 'district' ? [] : legacy.current.map(code => {
+                const postOffice = this.geoData.getPostOfficeByCode(code);
+                const district = this.geoData.getDistrictByName(postOffice.district);
+                return {
+                    type: 'postOffice',
+                    name: postOffice.name,
+                    nepaliName: postOffice.nepaliName,
+                    district: postOffice.district,
+                    districtNepali: district ? district.nepaliName : null,
+                    postalCode: postOffice.postalCode,
+                    relevance: 95,
+                    ...tag
+                };
+            });
+        }
+
+        return includeType === 'postOffice' ? [] : legacy.districts.map(name => {
+            const district = this.geoData.getDistrictByName(name);
+            return { type: 'district', name, nepaliName: district ? district.nepaliName : null, relevance: 95, ...tag };
+        });
+    }
+
     /**
      * Search districts specifically
      * @param {string} query - Search query
@@ -78,6 +139,7 @@ class GeoSearch {
             const searchResult = {
                 type: 'district',
                 name: result.name,
+                nepaliName: result.nepaliName,
                 relevance: result.relevance,
                 matchType: this.determineMatchType(query, result)
             };
@@ -85,9 +147,7 @@ class GeoSearch {
             if (includeStats && district) {
                 searchResult.stats = {
                     postOfficeCount: district.postOfficeCount,
-                    hasMainOffice: district.postOffices.some(po => 
-                        po.type === 'D.P.O.' || po.type === 'G.P.O.'
-                    )
+                    hasMainOffice: district.postOffices.some(isMainOffice)
                 };
             }
 
@@ -114,18 +174,15 @@ class GeoSearch {
         // Filter by district if specified
         if (district) {
             results = results.filter(result => 
-                result.district && result.district.toLowerCase() === district.toLowerCase()
+                result.district && this.geoData.districtMatches(district, result.district)
             );
         }
 
         // Filter by post office type if specified
         if (type) {
-            const allPostOffices = this.geoData.getAllPostOffices();
             results = results.filter(result => {
-                const po = allPostOffices.find(p => 
-                    p.name === result.name && p.district === result.district
-                );
-                return po && po.type === type;
+                const po = this.geoData.getPostOfficeByCode(result.postalCode);
+                return po && matchesOfficeType(po, type);
             });
         }
 
@@ -133,20 +190,19 @@ class GeoSearch {
             const searchResult = {
                 type: 'postOffice',
                 name: result.name,
+                nepaliName: result.nepaliName,
                 district: result.district,
+                districtNepali: result.districtNepali,
                 postalCode: result.postalCode,
                 relevance: result.relevance,
                 matchType: this.determineMatchType(query, result)
             };
 
             if (includeDetails) {
-                const allPostOffices = this.geoData.getAllPostOffices();
-                const po = allPostOffices.find(p => 
-                    p.name === result.name && p.district === result.district
-                );
+                const po = this.geoData.getPostOfficeByCode(result.postalCode);
                 if (po) {
                     searchResult.officeType = po.type;
-                    searchResult.isMainOffice = po.type === 'D.P.O.' || po.type === 'G.P.O.';
+                    searchResult.isMainOffice = isMainOffice(po);
                 }
             }
 
@@ -190,7 +246,7 @@ class GeoSearch {
         }
 
         if (postOfficeType) {
-            postOffices = postOffices.filter(po => po.type === postOfficeType);
+            postOffices = postOffices.filter(po => matchesOfficeType(po, postOfficeType));
         }
 
         if (postalCodeRange && postalCodeRange.start && postalCodeRange.end) {
@@ -231,61 +287,96 @@ class GeoSearch {
 
     /**
      * Get search suggestions as user types
+     * Suggestions come back in the script you type in: 'काठ' suggests 'काठमाडौं'
+     * Pass { detailed: true } to get both scripts for each suggestion
      * @param {string} partialQuery - Partial search query
-     * @param {Object} options - Options
-     * @returns {Array<string>} Array of suggestions
+     * @param {Object} options - Options (limit, type, detailed)
+     * @returns {Array<string>|Array<Object>} Array of suggestions
      */
     getSuggestions(partialQuery, options = {}) {
         if (!partialQuery || partialQuery.length < 2) {
             return [];
         }
 
-        const { limit = 5, type = 'all' } = options;
-        const normalizedQuery = partialQuery.toLowerCase();
-        const suggestions = new Set();
+        const { limit = 5, type = 'all', detailed = false } = options;
+        const normalizedQuery = normalizeDevanagari(partialQuery).toLowerCase();
+        const isNepali = containsDevanagari(normalizedQuery);
+        const suggestions = new Map();
+
+        // The prefix trie hands back only names starting with the query, in both scripts
+        const index = this.geoData.searchIndex;
+        const candidates = recordType => index
+            ? index.findByPrefix(normalizedQuery, recordType)
+            : recordType === 'district' ? this.geoData.getAllDistricts() : this.geoData.getAllPostOffices();
+
+        const addSuggestion = (record, recordType) => {
+            const name = isNepali ? normalizeDevanagari(record.nepaliName) : record.name;
+            if (!name || !name.toLowerCase().startsWith(normalizedQuery)) {
+                return;
+            }
+
+            const label = isNepali ? record.nepaliName : record.name;
+            if (!suggestions.has(label)) {
+                suggestions.set(label, { name: record.name, nepaliName: record.nepaliName, type: recordType });
+            }
+        };
 
         // Get district suggestions
         if (type === 'all' || type === 'district') {
-            this.geoData.getAllDistricts().forEach(district => {
-                if (district.name.toLowerCase().startsWith(normalizedQuery)) {
-                    suggestions.add(district.name);
-                }
-            });
+            candidates('district').forEach(district => addSuggestion(district, 'district'));
         }
 
         // Get post office suggestions
         if (type === 'all' || type === 'postOffice') {
-            this.geoData.getAllPostOffices().forEach(po => {
-                if (po.name.toLowerCase().startsWith(normalizedQuery)) {
-                    suggestions.add(po.name);
-                }
-            });
+            candidates('postOffice').forEach(po => addSuggestion(po, 'postOffice'));
         }
 
-        return Array.from(suggestions).slice(0, limit);
+        const entries = Array.from(suggestions.entries()).slice(0, limit);
+        return detailed ? entries.map(([, suggestion]) => suggestion) : entries.map(([label]) => label);
     }
 
     /**
      * Determine the type of match
+     * Compares against the name in the same script as the query; for mixed input the best part wins
      * @param {string} query - Original query
      * @param {Object} result - Search result
      * @returns {string} Match type
      */
     determineMatchType(query, result) {
-        const normalizedQuery = query.toLowerCase();
-        const normalizedName = result.name.toLowerCase();
+        const { latin, devanagari } = splitScripts(query);
+        const normalizedQuery = latin.toLowerCase();
+        const nameMatches = [
+            normalizedQuery ? this.compareNames(result.name, normalizedQuery) : null,
+            devanagari && result.nepaliName ? this.compareNames(normalizeDevanagari(result.nepaliName), devanagari) : null
+        ];
+
+        for (const matchType of ['exact', 'prefix', 'contains']) {
+            if (nameMatches.includes(matchType)) {
+                return matchType;
+            }
+        }
+
+        if (normalizedQuery && result.postalCode && result.postalCode.includes(normalizedQuery)) {
+            return 'postal_code';
+        }
+        return 'fuzzy';
+    }
 
-        if (normalizedName === normalizedQuery) {
+    /**
+     * Compare a name with a query: 'exact', 'prefix', 'contains' or null
+     * @private
+     */
+    compareNames(name, query) {
+        const normalizedName = name.toLowerCase();
+
+        if (normalizedName === query) {
             return 'exact';
-        } else if (normalizedName.startsWith(normalizedQuery)) {
+        } else if (normalizedName.startsWith(query)) {
             return 'prefix';
-        } else if (normalizedName.includes(normalizedQuery)) {
+        } else if (normalizedName.includes(query)) {
             return 'contains';
-        } else if (result.postalCode && result.postalCode.includes(query)) {
-            return 'postal_code';
-        } else {
-            return 'fuzzy';
         }
+        return null;
     }
 
     /**
@@ -351,26 +442,63 @@ class GeoSearch {
 
     /**
      * Export search results
+     * The geospatial formats place districts at their centre and post offices at their own coordinates
+     * CSV takes { columns, headers, delimiter, bom, lineEnding } (see lib/csv.js)
      * @param {Array} results - Search results
-     * @param {string} format - Export format
+     * @param {string} format - Export format ('json', 'csv', 'geojson', 'kml', 'topojson')
+     * @param {Object} options - CSV options; { unlocated: true } keeps results without coordinates in the geospatial formats
      * @returns {string} Formatted results
      */
-    exportResults(results, format = 'json') {
+    exportResults(results, format = 'json', options = {}) {
+        if (isGeoFormat(format)) {
+            return exportFeatures(results.map(result => this.toFeature(result)), format, 'results', options);
+        }
+
         switch (format.toLowerCase()) {
             case 'json':
                 return JSON.stringify(results, null, 2);
             
             case 'csv':
-                let csv = 'Type,Name,District,Postal Code,Relevance,Match Type\n';
-                results.forEach(result => {
-                    csv += `"${result.type}","${result.name}","${result.district || ''}","${result.postalCode || ''}","${result.relevance}","${result.matchType}"\n`;
-                });
-                return csv;
+                return toCSV(results, CSV_COLUMNS, options);
             
             default:
                 throw new Error(`Unsupported export format: ${format}`);
         }
     }
+
+    /**
+     * Stream search results as CSV
+     * @param {Iterable} results - Search results
+     * @param {Object} options - Same CSV options as exportResults
+     * @returns {Readable} Stream of CSV text
+     */
+    createExportStream(results, options = {}) {
+        return createCSVStream(results, CSV_COLUMNS, options);
+    }
+
+    /**
+     * GeoJSON Feature for a search result, for the geospatial exports
+     * @private
+     */
+    toFeature(result) {
+        const postOffice = result.type === 'postOffice' ? this.geoData.getPostOfficeByCode(result.postalCode) : null;
+        const district = this.geoData.getAdminDistrictByName(result.district || result.name);
+        const coordinates = result.type === 'postOffice'
+            ? (postOffice ? postOffice.coordinates : null)
+            : (district ? district.coordinates : null);
+
+        return pointFeature(coordinates, {
+            name: result.name,
+            nepaliName: result.nepaliName || null,
+            type: result.type,
+            officeType: postOffice ? postOffice.type : null,
+            district: district ? district.name : (result.district || null),
+            province: district ? district.province : null,
+            postalCode: result.postalCode || null,
+            relevance: result.relevance,
+            matchType: result.matchType
+        });
+    }
 }
 
 module.exports = GeoSearch;
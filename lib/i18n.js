@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const { toDevanagariDigits } = require('./devanagari');
+
+const DEFAULT_LOCALE = 'en';
+
+// Bundled catalogs (data/messages.json), read once and shared; instances copy before changing anything
+let bundled = null;
+
+/**
+ * @private
+ */
+function loadBundled() {
+    if (!bundled) {
+        bundled = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/messages.json'), 'utf8'));
+    }
+    return bundled;
+}
+
+/**
+ * Message catalogs for validation errors, warnings and suggestions
+ * English ('en') and Nepali ('ne') are bundled; register your own locales or override single messages
+ *
+ * Messages are templates with {placeholders} filled from the issue data, or functions (data, locale) => string.
+ * Arrays are joined with ', '; in catalogs with digits: 'devanagari' numbers are written in Nepali digits (postal
+ * codes are strings and stay as typed). A message missing from a catalog falls back to its fallback locale, then English.
+ */
+class I18n {
+    /**
+     * @param {Object} options - { locale: 'en' }
+     */
+    constructor(options = {}) {
+        this.catalogs = {};
+        const catalogs = loadBundled();
+        Object.keys(catalogs).forEach(locale => {
+            const { messages, ...settings } = catalogs[locale];
+            this.catalogs[locale] = { ...settings, fallback: DEFAULT_LOCALE, messages: { ...messages } };
+        });
+
+        this.locale = DEFAULT_LOCALE;
+        this.setLocale(options.locale || DEFAULT_LOCALE);
+    }
+
+    /**
+     * Change the default locale
+     * @param {string} locale - A registered locale, e.g. 'ne'
+     */
+    setLocale(locale) {
+        this.checkLocale(locale);
+        this.locale = locale;
+    }
+
+    /**
+     * Registered locales
+     * @returns {Array<string>} Locale codes, e.g. ['en', 'ne']
+     */
+    getLocales() {
+        return Object.keys(this.catalogs);
+    }
+
+    /**
+     * Register a catalog, or merge messages into an existing one
+     * @param {string} locale - Locale code, e.g. 'hi' or 'ne-romanized'
+     * @param {Object} messages - { INVALID_DISTRICT: 'Unknown district {value}', ... }
+     * @param {Object} options - { fallback: 'en', digits: 'latin' | 'devanagari', name }
+     */
+    addCatalog(locale, messages, options = {}) {
+        if (!locale || typeof locale !== 'string') {
+            throw new Error('Locale must be a non-empty string');
+        }
+        if (!messages || typeof messages !== 'object') {
+            throw new Error('Messages must be an object of message key -> template');
+        }
+        if (options.fallback && options.fallback !== locale) {
+            this.checkLocale(options.fallback);
+        }
+
+        const existing = this.catalogs[locale];
+        this.catalogs[locale] = {
+            name: options.name || (existing ? existing.name : locale),
+            digits: options.digits || (existing ? existing.digits : 'latin'),
+            fallback: options.fallback || (existing ? existing.fallback : DEFAULT_LOCALE),
+            messages: { ...(existing ? existing.messages : {}), ...messages }
+        };
+    }
+
+    /**
+     * Override one message
+     * @param {string} locale - Registered locale
+     * @param {string} key - Message key, e.g. 'INVALID_DISTRICT'
+     * @param {string|Function} message - Template or (data, locale) => string
+     */
+    setMessage(locale, key, message) {
+        this.checkLocale(locale);
+        this.catalogs[locale].messages[key] = message;
+    }
+
+    /**
+     * Build a message
+     * @param {string} key - Message key (an issue code like 'INVALID_DISTRICT', or e.g. 'RECOMMEND_ADD_WARD')
+     * @param {Object} data - Placeholder values
+     * @param {string} locale - Defaults to the current locale
+     * @returns {string} Message (the key itself if no catalog has it)
+     */
+    format(key, data = {}, locale = null) {
+        const resolved = locale || this.locale;
+        this.checkLocale(resolved);
+
+        const { message, catalog } = this.findMessage(key, resolved);
+        if (message === undefined) {
+            return key;
+        }
+        if (typeof message === 'function') {
+            return String(message(data, resolved));
+        }
+
+        return String(message).replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = data[name];
+            if (value === undefined || value === null) {
+                return placeholder;
+            }
+            const text = Array.isArray(value) ? value.join(', ') : String(value);
+            return typeof value === 'number' && catalog.digits === 'devanagari' ? toDevanagariDigits(text) : text;
+        });
+    }
+
+    /**
+     * Look a key up along the fallback chain (locale -> its fallback -> ... -> 'en')
+     * Returns the catalog the message came from, so its digits setting matches its language
+     * @private
+     */
+    findMessage(key, locale) {
+        const seen = new Set();
+        for (let current = locale; this.catalogs[current] && !seen.has(current); current = this.catalogs[current].fallback) {
+            seen.add(current);
+            if (this.catalogs[current].messages[key] !== undefined) {
+                return { message: this.catalogs[current].messages[key], catalog: this.catalogs[current] };
+            }
+        }
+        if (!seen.has(DEFAULT_LOCALE) && this.catalogs[DEFAULT_LOCALE].messages[key] !== undefined) {
+            return { message: this.catalogs[DEFAULT_LOCALE].messages[key], catalog: this.catalogs[DEFAULT_LOCALE] };
+        }
+        return { message: undefined, catalog: null };
+    }
+
+    /**
+     * @private
+     */
+    checkLocale(locale) {
+        if (!this.catalogs[locale]) {
+            throw new Error(`Unknown locale: ${locale}. Available: ${this.getLocales().join(', ')} (add more with addCatalog)`);
+        }
+    }
+}
+
+module.exports = I18n;
+module.exports.DEFAULT_LOCALE = DEFAULT_LOCALE;
@@ -0,0 +1,241 @@
+const { normalizeText } = require('./devanagari');
+const ProvinceUtils = require('./province-utils');
+
+// Kinds of historical names, as used in data/legacy.json and resolveLegacyName
+const LEGACY_TYPES = ['district', 'province', 'postalCode', 'zone', 'developmentRegion'];
+
+/**
+ * The pre-2015 administrative system (14 zones in 5 development regions) and historical names
+ * Older records still say 'Bagmati Zone', 'Nawalparasi' or 'Province No. 3'; this maps them to today's
+ * districts and provinces, with the date each name stopped being used
+ */
+class LegacyUtils {
+    constructor(geoData) {
+        this.geoData = geoData;
+        this.provinces = new ProvinceUtils(geoData);
+    }
+
+    /**
+     * Get the 14 zones, east to west
+     * @returns {Array<Object>} { id, name, officialName, nepaliName, region, aliases, districts }
+     */
+    getZones() {
+        return this.geoData.legacy.zones.slice();
+    }
+
+    /**
+     * Find a zone by name ('Bagmati', 'Bagmati Zone', 'बागमती अञ्चल')
+     * @param {string} name - Zone name
+     * @returns {Object|null} Zone or null if not found
+     */
+    getZone(name) {
+        return this.findArea(this.geoData.legacy.zones, name, true);
+    }
+
+    /**
+     * Get the 5 development regions, east to west
+     * @returns {Array<Object>} { id, name, officialName, nepaliName, headquarters, aliases, zones }
+     */
+    getDevelopmentRegions() {
+        return this.geoData.legacy.developmentRegions.slice();
+    }
+
+    /**
+     * Find a development region by name ('Central', 'Central Development Region', 'Madhyamanchal')
+     * @param {string} name - Region name
+     * @returns {Object|null} Region or null if not found
+     */
+    getDevelopmentRegion(name) {
+        return this.findArea(this.geoData.legacy.developmentRegions, name, true);
+    }
+
+    /**
+     * The zone a district was in (split districts belong to their parent's zone)
+     * @param {string} district - District name in any spelling
+     * @returns {Object|null} Zone or null if unknown
+     */
+    getZoneByDistrict(district) {
+        const names = this.geoData.resolveDistrictName(district);
+        return names.length === 0 ? null : this.geoData.legacy.zones.find(zone => zone.districts.includes(names[0])) || null;
+    }
+
+    /**
+     * The development region a district was in
+     * @param {string} district - District name in any spelling
+     * @returns {Object|null} Region or null if unknown
+     */
+    getDevelopmentRegionByDistrict(district) {
+        const zone = this.getZoneByDistrict(district);
+        return zone ? this.getDevelopmentRegion(zone.region) : null;
+    }
+
+    /**
+     * Districts of a zone or development region
+     * @param {string} name - Zone or region name
+     * @returns {Array<string>} Official district names, empty if unknown
+     */
+    getDistricts(name) {
+        const zone = this.getZone(name);
+        if (zone) {
+            return zone.districts.slice();
+        }
+        const region = this.getDevelopmentRegion(name);
+        return region ? [].concat(...region.zones.map(zoneName => this.getZone(zoneName).districts)) : [];
+    }
+
+    /**
+     * Historical district, province and postal code names
+     * @param {string} type - Only this kind ('district', 'province' or 'postalCode')
+     * @returns {Array<Object>} { type, name, aliases, current, validFrom, validUntil, note }
+     */
+    getHistoricalNames(type = null) {
+        return this.geoData.legacy.historicalNames.filter(entry => !type || entry.type === type);
+    }
+
+    /**
+     * Register a historical name, e.g. a retired postal code from your own records
+     * @param {Object} entry - { type: 'district' | 'province' | 'postalCode', name, aliases, current: [...], validFrom, validUntil, note }
+     */
+    addHistoricalName(entry) {
+        if (!entry || !['district', 'province', 'postalCode'].includes(entry.type)) {
+            throw new Error("Historical name type must be 'district', 'province' or 'postalCode'");
+        }
+        if (!entry.name || typeof entry.name !== 'string') {
+            throw new Error('Historical name must be a non-empty string');
+        }
+        if (!Array.isArray(entry.current) || entry.current.length === 0) {
+            throw new Error(`Historical name ${entry.name} needs the current name(s) it maps to`);
+        }
+        if (entry.type !== 'province' && this.isCurrent(entry.type, entry.name)) {
+            throw new Error(`${entry.name} is a current ${entry.type === 'district' ? 'district' : 'postal code'}, not a historical one`);
+        }
+        const unknown = entry.current.filter(name => !this.isCurrent(entry.type, name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown current ${entry.type}: ${unknown.join(', ')}`);
+        }
+        ['validFrom', 'validUntil'].forEach(field => {
+            if (entry[field] !== undefined && !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(entry[field])) {
+                throw new Error(`${field} must be a date like 2015-09-20 (or 2015-09), got ${entry[field]}`);
+            }
+        });
+        if (!entry.validUntil) {
+            throw new Error(`Historical name ${entry.name} needs validUntil`);
+        }
+
+        this.geoData.legacy.historicalNames.push({ aliases: [], ...entry });
+    }
+
+    /**
+     * Map a legacy name or code to what it is today
+     * Bare zone and region names ('Bagmati', 'Central') are also current or ordinary words, so they only match
+     * with options.type; 'Bagmati Zone' and 'Central Development Region' always do
+     * @param {string} value - e.g. 'Bagmati Zone', 'Nawalparasi', 'Province No. 3'
+     * @param {Object} options - { type: one of LEGACY_TYPES, postalCode: picks the half of a split district }
+     * @returns {Object|null} { type, name, input, current, districts, provinces, validFrom, validUntil, note } or null
+     */
+    resolve(value, options = {}) {
+        if (!value || typeof value !== 'string') {
+            return null;
+        }
+        const types = options.type ? [options.type] : LEGACY_TYPES;
+        const key = normalizeText(value);
+
+        for (const type of types) {
+            let match = null;
+            if (type === 'zone' || type === 'developmentRegion') {
+                const area = type === 'zone' ? this.findArea(this.geoData.legacy.zones, value, Boolean(options.type))
+                    : this.findArea(this.geoData.legacy.developmentRegions, value, Boolean(options.type));
+                match = area && {
+                    type,
+                    name: area.officialName,
+                    current: this.getDistricts(area.name),
+                    validFrom: null,
+                    validUntil: this.geoData.legacy.abolished,
+                    note: null
+                };
+            } else {
+                const entry = this.getHistoricalNames(type)
+                    .find(candidate => [candidate.name, ...(candidate.aliases || [])].some(name => normalizeText(name) === key));
+                match = entry && {
+                    type,
+                    name: entry.name,
+                    current: this.narrow(entry, options.postalCode),
+                    validFrom: entry.validFrom || null,
+                    validUntil: entry.validUntil,
+                    note: entry.note || null
+                };
+            }
+
+            if (match) {
+                return { ...match, input: value, ...this.describe(match) };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Current districts and provinces a legacy match covers
+     * @private
+     */
+    describe(match) {
+        let districts = [];
+        if (match.type === 'province') {
+            districts = [].concat(...match.current.map(name => this.provinces.getDistrictNames(name)));
+        } else if (match.type === 'postalCode') {
+            districts = match.current.map(code => this.geoData.getPostOfficeByCode(code).district);
+        } else {
+            districts = match.current;
+        }
+
+        const provinces = [];
+        districts.forEach(name => {
+            const province = this.provinces.getProvinceByDistrict(name);
+            if (province && !provinces.includes(province.name)) {
+                provinces.push(province.name);
+            }
+        });
+        return { districts: Array.from(new Set(districts)), provinces };
+    }
+
+    /**
+     * For a split district, the half the postal code belongs to
+     * @private
+     */
+    narrow(entry, postalCode) {
+        const split = entry.type === 'district' && postalCode ? this.geoData.postalSplits[entry.name] : null;
+        const postOffice = split ? this.geoData.getPostOfficeByCode(String(postalCode).trim()) : null;
+        return postOffice && entry.current.includes(postOffice.district) ? [postOffice.district] : entry.current.slice();
+    }
+
+    /**
+     * @private
+     */
+    isCurrent(type, name) {
+        switch (type) {
+            case 'district':
+                return Boolean(this.geoData.adminDistricts[name]);
+            case 'province':
+                return Boolean(this.provinces.getProvince(name));
+            default:
+                return Boolean(this.geoData.getPostOfficeByCode(name));
+        }
+    }
+
+    /**
+     * @private
+     */
+    findArea(areas, name, allowBareName) {
+        if (!name || typeof name !== 'string') {
+            return null;
+        }
+        const key = normalizeText(name);
+        return areas.find(area =>
+            [allowBareName ? area.name : null, area.officialName, area.nepaliName, ...area.aliases]
+                .filter(Boolean)
+                .some(candidate => normalizeText(candidate) === key)
+        ) || null;
+    }
+}
+
+module.exports = LegacyUtils;
+module.exports.LEGACY_TYPES = LEGACY_TYPES;
@@ -0,0 +1,213 @@
+/**
+ * Local level types used by the federal government, with the common ways people write them
+ * Handy for filters like { type: 'gaunpalika' } or { type: 'metropolitan' }
+ */
+const LOCAL_LEVEL_TYPES = {
+    'Metropolitan City': ['metropolitan city', 'metropolitan', 'mahanagarpalika'],
+    'Sub-Metropolitan City': ['sub-metropolitan city', 'sub-metropolitan', 'sub metropolitan city', 'sub metropolitan', 'upamahanagarpalika'],
+    'Municipality': ['municipality', 'nagarpalika'],
+    'Rural Municipality': ['rural municipality', 'gaunpalika', 'gaupalika']
+};
+
+/**
+ * Work with Nepal's 753 local levels and their wards
+ * Great for cascading address forms: province -> district -> local level -> ward
+ */
+class LocalLevelUtils {
+    constructor(geoData) {
+        this.geoData = geoData;
+    }
+
+    /**
+     * Get all local levels in Nepal
+     * @param {Object} options - Filter options ({ type })
+     * @returns {Array<Object>} Array of local level objects
+     */
+    getAllLocalLevels(options = {}) {
+        return this.filterByType(this.geoData.getAllLocalLevels(), options.type);
+    }
+
+    /**
+     * Get local levels inside a district
+     * @param {string} district - District name (official 77-district name)
+     * @param {Object} options - Filter options ({ type })
+     * @returns {Array<Object>} Array of local levels, empty if the district is unknown
+     */
+    getLocalLevelsByDistrict(district, options = {}) {
+        if (!district || typeof district !== 'string') {
+            return [];
+        }
+
+        const districtData = this.geoData.getAdminDistrictByName(district);
+        return districtData ? this.filterByType(districtData.localLevels, options.type) : [];
+    }
+
+    /**
+     * Find every local level with a given name
+     * Some names repeat across districts (e.g. 'Mahakali', 'Annapurna'), so pass the district to narrow it down
+     * Suffixes like 'Municipality' or 'Gaunpalika' are ignored, so 'Dhulikhel Municipality' works
+     * @param {string} name - Local level name
+     * @param {string} district - District name (optional)
+     * @returns {Array<Object>} Array of matching local levels
+     */
+    findLocalLevels(name, district = null) {
+        if (!name || typeof name !== 'string') {
+            return [];
+        }
+
+        const normalizedName = this.normalizeName(name);
+        const candidates = district
+            ? this.getLocalLevelsByDistrict(district)
+            : this.geoData.getAllLocalLevels();
+
+        return candidates.filter(localLevel => localLevel.name.toLowerCase() === normalizedName);
+    }
+
+    /**
+     * Get a single local level by name
+     * @param {string} name - Local level name
+     * @param {string} district - District name (optional, recommended for repeated names)
+     * @returns {Object|null} Local level object or null if not found
+     */
+    getLocalLevel(name, district = null) {
+        return this.findLocalLevels(name, district)[0] || null;
+    }
+
+    /**
+     * Get the number of wards in a local level
+     * @param {string} name - Local level name
+     * @param {string} district - District name (optional)
+     * @returns {number|null} Ward count or null if the local level is unknown
+     */
+    getWardCount(name, district = null) {
+        const localLevel = this.getLocalLevel(name, district);
+        return localLevel ? localLevel.wards : null;
+    }
+
+    /**
+     * Get the ward numbers of a local level (useful for dropdowns)
+     * @param {string} name - Local level name
+     * @param {string} district - District name (optional)
+     * @returns {Array<number>} Ward numbers starting at 1
+     */
+    getWards(name, district = null) {
+        const wardCount = this.getWardCount(name, district);
+        return wardCount ? Array.from({ length: wardCount }, (_, i) => i + 1) : [];
+    }
+
+    /**
+     * Check whether a ward exists in a local level
+     * e.g. isValidWard('Dhulikhel', 33) is false because Dhulikhel has 12 wards
+     * @param {string} name - Local level name
+     * @param {number} ward - Ward number
+     * @param {string} district - District name (optional)
+     * @returns {boolean} True if the ward exists
+     */
+    isValidWard(name, ward, district = null) {
+        if (!Number.isInteger(ward) || ward < 1) {
+            return false;
+        }
+
+        return this.findLocalLevels(name, district).some(localLevel => ward <= localLevel.wards);
+    }
+
+    /**
+     * Get the list of local level types
+     * @returns {Array<string>} Local level type names
+     */
+    getLocalLevelTypes() {
+        return Object.keys(LOCAL_LEVEL_TYPES);
+    }
+
+    /**
+     * Get the full province -> district -> local level tree
+     * @returns {Array<Object>} Array of provinces with nested districts and local levels
+     */
+    getHierarchy() {
+        return this.geoData.getAllProvinces().map(province => ({
+            number: province.number,
+            name: province.name,
+            districts: province.districts.map(district => ({
+                name: district.name,
+                localLevels: district.localLevels.map(localLevel => ({
+                    name: localLevel.name,
+                    type: localLevel.type,
+                    wards: localLevel.wards,
+                    coordinates: localLevel.coordinates
+                }))
+            }))
+        }));
+    }
+
+    /**
+     * Get local level statistics
+     * @returns {Object} Counts by type and total wards
+     */
+    getLocalLevelStatistics() {
+        const localLevels = this.geoData.getAllLocalLevels();
+        const byType = {};
+
+        localLevels.forEach(localLevel => {
+            byType[localLevel.type] = (byType[localLevel.type] || 0) + 1;
+        });
+
+        return {
+            totalLocalLevels: localLevels.length,
+            totalWards: localLevels.reduce((sum, localLevel) => sum + localLevel.wards, 0),
+            byType
+        };
+    }
+
+    /**
+     * Strip type suffixes so 'Pokhara Metropolitan City' and 'pokhara' match the same record
+     * @param {string} name - Local level name as typed
+     * @returns {string} Normalized lowercase name
+     */
+    normalizeName(name) {
+        let normalized = name.toLowerCase().trim().replace(/\s+/g, ' ');
+        const suffixes = Object.values(LOCAL_LEVEL_TYPES)
+            .reduce((all, aliases) => all.concat(aliases), [])
+            .sort((a, b) => b.length - a.length);
+
+        for (const suffix of suffixes) {
+            if (normalized.endsWith(` ${suffix}`)) {
+                normalized = normalized.slice(0, -(suffix.length + 1)).trim();
+                break;
+            }
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Resolve a type alias like 'gaunpalika' to the official type name
+     * @param {string} type - Type or alias
+     * @returns {string|null} Official type name or null if unknown
+     */
+    resolveType(type) {
+        if (!type || typeof type !== 'string') {
+            return null;
+        }
+
+        const normalizedType = type.toLowerCase().trim();
+        return Object.keys(LOCAL_LEVEL_TYPES).find(officialType =>
+            LOCAL_LEVEL_TYPES[officialType].includes(normalizedType)
+        ) || null;
+    }
+
+    /**
+     * Filter local levels by type (accepts aliases)
+     * @private
+     */
+    filterByType(localLevels, type) {
+        if (!type) {
+            return localLevels;
+        }
+
+        const officialType = this.resolveType(type);
+        return localLevels.filter(localLevel => localLevel.type === officialType);
+    }
+}
+
+module.exports = LocalLevelUtils;
+module.exports.LOCAL_LEVEL_TYPES = LOCAL_LEVEL_TYPES;
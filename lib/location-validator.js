@@ -1,3 +1,9 @@
+const LocalLevelUtils = require('./local-level-utils');
+const LegacyUtils = require('./legacy-utils');
+const ProvinceUtils = require('./province-utils');
+const { ValidationIssue } = require('./validation-issues');
+const { DEFAULT_WEIGHTS } = require('./validation-rules');
+
 /**
  * Validates Nepal addresses and location data
  * Helps you check if districts exist, postal codes are valid, and more
@@ -5,82 +11,68 @@
 class LocationValidator {
     constructor(geoData) {
         this.geoData = geoData;
+        this.localLevels = new LocalLevelUtils(geoData);
+        this.legacy = new LegacyUtils(geoData);
+        this.provinces = new ProvinceUtils(geoData);
+        this.i18n = geoData.i18n;
+        // Shared with every validator on this data, so custom rules also apply to bulk validation
+        this.rules = geoData.validationRules;
     }
 
     /**
      * Check if an address is valid
-     * Validates districts, postal codes, and suggests corrections
+     * Runs the validation rules (see lib/validation-rules.js) and suggests corrections
+     * Errors, warnings and suggestions are ValidationIssue objects: { code, field, message, data }
      * @param {Object} address - Address object with district, postalCode, etc.
+     * @param {Object} options - {
+     *   locale - message language (default: the helper's locale),
+     *   profile - 'default' | 'strict' | 'lenient' | 'delivery' | 'kyc' or a registered profile,
+     *   rules - { ruleId: 'error' | 'warning' | 'off' } for this call only
+     * }
      * @returns {Object} Validation result with errors and suggestions
      */
-    validateAddress(address) {
-        const errors = [];
-        const warnings = [];
-        const suggestions = [];
+    validateAddress(address, options = {}) {
+        const { locale } = options;
+        const issue = (code, field, data = {}, key = code) =>
+            new ValidationIssue(code, field, data, this.i18n.format(key, data, locale));
 
         if (!address || typeof address !== 'object') {
             return {
                 isValid: false,
-                errors: ['Address must be a valid object'],
+                errors: [issue('INVALID_ADDRESS', null)],
                 warnings: [],
                 suggestions: []
             };
         }
 
-        // Validate district
-        if (address.district) {
-            const districtResult = this.validateDistrict(address.district);
-            if (!districtResult.isValid) {
-                errors.push(`Invalid district: ${address.district}`);
-                if (districtResult.suggestions.length > 0) {
-                    suggestions.push(`Did you mean: ${districtResult.suggestions.join(', ')}?`);
-                }
-            }
-        } else {
-            warnings.push('District not specified');
-        }
-
-        // Validate postal code
-        if (address.postalCode) {
-            const postalResult = this.validatePostalCode(address.postalCode);
-            if (!postalResult.isValid) {
-                errors.push(`Invalid postal code: ${address.postalCode}`);
-            } else {
-                // Cross-validate postal code with district
-                if (address.district) {
-                    const postalInfo = this.geoData.getPostOfficeByCode(address.postalCode);
-                    if (postalInfo && postalInfo.district.toLowerCase() !== address.district.toLowerCase()) {
-                        errors.push(`Postal code ${address.postalCode} does not belong to district ${address.district}`);
-                        suggestions.push(`Postal code ${address.postalCode} belongs to ${postalInfo.district}`);
-                    }
-                }
-            }
-        }
-
-        // Validate post office
-        if (address.postOffice) {
-            const postOfficeResult = this.validatePostOffice(address.postOffice, address.district);
-            if (!postOfficeResult.isValid) {
-                errors.push(`Invalid post office: ${address.postOffice}`);
-                if (postOfficeResult.suggestions.length > 0) {
-                    suggestions.push(`Similar post offices: ${postOfficeResult.suggestions.join(', ')}`);
-                }
-            }
-        }
-
-        // Validate ward number
-        if (address.ward !== undefined) {
-            if (!Number.isInteger(address.ward) || address.ward < 1 || address.ward > 35) {
-                errors.push('Ward number must be an integer between 1 and 35');
-            }
-        }
+        const { rules, completeness } = this.rules.resolve(options);
+        const errors = [];
+        const warnings = [];
+        const suggestions = [];
+        // Shared between the rules of this one validation (the municipality rule leaves its matches here)
+        const state = {};
+
+        rules.filter(rule => rule.severity !== 'off').forEach(rule => {
+            const target = rule.severity === 'error' ? errors : warnings;
+            const context = {
+                geoData: this.geoData,
+                validator: this,
+                options,
+                state,
+                // Another issue from this rule; { code, key, field } override the rule's code, message key and field
+                report: (data = {}, overrides = {}) => {
+                    const code = overrides.code || rule.code;
+                    target.push(issue(code, overrides.field || rule.field, data, overrides.key || code));
+                },
+                suggest: (code, field, data = {}) => suggestions.push(issue(code, field, data)),
+                label: field => this.i18n.format(`FIELD_${field}`, {}, locale)
+            };
 
-        // Validate municipality (basic check)
-        if (address.municipality) {
-            if (typeof address.municipality !== 'string' || address.municipality.trim().length < 2) {
-                errors.push('Municipality name must be a valid string');
+            const result = rule.check(address, context);
+            if (result === false || (result && typeof result === 'object')) {
+                context.report(result || {});
             }
-        }
+        });
 
         const isValid = errors.length === 0;
 
@@ -89,21 +81,22 @@ class LocationValidator {
             errors,
             warnings,
             suggestions,
-            completeness: this.calculateCompleteness(address),
-            recommendation: this.getRecommendation(address, errors, warnings)
+            completeness: this.calculateCompleteness(address, completeness),
+            recommendation: this.getRecommendation(address, errors, warnings, options)
         };
     }
 
     /**
      * Validate district name
      * @param {string} district - District name
+     * @param {Object} options - { locale }
      * @returns {Object} Validation result
      */
-    validateDistrict(district) {
+    validateDistrict(district, options = {}) {
         if (!district || typeof district !== 'string') {
             return {
                 isValid: false,
-                error: 'District name is required and must be a string',
+                error: this.i18n.format('DISTRICT_REQUIRED', {}, options.locale),
                 suggestions: []
             };
         }
@@ -123,7 +116,7 @@ class LocationValidator {
 
         return {
             isValid: false,
-            error: `District '${district}' not found`,
+            error: this.i18n.format('DISTRICT_NOT_FOUND', { value: district }, options.locale),
             suggestions
         };
     }
@@ -131,13 +124,14 @@ class LocationValidator {
     /**
      * Validate postal code
      * @param {string} postalCode - Postal code
+     * @param {Object} options - { locale }
      * @returns {Object} Validation result
      */
-    validatePostalCode(postalCode) {
+    validatePostalCode(postalCode, options = {}) {
         if (!postalCode || typeof postalCode !== 'string') {
             return {
                 isValid: false,
-                error: 'Postal code is required and must be a string'
+                error: this.i18n.format('POSTAL_CODE_REQUIRED', {}, options.locale)
             };
         }
 
@@ -147,7 +141,7 @@ class LocationValidator {
         if (!/^\d{5}$/.test(trimmed)) {
             return {
                 isValid: false,
-                error: 'Nepal postal codes must be exactly 5 digits'
+                error: this.i18n.format('POSTAL_CODE_FORMAT', {}, options.locale)
             };
         }
 
@@ -156,7 +150,7 @@ class LocationValidator {
         
         return {
             isValid: postalInfo !== null,
-            error: postalInfo ? null : 'Postal code does not exist',
+            error: postalInfo ? null : this.i18n.format('POSTAL_CODE_NOT_FOUND', {}, options.locale),
             postalInfo
         };
     }
@@ -165,13 +159,14 @@ class LocationValidator {
      * Validate post office
      * @param {string} postOffice - Post office name
      * @param {string} district - District name (optional)
+     * @param {Object} options - { locale }
      * @returns {Object} Validation result
      */
-    validatePostOffice(postOffice, district = null) {
+    validatePostOffice(postOffice, district = null, options = {}) {
         if (!postOffice || typeof postOffice !== 'string') {
             return {
                 isValid: false,
-                error: 'Post office name is required and must be a string',
+                error: this.i18n.format('POST_OFFICE_REQUIRED', {}, options.locale),
                 suggestions: []
             };
         }
@@ -182,13 +177,13 @@ class LocationValidator {
         // Filter by district if provided
         if (district) {
             postOffices = allPostOffices.filter(po => 
-                po.district.toLowerCase() === district.toLowerCase()
+                this.geoData.districtMatches(district, po.district)
             );
         }
 
-        // Find exact match
-        const exactMatch = postOffices.find(po => 
-            po.name.toLowerCase() === postOffice.toLowerCase()
+        // Find exact match (name index, no scan)
+        const exactMatch = this.geoData.getPostOfficesByName(postOffice).find(po =>
+            !district || this.geoData.districtMatches(district, po.district)
         );
 
         if (exactMatch) {
@@ -204,13 +199,84 @@ class LocationValidator {
 
         return {
             isValid: false,
-            error: `Post office '${postOffice}' not found${district ? ` in ${district}` : ''}`,
+            error: this.i18n.format(district ? 'POST_OFFICE_NOT_FOUND_IN_DISTRICT' : 'POST_OFFICE_NOT_FOUND', { value: postOffice, district }, options.locale),
             suggestions: suggestions.slice(0, 3).map(po => po.name)
         };
     }
 
+    /**
+     * Validate municipality (local level) name, optionally within a district
+     * @param {string} municipality - Local level name
+     * @param {string} district - District name (optional)
+     * @param {Object} options - { locale }
+     * @returns {Object} Validation result with the matching local levels (code and messageKey say what went wrong)
+     */
+    validateMunicipality(municipality, district = null, options = {}) {
+        if (!municipality || typeof municipality !== 'string') {
+            return {
+                isValid: false,
+                code: 'INVALID_MUNICIPALITY',
+                messageKey: 'MUNICIPALITY_REQUIRED',
+                error: this.i18n.format('MUNICIPALITY_REQUIRED', {}, options.locale),
+                localLevels: [],
+                suggestions: []
+            };
+        }
+
+        // Only narrow by district when it is one of the official districts
+        const adminDistrict = district ? this.geoData.getAdminDistrictByName(district) : null;
+        const localLevels = this.localLevels.findLocalLevels(municipality, adminDistrict ? adminDistrict.name : null);
+
+        if (localLevels.length > 0) {
+            return {
+                isValid: true,
+                localLevels,
+                suggestions: []
+            };
+        }
+
+        if (adminDistrict) {
+            const elsewhere = this.localLevels.findLocalLevels(municipality);
+            if (elsewhere.length > 0) {
+                return {
+                    isValid: false,
+                    code: 'MUNICIPALITY_DISTRICT_MISMATCH',
+                    messageKey: 'MUNICIPALITY_DISTRICT_MISMATCH',
+                    error: this.i18n.format('MUNICIPALITY_DISTRICT_MISMATCH', { value: municipality, district: adminDistrict.name }, options.locale),
+                    district: adminDistrict.name,
+                    localLevels: [],
+                    suggestions: elsewhere.map(localLevel => `${localLevel.name} (${localLevel.district})`)
+                };
+            }
+        }
+
+        const candidates = adminDistrict ? adminDistrict.localLevels : this.geoData.getAllLocalLevels();
+        const normalizedInput = this.localLevels.normalizeName(municipality);
+        const suggestions = candidates
+            .map(localLevel => ({
+                name: localLevel.name,
+                similarity: this.geoData.phonetic.similarity(normalizedInput, localLevel.name)
+            }))
+            .filter(item => item.similarity > 0.5)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, 3)
+            .map(item => item.name);
+
+        return {
+            isValid: false,
+            code: 'INVALID_MUNICIPALITY',
+            messageKey: adminDistrict ? 'INVALID_MUNICIPALITY_IN_DISTRICT' : 'INVALID_MUNICIPALITY',
+            error: this.i18n.format(adminDistrict ? 'INVALID_MUNICIPALITY_IN_DISTRICT' : 'INVALID_MUNICIPALITY',
+                { value: municipality, district: adminDistrict ? adminDistrict.name : null }, options.locale),
+            district: adminDistrict ? adminDistrict.name : null,
+            localLevels: [],
+            suggestions
+        };
+    }
+
     /**
      * Find similar districts using fuzzy matching
+     * Romanization-aware, so 'Sindhupalchowk' and 'Kathmadu' find the right district
      * @param {string} input - Input district name
      * @returns {Array<string>} Array of similar district names
      */
@@ -218,7 +284,7 @@ class LocationValidator {
         const districts = this.geoData.getAllDistricts();
         const similarities = districts.map(district => ({
             name: district.name,
-            similarity: this.calculateSimilarity(input.toLowerCase(), district.name.toLowerCase())
+            similarity: this.geoData.phonetic.similarity(input, district.name)
         }))
         .filter(item => item.similarity > 0.3)
         .sort((a, b) => b.similarity - a.similarity)
@@ -229,14 +295,23 @@ class LocationValidator {
 
     /**
      * Find similar post offices using fuzzy matching
+     * Romanization-aware like findSimilarDistricts ('Beeratnagar Bajar' -> 'Biratnagar Bazar')
      * @param {string} input - Input post office name
      * @param {Array} postOffices - Array of post offices to search
      * @returns {Array<Object>} Array of similar post offices
      */
     findSimilarPostOffices(input, postOffices) {
+        // Across the whole country, only score what the search index says could match
+        if (postOffices === this.geoData.getAllPostOffices()) {
+            const candidates = this.geoData.findSearchCandidates(input.toLowerCase().trim(), '');
+            if (candidates && candidates.postOffice) {
+                postOffices = candidates.postOffice;
+            }
+        }
+
         const similarities = postOffices.map(po => ({
             ...po,
-            similarity: this.calculateSimilarity(input.toLowerCase(), po.name.toLowerCase())
+            similarity: this.geoData.phonetic.similarity(input, po.name)
         }))
         .filter(item => item.similarity > 0.3)
         .sort((a, b) => b.similarity - a.similarity)
@@ -286,17 +361,18 @@ class LocationValidator {
     /**
      * Calculate address completeness score
      * @param {Object} address - Address object
+     * @param {Object} settings - { weights: { field: weight }, threshold: 0.8 } (validation profiles change these)
      * @returns {Object} Completeness information
      */
-    calculateCompleteness(address) {
-        const fields = ['district', 'municipality', 'ward', 'postOffice', 'postalCode'];
-        const weights = { district: 0.3, municipality: 0.2, ward: 0.2, postOffice: 0.15, postalCode: 0.15 };
-        
+    calculateCompleteness(address, settings = {}) {
+        const weights = settings.weights || DEFAULT_WEIGHTS;
+        const threshold = settings.threshold !== undefined ? settings.threshold : 0.8;
+
         let score = 0;
         const missing = [];
         const present = [];
 
-        fields.forEach(field => {
+        Object.keys(weights).forEach(field => {
             if (address[field] !== undefined && address[field] !== null && address[field] !== '') {
                 score += weights[field];
                 present.push(field);
@@ -305,12 +381,14 @@ class LocationValidator {
             }
         });
 
+        // Compare whole percents so weights that add up to 1 can reach a threshold of 1
+        const percent = Math.round(score * 100);
         return {
-            score: Math.round(score * 100),
-            percentage: `${Math.round(score * 100)}%`,
+            score: percent,
+            percentage: `${percent}%`,
             present,
             missing,
-            isComplete: score >= 0.8
+            isComplete: percent >= Math.round(threshold * 100)
         };
     }
 
@@ -319,37 +397,39 @@ class LocationValidator {
      * @param {Object} address - Address object
      * @param {Array} errors - Validation errors
      * @param {Array} warnings - Validation warnings
+     * @param {Object} options - { locale }
      * @returns {Array<string>} Array of recommendations
      */
-    getRecommendation(address, errors, warnings) {
+    getRecommendation(address, errors, warnings, options = {}) {
         const recommendations = [];
+        const recommend = key => recommendations.push(this.i18n.format(key, {}, options.locale));
 
         if (errors.length > 0) {
-            recommendations.push('Fix validation errors before using this address');
+            recommend('RECOMMEND_FIX_ERRORS');
         }
 
         if (!address.district) {
-            recommendations.push('Add district name for better address identification');
+            recommend('RECOMMEND_ADD_DISTRICT');
         }
 
         if (!address.postalCode) {
-            recommendations.push('Include postal code for accurate mail delivery');
+            recommend('RECOMMEND_ADD_POSTAL_CODE');
         }
 
         if (!address.municipality && !address.postOffice) {
-            recommendations.push('Add municipality or post office for precise location');
+            recommend('RECOMMEND_ADD_LOCALITY');
         }
 
         if (!address.ward) {
-            recommendations.push('Include ward number for local administrative purposes');
+            recommend('RECOMMEND_ADD_WARD');
         }
 
         if (warnings.length > 0 && errors.length === 0) {
-            recommendations.push('Address is valid but could be more complete');
+            recommend('RECOMMEND_MORE_COMPLETE');
         }
 
         if (recommendations.length === 0) {
-            recommendations.push('Address is complete and valid');
+            recommend('RECOMMEND_COMPLETE');
         }
 
         return recommendations;
@@ -358,9 +438,10 @@ class LocationValidator {
     /**
      * Batch validate multiple addresses
      * @param {Array<Object>} addresses - Array of address objects
+     * @param {Object} options - { locale }
      * @returns {Array<Object>} Array of validation results
      */
-    batchValidate(addresses) {
+    batchValidate(addresses, options = {}) {
         if (!Array.isArray(addresses)) {
             throw new Error('Addresses must be an array');
         }
@@ -368,7 +449,7 @@ class LocationValidator {
         return addresses.map((address, index) => ({
             index,
             address,
-            validation: this.validateAddress(address)
+            validation: this.validateAddress(address, options)
         }));
     }
 }
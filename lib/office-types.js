@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeText } = require('./devanagari');
+
+/**
+ * Post office types: the codes used in the postal data ('D.P.O.', 'A.P.O.', 'E.R.P.D.', ...) with their full
+ * English and Nepali names, where they sit in the postal hierarchy and whether they are a district's main office
+ *
+ * The registry lives in data/office-types.json. Anything that needs to know what a type means goes through here,
+ * so the main office test isn't spelled out in every module.
+ */
+
+// Bundled registry (data/office-types.json), read once
+let registry = null;
+
+/**
+ * @private
+ */
+function loadRegistry() {
+    if (!registry) {
+        registry = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/office-types.json'), 'utf8')).office_types;
+    }
+    return registry;
+}
+
+/**
+ * Letters of a code, so 'A.P.O', 'APO' and 'a. p. o.' compare equal
+ * @private
+ */
+function letters(value) {
+    return value.replace(/[^a-z]/gi, '').toUpperCase();
+}
+
+/**
+ * All office types, from the General Post Office down to area post offices
+ * @returns {Array<Object>} { code, name, nepaliName, level, role, mainOffice, region, aliases }
+ */
+function getOfficeTypes() {
+    return loadRegistry().map(type => ({ ...type, aliases: type.aliases.slice() }));
+}
+
+/**
+ * Find an office type by code, a variant of it ('A.P.O', 'apo') or its name in either script
+ * @param {string} value - e.g. 'D.P.O.', 'DPO', 'District Post Office', 'जिल्ला हुलाक कार्यालय'
+ * @returns {Object|null} Office type or null if unknown
+ */
+function getOfficeType(value) {
+    if (!value || typeof value !== 'string' || !value.trim()) {
+        return null;
+    }
+    const types = loadRegistry();
+    const exact = types.find(type => type.code === value.trim());
+    if (exact) {
+        return { ...exact, aliases: exact.aliases.slice() };
+    }
+
+    const key = normalizeText(value);
+    const match = (letters(value) && types.find(type => letters(type.code) === letters(value))) ||
+        types.find(type => [type.name, type.nepaliName, ...type.aliases].some(name => normalizeText(name) === key));
+    return match ? { ...match, aliases: match.aliases.slice() } : null;
+}
+
+/**
+ * The registry code for an office type ('A.P.O' -> 'A.P.O.')
+ * @param {string} value - Code, variant or name
+ * @returns {string|null} Code or null if unknown
+ */
+function normalizeOfficeType(value) {
+    const type = getOfficeType(value);
+    return type ? type.code : null;
+}
+
+/**
+ * Whether a string is exactly one of the registry codes
+ * @param {string} value - e.g. 'A.P.O.'
+ * @returns {boolean}
+ */
+function isOfficeType(value) {
+    return loadRegistry().some(type => type.code === value);
+}
+
+/**
+ * Whether a post office heads its district's postal service (G.P.O., a regional directorate or a D.P.O.)
+ * @param {Object|string} postOffice - Post office ({ type }) or its type
+ * @returns {boolean}
+ */
+function isMainOffice(postOffice) {
+    const type = getOfficeType(typeof postOffice === 'string' ? postOffice : postOffice && postOffice.type);
+    return Boolean(type && type.mainOffice);
+}
+
+/**
+ * The main office among a district's post offices (the highest in the hierarchy if there are several)
+ * @param {Array<Object>} postOffices - Post offices of one district
+ * @returns {Object|null} Post office or null if none is a main office
+ */
+function findMainOffice(postOffices) {
+    const level = postOffice => getOfficeType(postOffice.type).level;
+    return postOffices.filter(isMainOffice).sort((a, b) => level(a) - level(b))[0] || null;
+}
+
+/**
+ * Whether a post office's type matches the type asked for, in any spelling
+ * @param {Object} postOffice - Post office ({ type })
+ * @param {string} type - Code, variant or name
+ * @returns {boolean}
+ */
+function matchesOfficeType(postOffice, type) {
+    const code = normalizeOfficeType(type);
+    return code ? normalizeOfficeType(postOffice.type) === code : postOffice.type === type;
+}
+
+module.exports = {
+    getOfficeTypes,
+    getOfficeType,
+    normalizeOfficeType,
+    isOfficeType,
+    isMainOffice,
+    findMainOffice,
+    matchesOfficeType
+};
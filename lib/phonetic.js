@@ -0,0 +1,181 @@
+const { normalizeText } = require('./devanagari');
+
+/**
+ * Abbreviations and nicknames people type instead of the full name
+ * Spelling variants ('chitawan', 'pokhra', 'kabhre') don't need to be here - the phonetic key handles them
+ */
+const DEFAULT_ALIASES = {
+    'ktm': 'kathmandu',
+    'pok': 'pokhara',
+    'bkt': 'bhaktapur',
+    'bhkt': 'bhaktapur',
+    'ltp': 'lalitpur',
+    'chit': 'chitwan',
+    'brt': 'biratnagar'
+};
+
+/**
+ * Rewrite rules applied in order to build a phonetic key
+ * They fold the usual romanization differences of Nepali names into one spelling
+ */
+const PHONETIC_RULES = [
+    [/x/g, 'ks'],
+    [/q/g, 'k'],
+    [/ck/g, 'k'],
+    [/z/g, 'j'],
+    [/ow(?![aeiou])/g, 'o'],       // Sindhupalchowk -> Sindhupalchok
+    [/ey$/, 'e'],                  // Kabhrey -> Kabhre
+    [/ee/g, 'i'],                  // Beeratnagar -> Biratnagar
+    [/oo/g, 'u'],
+    [/chh?/g, 'c'],                // Chhetri / Chetri / Cetri
+    [/sh/g, 's'],                  // Dhanusha -> Dhanusa
+    [/([bcdgjkpt])h/g, '$1'],      // aspirated consonants: Kathmandu -> Katmandu, Kabhre -> Kabre
+    [/f/g, 'p'],                   // Fidim -> Pidim
+    [/[vw]/g, 'b'],                // Kavre / Kabhre, Chitwan / Chitban
+    [/h$/, ''],
+    [/(.)\1+/g, '$1'],             // Illam -> Ilam, Lalitpurr -> Lalitpur
+    [/(?!^)a(?!$)/g, '']           // inherent 'a' is written or dropped at will: Chitawan -> Chitwan
+];
+
+/**
+ * Phonetic matching for romanized Nepali place names (a Soundex for Nepali)
+ * 'Kathmadu', 'Chitawan', 'Kabhre' and 'Sindhupalchowk' all land close to the official spelling
+ * The alias table is pluggable, so you can teach it your own abbreviations
+ */
+class NepaliPhonetic {
+    constructor(aliases = {}) {
+        this.aliases = {};
+        this.keyCache = new Map();
+        this.addAliases({ ...DEFAULT_ALIASES, ...aliases });
+    }
+
+    /**
+     * Add an alias, e.g. addAlias('npj', 'Nepalgunj')
+     * @param {string} alias - What people type
+     * @param {string} name - The name it stands for
+     */
+    addAlias(alias, name) {
+        if (!alias || !name || typeof alias !== 'string' || typeof name !== 'string') {
+            throw new Error('Alias and name must be non-empty strings');
+        }
+        this.aliases[normalizeText(alias)] = normalizeText(name);
+    }
+
+    /**
+     * Add several aliases at once
+     * @param {Object} aliases - Map of alias -> name
+     */
+    addAliases(aliases) {
+        Object.entries(aliases || {}).forEach(([alias, name]) => this.addAlias(alias, name));
+    }
+
+    /**
+     * Remove an alias
+     * @param {string} alias - Alias to remove
+     * @returns {boolean} True if the alias existed
+     */
+    removeAlias(alias) {
+        const key = normalizeText(alias);
+        const existed = key in this.aliases;
+        delete this.aliases[key];
+        return existed;
+    }
+
+    /**
+     * Get the current alias table
+     * @returns {Object} Map of alias -> name (lowercase)
+     */
+    getAliases() {
+        return { ...this.aliases };
+    }
+
+    /**
+     * Resolve an alias to the name it stands for
+     * @param {string} text - Possible alias
+     * @returns {string|null} Lowercase name or null if it is not an alias
+     */
+    resolveAlias(text) {
+        return this.aliases[normalizeText(text)] || null;
+    }
+
+    /**
+     * Build the phonetic key of a name
+     * Names that sound the same get the same key: encode('Chitawan') === encode('Chitwan')
+     * @param {string} text - Romanized name
+     * @returns {string} Phonetic key (empty for text without Latin letters)
+     */
+    encode(text) {
+        const normalized = normalizeText(text).replace(/[^a-z]/g, '');
+        if (this.keyCache.has(normalized)) {
+            return this.keyCache.get(normalized);
+        }
+
+        const key = PHONETIC_RULES.reduce((result, [pattern, replacement]) =>
+            result.replace(pattern, replacement), normalized);
+
+        // Queries are cached too, so keep the cache from growing forever in long-running servers
+        if (this.keyCache.size >= 10000) {
+            this.keyCache.clear();
+        }
+        this.keyCache.set(normalized, key);
+        return key;
+    }
+
+    /**
+     * Check if two names sound the same
+     * @param {string} a - First name
+     * @param {string} b - Second name
+     * @returns {boolean} True if the phonetic keys are equal
+     */
+    soundsLike(a, b) {
+        const keyA = this.encode(a);
+        return keyA !== '' && keyA === this.encode(b);
+    }
+
+    /**
+     * Similarity between two names, taking spelling, sound and aliases into account
+     * @param {string} input - What the user typed
+     * @param {string} name - Name to compare against
+     * @returns {number} Score between 0 and 1
+     */
+    similarity(input, name) {
+        const normalizedInput = normalizeText(input);
+        const normalizedName = normalizeText(name);
+
+        if (normalizedInput === normalizedName || this.resolveAlias(normalizedInput) === normalizedName) {
+            return 1;
+        }
+
+        const spelling = this.levenshteinSimilarity(normalizedInput, normalizedName);
+        // A sound-alike is almost as good as the exact spelling, but never quite
+        const sound = this.levenshteinSimilarity(this.encode(normalizedInput), this.encode(normalizedName)) * 0.95;
+
+        return Math.max(spelling, sound);
+    }
+
+    /**
+     * Levenshtein distance turned into a 0-1 similarity
+     * @private
+     */
+    levenshteinSimilarity(str1, str2) {
+        const maxLength = Math.max(str1.length, str2.length);
+        if (maxLength === 0) {
+            return 0;
+        }
+
+        let previous = Array.from({ length: str2.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= str1.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= str2.length; j++) {
+                const cost = str1.charAt(i - 1) === str2.charAt(j - 1) ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+
+        return 1 - previous[str2.length] / maxLength;
+    }
+}
+
+module.exports = NepaliPhonetic;
+module.exports.DEFAULT_ALIASES = DEFAULT_ALIASES;
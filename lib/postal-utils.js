@@ -1,3 +1,17 @@
+const { exportFeatures, isGeoFormat, pointFeature } = require('./geo-export');
+const { toCSV, tabulate, createCSVStream } = require('./csv');
+const { toNDJSON, toYAML, toSQL } = require('./data-export');
+const { toXLSX } = require('./xlsx');
+const { getOfficeType, isMainOffice, matchesOfficeType } = require('./office-types');
+
+// Default CSV columns; pick others with exportData('csv', { columns: ['postalCode', 'name', 'nepaliName'] })
+const CSV_COLUMNS = [
+    { key: 'name', header: 'Post Office' },
+    { key: 'postalCode', header: 'Postal Code' },
+    { key: 'district', header: 'District' },
+    { key: 'type', header: 'Type' }
+];
+
 class PostalUtils {
     constructor(geoData) {
         this.geoData = geoData;
@@ -19,17 +33,27 @@ class PostalUtils {
             return null;
         }
 
+        const district = this.geoData.getDistrictByName(postOffice.district);
+        const officeType = getOfficeType(postOffice.type);
+
         return {
             postalCode: postOffice.postalCode,
             postOffice: postOffice.name,
+            postOfficeNepali: postOffice.nepaliName,
             district: postOffice.district,
+            districtNepali: district ? district.nepaliName : null,
+            postalDistrict: postOffice.postalDistrict,
             type: postOffice.type,
-            isMainOffice: postOffice.type === 'D.P.O.' || postOffice.type === 'G.P.O.'
+            typeName: officeType ? officeType.name : null,
+            typeNepali: officeType ? officeType.nepaliName : null,
+            isMainOffice: isMainOffice(postOffice),
+            coordinates: postOffice.coordinates
         };
     }
 
     /**
      * Get all post offices in a district
+     * Postal-service names work too; 'Rukum' returns the post offices of both Rukum East and West
      * @param {string} district - District name
      * @returns {Array<Object>} Array of post offices
      */
@@ -39,7 +63,11 @@ class PostalUtils {
         }
 
         const districtData = this.geoData.getDistrictByName(district);
-        return districtData ? districtData.postOffices : [];
+        if (districtData) {
+            return districtData.postOffices;
+        }
+
+        return this.geoData.getAllPostOffices().filter(po => this.geoData.districtMatches(district, po.district));
     }
 
     /**
@@ -71,6 +99,7 @@ class PostalUtils {
         const results = this.geoData.search(query, 'postOffice');
         return results.map(result => ({
             name: result.name,
+            nepaliName: result.nepaliName,
             district: result.district,
             postalCode: result.postalCode,
             relevance: result.relevance
@@ -80,13 +109,15 @@ class PostalUtils {
     /**
      * Validate postal code format
      * @param {string} postalCode - Postal code to validate
+     * @param {Object} options - { locale } for the error message
      * @returns {Object} Validation result
      */
-    validatePostalCode(postalCode) {
+    validatePostalCode(postalCode, options = {}) {
+        const { i18n } = this.geoData;
         if (!postalCode || typeof postalCode !== 'string') {
             return {
                 isValid: false,
-                error: 'Postal code is required and must be a string'
+                error: i18n.format('POSTAL_CODE_REQUIRED', {}, options.locale)
             };
         }
 
@@ -96,7 +127,7 @@ class PostalUtils {
         if (!/^\d{5}$/.test(trimmed)) {
             return {
                 isValid: false,
-                error: 'Nepal postal codes must be exactly 5 digits'
+                error: i18n.format('POSTAL_CODE_FORMAT', {}, options.locale)
             };
         }
 
@@ -104,14 +135,14 @@ class PostalUtils {
         
         return {
             isValid: exists,
-            error: exists ? null : 'Postal code does not exist in Nepal',
+            error: exists ? null : i18n.format('POSTAL_CODE_NOT_FOUND', {}, options.locale),
             postalCode: trimmed
         };
     }
 
     /**
      * Get post offices by type
-     * @param {string} type - Post office type
+     * @param {string} type - Post office type, in any spelling ('D.P.O.', 'DPO', 'District Post Office')
      * @returns {Array<Object>} Array of post offices of specified type
      */
     getPostOfficesByType(type) {
@@ -119,17 +150,15 @@ class PostalUtils {
             return [];
         }
 
-        return this.geoData.getAllPostOffices().filter(po => po.type === type);
+        return this.geoData.getAllPostOffices().filter(po => matchesOfficeType(po, type));
     }
 
     /**
-     * Get main post offices (D.P.O. and G.P.O.)
+     * Get main post offices (G.P.O., the regional directorates and D.P.O.s)
      * @returns {Array<Object>} Array of main post offices
      */
     getMainPostOffices() {
-        return this.geoData.getAllPostOffices().filter(po => 
-            po.type === 'D.P.O.' || po.type === 'G.P.O.'
-        );
+        return this.geoData.getAllPostOffices().filter(isMainOffice);
     }
 
     /**
@@ -196,6 +225,8 @@ class PostalUtils {
 
     /**
      * Find nearest postal codes (by numeric value)
+     * Close codes are usually in the same district, but this says nothing about distance on the ground;
+     * use GeoLocator.findNearestPostOffices for that
      * @param {string} postalCode - Reference postal code
      * @param {number} limit - Number of nearest codes to return (default: 5)
      * @returns {Array<Object>} Array of nearest post offices
@@ -224,23 +255,19 @@ class PostalUtils {
 
     /**
      * Export postal data to various formats
-     * @param {string} format - Export format ('json', 'csv')
-     * @param {Object} options - Export options
-     * @returns {string} Formatted data
+     * CSV takes { columns, headers, delimiter, bom, lineEnding } (see lib/csv.js); any post office field can be a column
+     * XLSX takes the same columns and headers; SQL takes { dialect, createTables, dropTables } and writes the post offices
+     * together with every province and district, so the foreign keys hold
+     * @param {string} format - Export format ('json', 'csv', 'geojson', 'kml', 'topojson', 'ndjson', 'yaml', 'sql', 'xlsx')
+     * @param {Object} options - Export options: { district, type } filters plus the CSV / SQL options; the geospatial
+     *   formats leave out offices without coordinates unless { unlocated: true }
+     * @returns {string|Buffer} Formatted data (a Buffer for 'xlsx')
      */
     exportData(format = 'json', options = {}) {
-        const { district, type } = options;
-        let postOffices = this.geoData.getAllPostOffices();
-
-        // Apply filters
-        if (district) {
-            postOffices = postOffices.filter(po => 
-                po.district.toLowerCase() === district.toLowerCase()
-            );
-        }
+        const postOffices = this.filterPostOffices(options);
 
-        if (type) {
-            postOffices = postOffices.filter(po => po.type === type);
+        if (isGeoFormat(format)) {
+            return exportFeatures(postOffices.map(po => this.toFeature(po)), format, 'postOffices', options);
         }
 
         switch (format.toLowerCase()) {
@@ -248,17 +275,71 @@ class PostalUtils {
                 return JSON.stringify(postOffices, null, 2);
             
             case 'csv':
-                let csv = 'Post Office,Postal Code,District,Type\n';
-                postOffices.forEach(po => {
-                    csv += `"${po.name}","${po.postalCode}","${po.district}","${po.type}"\n`;
-                });
-                return csv;
+                return toCSV(postOffices, CSV_COLUMNS, options);
+
+            case 'ndjson':
+                return toNDJSON(postOffices);
+
+            case 'yaml':
+                return toYAML(postOffices);
+
+            case 'sql':
+                return toSQL(this.geoData, { ...options, postOffices: postOffices });
+
+            case 'xlsx':
+                return toXLSX([{ name: 'Post Offices', ...tabulate(postOffices, CSV_COLUMNS, options) }]);
             
             default:
                 throw new Error(`Unsupported export format: ${format}`);
         }
     }
 
+    /**
+     * Stream post offices as CSV, for piping into a file or HTTP response
+     * @param {Object} options - Same filters and CSV options as exportData
+     * @returns {Readable} Stream of CSV text
+     */
+    createExportStream(options = {}) {
+        return createCSVStream(this.filterPostOffices(options), CSV_COLUMNS, options);
+    }
+
+    /**
+     * Post offices matching the export filters
+     * @private
+     */
+    filterPostOffices(options = {}) {
+        const { district, type } = options;
+        let postOffices = this.geoData.getAllPostOffices();
+
+        if (district) {
+            postOffices = postOffices.filter(po => 
+                this.geoData.districtMatches(district, po.district)
+            );
+        }
+
+        if (type) {
+            postOffices = postOffices.filter(po => matchesOfficeType(po, type));
+        }
+
+        return postOffices;
+    }
+
+    /**
+     * GeoJSON Feature for a post office, for the geospatial exports
+     * @private
+     */
+    toFeature(po) {
+        const district = this.geoData.getAdminDistrictByName(po.district);
+        return pointFeature(po.coordinates, {
+            name: po.name,
+            nepaliName: po.nepaliName,
+            postalCode: po.postalCode,
+            type: po.type,
+            district: po.district,
+            province: district ? district.province : null
+        });
+    }
+
     /**
      * Get all postal codes as an array
      * @returns {Array<string>} Array of all postal codes
@@ -0,0 +1,126 @@
+const { normalizeText } = require('./devanagari');
+
+/**
+ * Nepal's 7 provinces - the single source of truth for province names, numbers and capitals
+ * Accepts current names ('Koshi'), official names ('Koshi Province'), old names ('Province No. 1'),
+ * numbers (1) and Nepali names ('कोशी प्रदेश') wherever a province is expected
+ */
+class ProvinceUtils {
+    constructor(geoData) {
+        this.geoData = geoData;
+    }
+
+    /**
+     * Get all provinces, ordered by province number
+     * @returns {Array<Object>} Array of province objects
+     */
+    getAllProvinces() {
+        return this.geoData.getAllProvinces()
+            .slice()
+            .sort((a, b) => a.number - b.number);
+    }
+
+    /**
+     * Find a province by name, official name, alias, Nepali name or number
+     * @param {string|number} nameOrNumber - e.g. 'Koshi', 'Province No. 1', 1, 'कोशी प्रदेश'
+     * @returns {Object|null} Province object or null if not found
+     */
+    getProvince(nameOrNumber) {
+        if (nameOrNumber === null || nameOrNumber === undefined || nameOrNumber === '') {
+            return null;
+        }
+
+        if (typeof nameOrNumber === 'number' || /^\d+$/.test(String(nameOrNumber).trim())) {
+            const number = parseInt(nameOrNumber, 10);
+            return this.getAllProvinces().find(province => province.number === number) || null;
+        }
+
+        if (typeof nameOrNumber !== 'string') {
+            return null;
+        }
+
+        const normalizedName = normalizeText(nameOrNumber);
+        return this.getAllProvinces().find(province =>
+            [province.name, province.officialName, province.nepaliName, ...province.aliases]
+                .filter(Boolean)
+                .some(name => normalizeText(name) === normalizedName)
+        ) || null;
+    }
+
+    /**
+     * Get province names
+     * @param {boolean} official - Return official names ('Koshi Province') instead of short names ('Koshi')
+     * @returns {Array<string>} Province names ordered by number
+     */
+    getProvinceNames(official = false) {
+        return this.getAllProvinces().map(province => official ? province.officialName : province.name);
+    }
+
+    /**
+     * Get the province a district belongs to
+     * @param {string} districtName - District name
+     * @returns {Object|null} Province object or null if the district is unknown
+     */
+    getProvinceByDistrict(districtName) {
+        if (!districtName || typeof districtName !== 'string') {
+            return null;
+        }
+
+        const district = this.geoData.getAdminDistrictByName(districtName);
+        return district ? this.getProvince(district.provinceNumber) : null;
+    }
+
+    /**
+     * Get the district names of a province
+     * @param {string|number} nameOrNumber - Province name or number
+     * @returns {Array<string>} District names, empty if the province is unknown
+     */
+    getDistrictNames(nameOrNumber) {
+        const province = this.getProvince(nameOrNumber);
+        return province ? province.districts.map(district => district.name) : [];
+    }
+
+    /**
+     * Get districts grouped by province, keyed by official province name
+     * Values are the same district objects returned by getDistrictByName
+     * @returns {Object} e.g. { 'Koshi Province': [...], 'Madhesh Province': [...] }
+     */
+    getDistrictsByProvince() {
+        const result = {};
+
+        this.getAllProvinces().forEach(province => {
+            result[province.officialName] = province.districts
+                .map(district => this.geoData.getDistrictByName(district.name))
+                .filter(Boolean);
+        });
+
+        return result;
+    }
+
+    /**
+     * Get a summary of each province (handy for dropdowns and dashboards)
+     * @returns {Array<Object>} Array of province summaries
+     */
+    getProvinceSummaries() {
+        return this.getAllProvinces().map(province => ({
+            number: province.number,
+            name: province.name,
+            officialName: province.officialName,
+            nepaliName: province.nepaliName,
+            capital: province.capital,
+            districtCount: province.districts.length,
+            localLevelCount: province.districts.reduce((sum, district) => sum + district.localLevelCount, 0)
+        }));
+    }
+
+    /**
+     * Check if a province exists
+     * @param {string|number} nameOrNumber - Province name or number
+     * @returns {boolean} True if the province exists
+     */
+    exists(nameOrNumber) {
+        return this.getProvince(nameOrNumber) !== null;
+    }
+}
+
+module.exports = ProvinceUtils;
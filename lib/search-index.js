@@ -0,0 +1,185 @@
+const { normalizeText } = require('./devanagari');
+
+/**
+ * In-memory indexes for fast lookups over districts and post offices
+ * Built once when the data loads, so search only scores the records that could match
+ * - trigram inverted index: fuzzy and "contains" candidates
+ * - prefix trie: autocomplete ("starts with") over full names in both scripts
+ * - acronym index: 'kp' -> 'Khor Pokhara'
+ */
+class SearchIndex {
+    constructor() {
+        this.records = [];
+        this.trigrams = new Map();
+        this.acronyms = new Map();
+        this.trie = { children: new Map(), ids: [] };
+    }
+
+    /**
+     * Add a record to the index
+     * @param {Object} record - The district or post office object
+     * @param {Object} entry - { type, names: [...], texts: [...] }
+     *   names go into the trie and acronym index, names and texts into the trigram index
+     * @returns {number} Id of the record in this index
+     */
+    add(record, { type, names = [], texts = [] }) {
+        const id = this.records.length;
+        this.records.push({ id, type, record });
+
+        names.filter(Boolean).forEach(name => {
+            const normalized = normalizeText(name);
+            this.addToTrie(normalized, id);
+            this.addAcronyms(normalized, id);
+        });
+
+        [...names, ...texts].filter(Boolean).forEach(text => {
+            this.getTrigrams(` ${normalizeText(text)} `).forEach(trigram => this.addId(this.trigrams, trigram, id));
+        });
+
+        return id;
+    }
+
+    /**
+     * Find records that share enough trigrams with any of the given texts
+     * Every record that contains a text is guaranteed to be returned
+     * @param {Array<string>} texts - Query variants (as typed, phonetic key, resolved alias...)
+     * @returns {Object} Matching records grouped by type, in index order: { district: [...], postOffice: [...] }
+     */
+    findCandidates(texts) {
+        const ids = new Set();
+
+        texts.filter(Boolean).forEach(text => {
+            const trigrams = Array.from(new Set(this.getTrigrams(normalizeText(text))));
+            if (trigrams.length === 0) {
+                return;
+            }
+
+            // Short queries need a single shared trigram, longer ones two, to keep the candidate list small
+            const threshold = trigrams.length >= 4 ? 2 : 1;
+            const counts = new Map();
+
+            trigrams.forEach(trigram => {
+                (this.trigrams.get(trigram) || []).forEach(id => {
+                    const count = (counts.get(id) || 0) + 1;
+                    counts.set(id, count);
+                    if (count >= threshold) {
+                        ids.add(id);
+                    }
+                });
+            });
+
+            (this.acronyms.get(normalizeText(text)) || []).forEach(id => ids.add(id));
+        });
+
+        const grouped = {};
+        Array.from(ids).sort((a, b) => a - b).forEach(id => {
+            const entry = this.records[id];
+            grouped[entry.type] = grouped[entry.type] || [];
+            grouped[entry.type].push(entry.record);
+        });
+        return grouped;
+    }
+
+    /**
+     * Find records whose name starts with a prefix (either script)
+     * @param {string} prefix - Beginning of a name
+     * @param {string} type - Only return records of this type ('all' for everything)
+     * @returns {Array<Object>} Matching records in index order
+     */
+    findByPrefix(prefix, type = 'all') {
+        let node = this.trie;
+
+        for (const char of normalizeText(prefix)) {
+            node = node.children.get(char);
+            if (!node) {
+                return [];
+            }
+        }
+
+        return this.toRecords(node.ids, type);
+    }
+
+    /**
+     * Get index size information (handy for debugging and benchmarks)
+     * @returns {Object} Counts of records, trigrams and acronyms
+     */
+    getStats() {
+        return {
+            records: this.records.length,
+            trigrams: this.trigrams.size,
+            acronyms: this.acronyms.size
+        };
+    }
+
+    /**
+     * Split text into overlapping three-character chunks
+     * @private
+     */
+    getTrigrams(text) {
+        const chars = Array.from(text);
+        const trigrams = [];
+
+        for (let i = 0; i + 3 <= chars.length; i++) {
+            trigrams.push(chars.slice(i, i + 3).join(''));
+        }
+
+        return trigrams;
+    }
+
+    /**
+     * Add a name to the prefix trie; every node keeps the ids below it
+     * @private
+     */
+    addToTrie(name, id) {
+        let node = this.trie;
+
+        for (const char of name) {
+            if (!node.children.has(char)) {
+                node.children.set(char, { children: new Map(), ids: [] });
+            }
+            node = node.children.get(char);
+            if (node.ids[node.ids.length - 1] !== id) {
+                node.ids.push(id);
+            }
+        }
+    }
+
+    /**
+     * Index the first letters of multi-word names ('khor pokhara' -> 'kp')
+     * @private
+     */
+    addAcronyms(name, id) {
+        const words = name.split(/[\s-]/).filter(Boolean);
+
+        for (let length = 2; length <= Math.min(words.length, 4); length++) {
+            const acronym = words.slice(0, length).map(word => word.charAt(0)).join('');
+            this.addId(this.acronyms, acronym, id);
+        }
+    }
+
+    /**
+     * Append an id to a map of arrays without duplicates
+     * @private
+     */
+    addId(map, key, id) {
+        const ids = map.get(key);
+        if (!ids) {
+            map.set(key, [id]);
+        } else if (ids[ids.length - 1] !== id) {
+            ids.push(id);
+        }
+    }
+
+    /**
+     * Turn ids into the original records, filtered by type
+     * @private
+     */
+    toRecords(ids, type) {
+        return ids
+            .map(id => this.records[id])
+            .filter(entry => type === 'all' || entry.type === type)
+            .map(entry => entry.record);
+    }
+}
+
+module.exports = SearchIndex;
@@ -0,0 +1,74 @@
+const I18n = require('./i18n');
+
+/**
+ * Machine-readable validation errors, warnings and suggestions
+ * Every issue has a stable code, the address field it is about, and a data payload; the message is built from
+ * the code and data with the message catalogs (lib/i18n.js), so apps can show their own wording without parsing ours
+ */
+
+// Built-in codes; custom validation rules add their own
+const ISSUE_CODES = [
+    // Errors
+    'INVALID_ADDRESS',
+    'INVALID_DISTRICT',
+    'INVALID_PROVINCE',
+    'PROVINCE_DISTRICT_MISMATCH',
+    'INVALID_POSTAL_CODE',
+    'POSTAL_DISTRICT_MISMATCH',
+    'INVALID_POST_OFFICE',
+    'INVALID_MUNICIPALITY',
+    'MUNICIPALITY_DISTRICT_MISMATCH',
+    'INVALID_WARD',
+
+    // Warnings (or errors, depending on the validation profile)
+    'WARD_OUT_OF_RANGE',
+    'DISTRICT_MISSING',
+    'FIELD_MISSING',
+    'CORRECTION_WARNING',
+    'DEPRECATED_NAME',
+    'LEGACY_AREA_MISMATCH',
+
+    // Suggestions
+    'SIMILAR_DISTRICTS',
+    'POSTAL_CODE_DISTRICT',
+    'SIMILAR_POST_OFFICES',
+    'SIMILAR_MUNICIPALITIES',
+    'POSTAL_CODE_DIGITS',
+    'POSTAL_CODE_LEADING_ZERO',
+    'POSTAL_CODE_EXTRA_DIGITS',
+    'SIMILAR_POSTAL_CODE'
+];
+
+// English messages for issues created without one
+let english = null;
+
+/**
+ * One validation error, warning or suggestion
+ * Serializes to { code, field, message, data }; String(issue) and `${issue}` give the message
+ */
+class ValidationIssue {
+    /**
+     * @param {string} code - One of ISSUE_CODES, or a custom rule's code
+     * @param {string|null} field - Address field the issue is about (null for the whole address)
+     * @param {Object} data - Values the message is built from
+     * @param {string} message - Localized message (default: the English message for the code)
+     */
+    constructor(code, field = null, data = {}, message = null) {
+        if (!code || typeof code !== 'string') {
+            throw new Error('A validation issue needs a code');
+        }
+        if (message === null && !english) {
+            english = new I18n();
+        }
+        this.code = code;
+        this.field = field;
+        this.message = message !== null ? message : english.format(code, data);
+        this.data = data;
+    }
+
+    toString() {
+        return this.message;
+    }
+}
+
+module.exports = { ValidationIssue, ISSUE_CODES };
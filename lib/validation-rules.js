@@ -0,0 +1,509 @@
+/**
+ * Rules behind validateAddress, with per-rule severities and named profiles
+ *
+ * A rule is { id, code, field, severity, check(address, context) }. check returns nothing when the address
+ * passes; returning false (or a data object) reports one issue with the rule's code, and context.report() /
+ * context.suggest() can add more. Severity decides where an issue lands: 'error' (makes the address invalid),
+ * 'warning', or 'off' (the rule does not run).
+ */
+
+const SEVERITIES = ['error', 'warning', 'off'];
+
+const DEFAULT_WEIGHTS = { district: 0.3, municipality: 0.2, ward: 0.2, postOffice: 0.15, postalCode: 0.15 };
+const DEFAULT_THRESHOLD = 0.8;
+
+/**
+ * @private
+ */
+function isPresent(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Rule reporting a missing field with FIELD_MISSING
+ * @private
+ */
+function requiredRule(field) {
+    return {
+        id: `${field}Required`,
+        code: 'FIELD_MISSING',
+        field,
+        severity: 'off',
+        check: (address, context) => (isPresent(address[field]) ? undefined : { field, label: context.label(field) })
+    };
+}
+
+// Address fields that may hold pre-2015 or renamed values, and the kind of name each holds
+const LEGACY_FIELDS = [
+    ['district', 'district'],
+    ['province', 'province'],
+    ['zone', 'zone'],
+    ['developmentRegion', 'developmentRegion'],
+    ['region', 'developmentRegion'],
+    // Only codes registered with legacy.addHistoricalName(); the bundled data has none
+    ['postalCode', 'postalCode']
+];
+
+// Built-in rules in the order they run (the municipality rule leaves its matches in context.state for wardRange)
+const BUILT_IN_RULES = [
+    {
+        id: 'district',
+        code: 'INVALID_DISTRICT',
+        field: 'district',
+        severity: 'error',
+        check(address, context) {
+            if (!address.district) {
+                return undefined;
+            }
+            const result = context.validator.validateDistrict(address.district, context.options);
+            // Former names ('Nawalparasi') are fine here; the legacyNames rule warns about them
+            if (result.isValid || context.validator.legacy.resolve(address.district, { type: 'district' })) {
+                return undefined;
+            }
+            // A zone or development region in the district field: suggest its districts
+            const area = context.validator.legacy.resolve(address.district, { type: 'zone' }) ||
+                context.validator.legacy.resolve(address.district, { type: 'developmentRegion' });
+            const candidates = area ? area.districts : result.suggestions;
+            if (candidates.length > 0) {
+                context.suggest('SIMILAR_DISTRICTS', 'district', { candidates });
+            }
+            return { value: address.district };
+        }
+    },
+    {
+        id: 'province',
+        code: 'INVALID_PROVINCE',
+        field: 'province',
+        severity: 'error',
+        check(address, context) {
+            if (!isPresent(address.province)) {
+                return undefined;
+            }
+            // Numbers, Nepali names and 'Province No. 3' style names all resolve here
+            const province = context.validator.provinces.getProvince(address.province);
+            if (!province) {
+                return { value: address.province };
+            }
+
+            // A district split in 2015 ('Nawalparasi', 'Rukum') may sit in two provinces; either one is fine
+            const expected = [...new Set(context.geoData.resolveDistrictName(address.district || '')
+                .map(district => context.validator.provinces.getProvinceByDistrict(district))
+                .filter(Boolean)
+                .map(districtProvince => districtProvince.name))];
+            if (expected.length > 0 && !expected.includes(province.name)) {
+                context.report({ value: address.province, province: province.name, district: address.district, expected },
+                    { code: 'PROVINCE_DISTRICT_MISMATCH' });
+            }
+            return undefined;
+        }
+    },
+    {
+        id: 'districtRequired',
+        code: 'DISTRICT_MISSING',
+        field: 'district',
+        severity: 'warning',
+        check: address => (address.district ? undefined : false)
+    },
+    {
+        id: 'postalCode',
+        code: 'INVALID_POSTAL_CODE',
+        field: 'postalCode',
+        severity: 'error',
+        check(address, context) {
+            if (!address.postalCode) {
+                return undefined;
+            }
+            const result = context.validator.validatePostalCode(address.postalCode, context.options);
+            if (result.isValid || context.validator.legacy.resolve(address.postalCode, { type: 'postalCode' })) {
+                return undefined;
+            }
+            return { value: address.postalCode, reason: result.error };
+        }
+    },
+    {
+        id: 'postalDistrict',
+        code: 'POSTAL_DISTRICT_MISMATCH',
+        field: 'postalCode',
+        severity: 'error',
+        check(address, context) {
+            if (!address.postalCode || !address.district || typeof address.postalCode !== 'string') {
+                return undefined;
+            }
+            const postalInfo = context.geoData.getPostOfficeByCode(address.postalCode);
+            if (!postalInfo || context.geoData.districtMatches(address.district, postalInfo.district)) {
+                return undefined;
+            }
+            context.suggest('POSTAL_CODE_DISTRICT', 'district', { postalCode: address.postalCode, district: postalInfo.district });
+            return { postalCode: address.postalCode, district: address.district, actualDistrict: postalInfo.district };
+        }
+    },
+    {
+        id: 'postOffice',
+        code: 'INVALID_POST_OFFICE',
+        field: 'postOffice',
+        severity: 'error',
+        check(address, context) {
+            if (!address.postOffice) {
+                return undefined;
+            }
+            const result = context.validator.validatePostOffice(address.postOffice, address.district, context.options);
+            if (result.isValid) {
+                return undefined;
+            }
+            if (result.suggestions.length > 0) {
+                context.suggest('SIMILAR_POST_OFFICES', 'postOffice', { candidates: result.suggestions });
+            }
+            return { value: address.postOffice, district: address.district || null };
+        }
+    },
+    {
+        id: 'municipality',
+        code: 'INVALID_MUNICIPALITY',
+        field: 'municipality',
+        severity: 'error',
+        check(address, context) {
+            if (!address.municipality) {
+                return undefined;
+            }
+            if (typeof address.municipality !== 'string' || address.municipality.trim().length < 2) {
+                context.report({ value: address.municipality }, { key: 'MUNICIPALITY_NAME_INVALID' });
+                return undefined;
+            }
+
+            const result = context.validator.validateMunicipality(address.municipality, address.district, context.options);
+            context.state.localLevels = result.localLevels;
+            if (result.isValid) {
+                return undefined;
+            }
+            context.report({ value: address.municipality, district: result.district }, { code: result.code, key: result.messageKey });
+            if (result.suggestions.length > 0) {
+                context.suggest('SIMILAR_MUNICIPALITIES', 'municipality', { candidates: result.suggestions });
+            }
+            return undefined;
+        }
+    },
+    {
+        id: 'ward',
+        code: 'INVALID_WARD',
+        field: 'ward',
+        severity: 'error',
+        check(address) {
+            if (address.ward === undefined || (Number.isInteger(address.ward) && address.ward >= 1 && address.ward <= 35)) {
+                return undefined;
+            }
+            return { value: address.ward, min: 1, max: 35 };
+        }
+    },
+    {
+        // A warning until every bundled ward count is confirmed (see wardsNote in data/local-levels.json)
+        id: 'wardRange',
+        code: 'WARD_OUT_OF_RANGE',
+        field: 'ward',
+        severity: 'warning',
+        check(address, context) {
+            // Needs the municipality rule's matches; without a known municipality there is nothing to check against
+            const localLevels = context.state.localLevels || [];
+            if (!Number.isInteger(address.ward) || address.ward < 1 || address.ward > 35 || localLevels.length === 0 ||
+                localLevels.some(localLevel => address.ward <= localLevel.wards)) {
+                return undefined;
+            }
+            const wards = Math.max(...localLevels.map(localLevel => localLevel.wards));
+            return { ward: address.ward, localLevel: localLevels[0].name, wards };
+        }
+    },
+    {
+        id: 'legacyNames',
+        code: 'DEPRECATED_NAME',
+        field: null,
+        severity: 'warning',
+        check(address, context) {
+            LEGACY_FIELDS.forEach(([field, type]) => {
+                const legacy = typeof address[field] === 'string'
+                    ? context.validator.legacy.resolve(address[field], { type, postalCode: address.postalCode })
+                    : null;
+                if (!legacy) {
+                    return;
+                }
+                // Zones and regions map to many districts, so the message names the provinces instead
+                const area = type === 'zone' || type === 'developmentRegion';
+                context.report({
+                    value: address[field],
+                    type,
+                    kind: context.validator.i18n.format(`LEGACY_${type}`, {}, context.options.locale),
+                    current: area ? legacy.provinces : legacy.current,
+                    validUntil: legacy.validUntil
+                }, { field, key: area ? 'DEPRECATED_AREA' : type === 'postalCode' ? 'DEPRECATED_CODE' : 'DEPRECATED_NAME' });
+
+                // { district: 'Kaski', zone: 'Bagmati' } contradicts itself; name the zone or region the district was in
+                const districts = area ? context.geoData.resolveDistrictName(address.district) : [];
+                if (districts.length > 0 && !districts.some(district => legacy.districts.includes(district))) {
+                    const expected = type === 'zone' ? context.validator.legacy.getZoneByDistrict(districts[0])
+                        : context.validator.legacy.getDevelopmentRegionByDistrict(districts[0]);
+                    context.report({
+                        value: address[field],
+                        type,
+                        area: legacy.name,
+                        district: districts[0],
+                        expected: expected ? expected.officialName : null
+                    }, { code: 'LEGACY_AREA_MISMATCH', field });
+                }
+            });
+            return undefined;
+        }
+    },
+    requiredRule('municipality'),
+    requiredRule('ward'),
+    requiredRule('tole'),
+    requiredRule('postOffice'),
+    requiredRule('postalCode')
+];
+
+// Presets; each one only lists what it changes from the built-in severities and completeness weights
+const PROFILES = {
+    default: {},
+    strict: {
+        rules: {
+            districtRequired: 'error',
+            municipalityRequired: 'error',
+            wardRequired: 'error',
+            postalCodeRequired: 'error',
+            wardRange: 'error',
+            legacyNames: 'error'
+        },
+        completeness: { threshold: 1 }
+    },
+    lenient: {
+        rules: { province: 'warning', postalDistrict: 'warning', postOffice: 'warning', municipality: 'warning', districtRequired: 'off' },
+        completeness: { threshold: 0.5 }
+    },
+    delivery: {
+        rules: {
+            districtRequired: 'error',
+            postalCodeRequired: 'error',
+            municipalityRequired: 'warning',
+            wardRequired: 'warning',
+            toleRequired: 'warning'
+        },
+        completeness: { weights: { district: 0.2, municipality: 0.15, ward: 0.1, tole: 0.1, postOffice: 0.15, postalCode: 0.3 } }
+    },
+    kyc: {
+        rules: { districtRequired: 'error', municipalityRequired: 'error', wardRequired: 'error', postOffice: 'warning' },
+        completeness: { weights: { district: 0.3, municipality: 0.3, ward: 0.3, postalCode: 0.1 }, threshold: 0.9 }
+    }
+};
+
+/**
+ * Registry of validation rules and profiles, shared by every validator on the same data (geoData.validationRules)
+ */
+class ValidationRules {
+    /**
+     * @param {Object} options - { profile: 'default' }
+     * @param {Object} i18n - Message catalogs, for the messages of custom rules
+     */
+    constructor(options = {}, i18n = null) {
+        this.i18n = i18n;
+        this.rules = BUILT_IN_RULES.slice();
+        this.severities = {};
+        this.profiles = { ...PROFILES };
+        this.profile = 'default';
+        this.setProfile(options.profile || 'default');
+    }
+
+    /**
+     * Register a custom rule (runs after the built-in ones)
+     * @param {Object} rule - {
+     *   id: 'ecommercePostalCode',
+     *   code: 'POSTAL_CODE_REQUIRED' - issue code (default: the id in CONSTANT_CASE),
+     *   field: 'postalCode',
+     *   severity: 'error' | 'warning' | 'off',
+     *   message: 'Postal code is required for delivery' or { en: '...', ne: '...' } - templates for the code,
+     *   check: (address, context) => undefined when fine, false or issue data when not
+     * }
+     */
+    addRule(rule) {
+        if (!rule || typeof rule.id !== 'string' || !rule.id) {
+            throw new Error('A validation rule needs an id');
+        }
+        if (typeof rule.check !== 'function') {
+            throw new Error(`Validation rule ${rule.id} needs a check(address, context) function`);
+        }
+        if (this.findRule(rule.id)) {
+            throw new Error(`Validation rule ${rule.id} already exists (removeRule it first to replace it)`);
+        }
+        const severity = rule.severity || 'error';
+        this.checkSeverity(severity);
+
+        const code = rule.code || rule.id.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+        if (rule.message && this.i18n) {
+            const messages = typeof rule.message === 'object' ? rule.message : { en: rule.message };
+            Object.keys(messages).forEach(locale => this.i18n.setMessage(locale, code, messages[locale]));
+        }
+
+        this.rules.push({ id: rule.id, code, field: rule.field || null, severity, check: rule.check, custom: true });
+    }
+
+    /**
+     * Remove a custom rule (built-in rules can only be turned off)
+     * @param {string} id - Rule id
+     * @returns {boolean} Whether a rule was removed
+     */
+    removeRule(id) {
+        const rule = this.findRule(id);
+        if (rule && !rule.custom) {
+            throw new Error(`${id} is a built-in rule; turn it off with setSeverity('${id}', 'off')`);
+        }
+        this.rules = this.rules.filter(item => item !== rule);
+        delete this.severities[id];
+        return Boolean(rule);
+    }
+
+    /**
+     * Change a rule's severity for every validation on this data
+     * @param {string} id - Rule id
+     * @param {string} severity - 'error', 'warning' or 'off'
+     */
+    setSeverity(id, severity) {
+        this.checkRule(id);
+        this.checkSeverity(severity);
+        this.severities[id] = severity;
+    }
+
+    /**
+     * Add a named profile
+     * @param {string} name - Profile name
+     * @param {Object} config - { extends: 'strict', rules: { id: severity }, completeness: { weights, threshold } }
+     */
+    addProfile(name, config = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Profile name must be a non-empty string');
+        }
+        const profile = this.mergeProfile(config);
+        this.checkProfile(profile);
+        this.profiles[name] = profile;
+    }
+
+    /**
+     * Make a profile the default for validateAddress
+     * @param {string|Object} profile - Profile name or an unnamed profile config
+     */
+    setProfile(profile) {
+        const config = this.getProfile(profile);
+        this.checkProfile(config);
+        this.profile = profile;
+    }
+
+    /**
+     * Profile names
+     * @returns {Array<string>} e.g. ['default', 'strict', 'lenient', 'delivery', 'kyc']
+     */
+    getProfiles() {
+        return Object.keys(this.profiles);
+    }
+
+    /**
+     * Rules with the severity they would run at
+     * @param {Object} options - { profile, rules } as passed to validateAddress
+     * @returns {Array<Object>} [{ id, code, field, severity, custom }]
+     */
+    getRules(options = {}) {
+        return this.resolve(options).rules.map(rule => ({
+            id: rule.id,
+            code: rule.code,
+            field: rule.field,
+            severity: rule.severity,
+            custom: Boolean(rule.custom)
+        }));
+    }
+
+    /**
+     * Rules (with effective severities) and completeness settings for one validation
+     * Precedence: per-call rules > setSeverity > profile > the rule's own severity
+     * @param {Object} options - { profile, rules: { id: severity } }
+     * @returns {Object} { rules: [rule + severity], completeness: { weights, threshold } }
+     */
+    resolve(options = {}) {
+        const profile = this.getProfile(options.profile || this.profile);
+        const overrides = options.rules || {};
+        Object.keys(overrides).forEach(id => {
+            this.checkRule(id);
+            this.checkSeverity(overrides[id]);
+        });
+
+        const rules = this.rules.map(rule => ({
+            ...rule,
+            severity: overrides[rule.id] || this.severities[rule.id] || (profile.rules || {})[rule.id] || rule.severity
+        }));
+        const completeness = profile.completeness || {};
+        return {
+            rules,
+            completeness: {
+                weights: completeness.weights || DEFAULT_WEIGHTS,
+                threshold: completeness.threshold !== undefined ? completeness.threshold : DEFAULT_THRESHOLD
+            }
+        };
+    }
+
+    /**
+     * @private
+     */
+    getProfile(profile) {
+        if (profile && typeof profile === 'object') {
+            return this.mergeProfile(profile);
+        }
+        if (!this.profiles[profile]) {
+            throw new Error(`Unknown validation profile: ${profile}. Available: ${this.getProfiles().join(', ')}`);
+        }
+        return this.profiles[profile];
+    }
+
+    /**
+     * Layer a profile config over the profile it extends
+     * @private
+     */
+    mergeProfile(config) {
+        const base = config.extends ? this.getProfile(config.extends) : {};
+        return {
+            rules: { ...(base.rules || {}), ...(config.rules || {}) },
+            completeness: { ...(base.completeness || {}), ...(config.completeness || {}) }
+        };
+    }
+
+    /**
+     * @private
+     */
+    checkProfile(profile) {
+        Object.keys(profile.rules || {}).forEach(id => {
+            this.checkRule(id);
+            this.checkSeverity(profile.rules[id]);
+        });
+    }
+
+    /**
+     * @private
+     */
+    findRule(id) {
+        return this.rules.find(rule => rule.id === id) || null;
+    }
+
+    /**
+     * @private
+     */
+    checkRule(id) {
+        if (!this.findRule(id)) {
+            throw new Error(`Unknown validation rule: ${id}`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    checkSeverity(severity) {
+        if (!SEVERITIES.includes(severity)) {
+            throw new Error(`Invalid severity: ${severity}. Use one of: ${SEVERITIES.join(', ')}`);
+        }
+    }
+}
+
+module.exports = ValidationRules;
+module.exports.SEVERITIES = SEVERITIES;
+module.exports.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
@@ -0,0 +1,196 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal XLSX writer (no dependencies): one or more sheets of plain rows, bold header row, frozen header
+ * Strings are written inline, numbers as numbers; postal codes stay text so leading zeros survive
+ */
+
+let crcTable = null;
+
+/**
+ * CRC-32 as used by ZIP
+ * @private
+ */
+function crc32(buffer) {
+    if (!crcTable) {
+        crcTable = new Int32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Build a ZIP archive from { name: string|Buffer } entries (deflate compression)
+ * @private
+ */
+function zip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    Object.keys(files).forEach(name => {
+        const data = Buffer.isBuffer(files[name]) ? files[name] : Buffer.from(files[name], 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const fileName = Buffer.from(name, 'utf8');
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);
+        local.writeUInt16LE(20, 4);             // version needed
+        local.writeUInt16LE(0x0800, 6);         // UTF-8 names
+        local.writeUInt16LE(8, 8);              // deflate
+        local.writeUInt32LE(0, 10);             // time and date
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(fileName.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt16LE(20, 4);           // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(0, 12);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(fileName.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, fileName, compressed);
+        centrals.push(central, fileName);
+        offset += local.length + fileName.length + compressed.length;
+    });
+
+    const centralDirectory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+/**
+ * Escape text for XML, dropping control characters Excel refuses to open
+ * @private
+ */
+function escapeXML(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Column letters for a zero-based index (0 -> A, 26 -> AA)
+ * @private
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * Worksheet XML for a header row plus value rows
+ * @private
+ */
+function sheetXML(headers, rows) {
+    const cell = (value, ref, style) => {
+        if (value === null || value === undefined || value === '') {
+            return '';
+        }
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return `<c r="${ref}"${style}><v>${value}</v></c>`;
+        }
+        if (typeof value === 'boolean') {
+            return `<c r="${ref}" t="b"${style}><v>${value ? 1 : 0}</v></c>`;
+        }
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXML(text)}</t></is></c>`;
+    };
+    const row = (values, index, style = '') => `<row r="${index + 1}">` +
+        values.map((value, column) => cell(value, `${columnName(column)}${index + 1}`, style)).join('') + '</row>';
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        '<sheetData>' +
+        row(headers, 0, ' s="1"') +
+        rows.map((values, index) => row(values, index + 1)).join('') +
+        '</sheetData></worksheet>';
+}
+
+/**
+ * Build an XLSX workbook
+ * @param {Array<Object>} sheets - [{ name: 'Districts', headers: ['Name', ...], rows: [['Kathmandu', ...], ...] }]
+ * @returns {Buffer} XLSX file contents
+ */
+function toXLSX(sheets) {
+    if (!Array.isArray(sheets) || sheets.length === 0) {
+        throw new Error('An XLSX workbook needs at least one sheet');
+    }
+
+    // Sheet names: max 31 characters, none of []:*?/\
+    const names = sheets.map((sheet, i) => String(sheet.name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+    const files = {
+        '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            names.map((name, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+            '</Types>',
+        '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>',
+        'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            '<sheets>' + names.map((name, i) => `<sheet name="${escapeXML(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') + '</sheets>' +
+            '</workbook>',
+        'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            names.map((name, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+            `<Relationship Id="rId${names.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+            '</Relationships>',
+        // Style 0 is the default, style 1 is bold for the header row
+        'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+            '</styleSheet>'
+    };
+
+    sheets.forEach((sheet, i) => {
+        files[`xl/worksheets/sheet${i + 1}.xml`] = sheetXML(sheet.headers || [], sheet.rows || []);
+    });
+
+    return zip(files);
+}
+
+module.exports = { toXLSX, crc32 };
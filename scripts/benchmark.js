@@ -0,0 +1,95 @@
+/**
+ * Benchmark for the search indexes
+ * Runs the same lookups with and without the index and prints the speedup
+ *
+ * Usage: node scripts/benchmark.js [iterations]
+ */
+
+const NepalGeoData = require('../lib/geo-data');
+const GeoSearch = require('../lib/geo-search');
+
+function time(fn, iterations) {
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < iterations; i++) {
+        fn(i);
+    }
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function runBenchmark() {
+    const iterations = parseInt(process.argv[2], 10) || 3;
+
+    console.log('Benchmarking Nepal Geo Helper search indexes...\n');
+
+    let start = process.hrtime.bigint();
+    const indexed = new NepalGeoData();
+    const indexedLoad = Number(process.hrtime.bigint() - start) / 1e6;
+
+    start = process.hrtime.bigint();
+    const linear = new NepalGeoData({ indexes: false });
+    const linearLoad = Number(process.hrtime.bigint() - start) / 1e6;
+
+    const indexedSearch = new GeoSearch(indexed);
+    const linearSearch = new GeoSearch(linear);
+
+    // A mix of exact names, prefixes, typos, other romanizations, abbreviations and Nepali
+    const postOffices = indexed.getAllPostOffices();
+    const queries = ['ktm', 'kathmadu', 'chitawan', 'kabhre', 'sindhupalchowk', 'pokhra', 'lalitpurr', '446', 'काठमाडौं'];
+    for (let i = 0; i < postOffices.length; i += 25) {
+        const name = postOffices[i].name.toLowerCase();
+        queries.push(name, name.slice(0, 4), name.replace(/a/, ''));
+    }
+    const codes = postOffices.map(po => po.postalCode);
+    const prefixes = queries.filter(query => query.length >= 2).map(query => query.slice(0, 3));
+
+    const cases = [
+        {
+            name: `search (${queries.length} queries)`,
+            runs: queries.length * iterations,
+            indexed: () => time(i => indexed.search(queries[i % queries.length]), queries.length * iterations),
+            linear: () => time(i => linear.search(queries[i % queries.length]), queries.length * iterations)
+        },
+        {
+            name: `getSuggestions (${prefixes.length} prefixes)`,
+            runs: prefixes.length * iterations,
+            indexed: () => time(i => indexedSearch.getSuggestions(prefixes[i % prefixes.length]), prefixes.length * iterations),
+            linear: () => time(i => linearSearch.getSuggestions(prefixes[i % prefixes.length]), prefixes.length * iterations)
+        },
+        {
+            name: `getPostOfficeByCode (${codes.length} codes)`,
+            runs: codes.length * iterations,
+            indexed: () => time(i => indexed.getPostOfficeByCode(codes[i % codes.length]), codes.length * iterations),
+            linear: () => time(i => postOffices.find(po => po.postalCode === codes[i % codes.length]), codes.length * iterations)
+        }
+    ];
+
+    console.log(`Data load: ${indexedLoad.toFixed(1)} ms with indexes, ${linearLoad.toFixed(1)} ms without\n`);
+    console.log('Operation'.padEnd(40) + 'Linear (ms)'.padStart(14) + 'Indexed (ms)'.padStart(14) + 'Speedup'.padStart(10));
+
+    cases.forEach(benchmark => {
+        const linearTime = benchmark.linear();
+        const indexedTime = benchmark.indexed();
+        console.log(
+            benchmark.name.padEnd(40) +
+            linearTime.toFixed(1).padStart(14) +
+            indexedTime.toFixed(1).padStart(14) +
+            `${(linearTime / indexedTime).toFixed(1)}x`.padStart(10)
+        );
+    });
+
+    // The index must not change what users see first
+    const sameTopResult = queries.filter(query => {
+        const a = indexed.search(query)[0];
+        const b = linear.search(query)[0];
+        return (a && a.postalCode) === (b && b.postalCode) && (a && a.relevance) === (b && b.relevance);
+    }).length;
+
+    console.log(`\nSame top result: ${sameTopResult}/${queries.length} queries`);
+    console.log('Index size:', indexed.searchIndex.getStats());
+}
+
+if (require.main === module) {
+    runBenchmark();
+}
+
+module.exports = { runBenchmark };
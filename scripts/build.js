@@ -5,7 +5,7 @@
 const fs = require('fs');
 const path = require('path');
 
-function buildPackage() {
+async function buildPackage() {
     console.log('Building Nepal Geo Helper package...\n');
 
     try {
@@ -21,6 +21,26 @@ function buildPackage() {
         const geoData = new GeoData();
         console.log(`Loaded ${geoData.getStatistics().totalDistricts} districts and ${geoData.getStatistics().totalPostOffices} post offices`);
 
+        // The data version is only meaningful if the checksum matches the records
+        const dataset = geoData.getDatasetInfo();
+        if (dataset.verified !== true) {
+            throw new Error('data/postal-data.json checksum is missing or stale; run npm run data:stamp -- <major|minor|patch>');
+        }
+        console.log(`Postal data version ${dataset.version} (${dataset.checksum})`);
+
+        // Integrity checks: errors fail the build, warnings are listed
+        console.log('\nValidating postal data...');
+        const { validateDataset } = require('../lib/dataset');
+        const report = validateDataset(geoData.data, geoData);
+        report.errors.concat(report.warnings).forEach(issue => {
+            console.log(`${issue.severity === 'error' ? 'Error' : 'Warning'} [${issue.check}]: ${issue.message}`);
+        });
+        console.log(`${report.summary.records} records in ${report.summary.districts} districts: ` +
+            `${report.summary.errors} errors, ${report.summary.warnings} warnings`);
+        if (!report.valid) {
+            throw new Error('Postal data has errors; fix data/postal-data.json and run npm run data:stamp -- patch');
+        }
+
         // Validate package structure
         console.log('\nValidating package structure...');
         const requiredFiles = [
@@ -33,7 +53,42 @@ function buildPackage() {
             '../lib/district-utils.js',
             '../lib/postal-utils.js',
             '../lib/location-validator.js',
-            '../lib/geo-search.js'
+            '../lib/geo-search.js',
+            '../lib/local-level-utils.js',
+            '../lib/province-utils.js',
+            '../lib/legacy-utils.js',
+            '../lib/devanagari.js',
+            '../lib/phonetic.js',
+            '../lib/search-index.js',
+            '../lib/address-parser.js',
+            '../lib/address-formatter.js',
+            '../lib/geo-locator.js',
+            '../lib/district-graph.js',
+            '../lib/boundaries.js',
+            '../lib/geo-export.js',
+            '../lib/csv.js',
+            '../lib/data-export.js',
+            '../lib/xlsx.js',
+            '../lib/i18n.js',
+            '../lib/validation-issues.js',
+            '../lib/validation-rules.js',
+            '../lib/data-source.js',
+            '../lib/dataset.js',
+            '../lib/office-types.js',
+            '../lib/bulk-validator.js',
+            '../lib/cli.js',
+            '../bin/nepalgeo.js',
+            '../data/postal-data.json',
+            '../data/provinces.json',
+            '../data/districts.json',
+            '../data/local-levels.json',
+            '../data/nepali-names.json',
+            '../data/coordinates.json',
+            '../data/boundaries.json',
+            '../data/district-borders.json',
+            '../data/messages.json',
+            '../data/legacy.json',
+            '../data/office-types.json'
         ];
 
         let allFilesExist = true;
@@ -54,7 +109,7 @@ function buildPackage() {
         // Run tests
         console.log('\nRunning tests...');
         const { runTests } = require('../test');
-        const testsPassed = runTests();
+        const testsPassed = await runTests();
 
         if (!testsPassed) {
             throw new Error('Tests failed');
@@ -97,7 +152,9 @@ function buildPackage() {
 
 // Run build if this file is executed directly
 if (require.main === module) {
-    buildPackage();
+    buildPackage().then(ok => {
+        process.exitCode = ok ? 0 : 1;
+    });
 }
 
 module.exports = { buildPackage };
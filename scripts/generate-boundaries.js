@@ -0,0 +1,292 @@
+/**
+ * Generate data/boundaries.json
+ *
+ * The shapes come from the district polygons published in the nepal-geojson package
+ * (https://github.com/Acesmndr/nepal-geojson, MIT, (c) 2018 Aashish Manandhar). They are simplified here so
+ * the package stays small, and provinces and the country outline are dissolved from the districts.
+ * Shared borders are simplified once, so neighbouring districts still meet without gaps or overlaps.
+ *
+ * Usage:
+ *   npx nepal-geojson districts          # writes geojson/nepal.geojson
+ *   node scripts/generate-boundaries.js geojson/nepal.geojson [tolerance in degrees]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const NepalGeoData = require('../lib/geo-data');
+
+// Douglas-Peucker tolerance in degrees (about 300 m), small enough that district centres stay inside their district
+const DEFAULT_TOLERANCE = 0.003;
+
+// Spellings in the source that our district aliases don't cover
+const SOURCE_NAMES = {
+    KAVREPALANCHOWK: 'Kavrepalanchok'
+};
+
+// Leftover slivers where two source polygons don't quite meet are dropped (in square degrees, about 1 km²)
+const MIN_RING_AREA = 0.0001;
+
+const key = p => `${p[0]},${p[1]}`;
+
+function signedArea(ring) {
+    return ring.reduce((sum, p, i) => {
+        const q = ring[(i + 1) % ring.length];
+        return sum + p[0] * q[1] - q[0] * p[1];
+    }, 0) / 2;
+}
+
+function pointInRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > point[1]) !== (yj > point[1]) && point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Douglas-Peucker on an open line; the end points are always kept
+ */
+function simplifyLine(points, tolerance) {
+    if (points.length <= 2) {
+        return points;
+    }
+
+    const [a, b] = [points[0], points[points.length - 1]];
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSquared = dx * dx + dy * dy;
+
+    let maxDistance = 0;
+    let index = 0;
+    for (let i = 1; i < points.length - 1; i++) {
+        const p = points[i];
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSquared));
+        const distance = Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+        if (distance > maxDistance) {
+            maxDistance = distance;
+            index = i;
+        }
+    }
+
+    if (maxDistance <= tolerance) {
+        return [a, b];
+    }
+    return simplifyLine(points.slice(0, index + 1), tolerance).slice(0, -1)
+        .concat(simplifyLine(points.slice(index), tolerance));
+}
+
+/**
+ * Simplify every ring without tearing shared borders apart
+ * A vertex where three or more edges meet is a junction; the stretch between two junctions is an arc that
+ * at most two districts share, and it is simplified once and reused (reversed) by the other side
+ */
+function simplifyRings(rings, tolerance) {
+    const neighbours = new Map();
+    rings.forEach(ring => ring.forEach((p, i) => {
+        const set = neighbours.get(key(p)) || new Set();
+        set.add(key(ring[(i + 1) % ring.length]));
+        set.add(key(ring[(i + ring.length - 1) % ring.length]));
+        neighbours.set(key(p), set);
+    }));
+    const isJunction = p => neighbours.get(key(p)).size > 2;
+
+    const arcs = new Map();
+    const simplifyArc = arc => {
+        const forward = arc.map(key).join(';');
+        if (arcs.has(forward)) {
+            return arcs.get(forward);
+        }
+        const backward = arc.map(key).reverse().join(';');
+        if (arcs.has(backward)) {
+            return arcs.get(backward).slice().reverse();
+        }
+        const simplified = simplifyLine(arc, tolerance);
+        arcs.set(forward, simplified);
+        return simplified;
+    };
+
+    return rings.map(ring => {
+        const start = ring.findIndex(isJunction);
+        let simplified;
+        if (start === -1) {
+            // No neighbours: split at the far point so the line has two ends
+            const far = Math.floor(ring.length / 2);
+            simplified = simplifyArc(ring.slice(0, far + 1)).slice(0, -1)
+                .concat(simplifyArc(ring.slice(far).concat([ring[0]])).slice(0, -1));
+        } else {
+            const rotated = ring.slice(start).concat(ring.slice(0, start), [ring[start]]);
+            simplified = [];
+            let arc = [rotated[0]];
+            rotated.slice(1).forEach(p => {
+                arc.push(p);
+                if (isJunction(p)) {
+                    simplified = simplified.concat(simplifyArc(arc).slice(0, -1));
+                    arc = [p];
+                }
+            });
+        }
+        return simplified.length >= 3 ? simplified : ring;
+    });
+}
+
+/**
+ * Union of rings: drop every edge two rings share, then chain what is left into rings
+ */
+function mergeRings(rings) {
+    const edges = new Map();
+
+    rings.forEach(cell => {
+        const ring = signedArea(cell) < 0 ? cell.slice().reverse() : cell;
+        ring.forEach((p, i) => {
+            const q = ring[(i + 1) % ring.length];
+            if (key(p) === key(q)) {
+                return;
+            }
+            const reverse = `${key(q)}>${key(p)}`;
+            if (edges.has(reverse)) {
+                edges.delete(reverse);
+            } else {
+                edges.set(`${key(p)}>${key(q)}`, [p, q]);
+            }
+        });
+    });
+
+    const next = new Map();
+    edges.forEach(([p, q]) => next.set(key(p), [p, q]));
+
+    const result = [];
+    while (next.size > 0) {
+        const [startKey, [start]] = next.entries().next().value;
+        const ring = [];
+        let currentKey = startKey;
+        let point = start;
+        while (next.has(currentKey)) {
+            const [, q] = next.get(currentKey);
+            next.delete(currentKey);
+            ring.push(point);
+            point = q;
+            currentKey = key(q);
+        }
+        if (ring.length >= 3 && Math.abs(signedArea(ring)) >= MIN_RING_AREA) {
+            result.push(ring);
+        }
+    }
+
+    // Counter-clockwise rings are outlines, clockwise ones are holes inside them
+    const outers = result.filter(ring => signedArea(ring) > 0).map(ring => [ring]);
+    result.filter(ring => signedArea(ring) < 0).forEach(hole => {
+        const owner = outers.find(polygon => pointInRing(hole[0], polygon[0]));
+        if (owner) {
+            owner.push(hole);
+        }
+    });
+    return outers;
+}
+
+function toGeometry(polygons) {
+    const close = ring => {
+        const outline = signedArea(ring) < 0 ? ring.slice().reverse() : ring;
+        return outline.concat([outline[0]]);
+    };
+    const rings = polygons.map(([outer, ...holes]) => [close(outer), ...holes.map(hole => close(hole).reverse())]);
+
+    return rings.length === 1
+        ? { type: 'Polygon', coordinates: rings[0] }
+        : { type: 'MultiPolygon', coordinates: rings };
+}
+
+/**
+ * Outer rings (without the closing point) of a source feature, one per polygon
+ */
+function sourceRings(geometry) {
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    return polygons.map(([outer]) => {
+        const ring = key(outer[0]) === key(outer[outer.length - 1]) ? outer.slice(0, -1) : outer;
+        return ring.map(([lng, lat]) => [lng, lat]);
+    });
+}
+
+function generateBoundaries(source, tolerance = DEFAULT_TOLERANCE) {
+    const geoData = new NepalGeoData();
+    const readJSON = file => JSON.parse(fs.readFileSync(path.join(__dirname, '../data', file), 'utf8'));
+    const districts = readJSON('districts.json').districts;
+    const provinces = readJSON('provinces.json').provinces;
+
+    const parts = [];
+    source.features.forEach(feature => {
+        const sourceName = String(feature.properties.DISTRICT || feature.properties.name || '').trim();
+        const district = geoData.getAdminDistrictByName(SOURCE_NAMES[sourceName.toUpperCase()] || sourceName);
+        if (!district) {
+            throw new Error(`Unknown district in source: ${sourceName}`);
+        }
+        sourceRings(feature.geometry).forEach(ring => parts.push({ district, ring }));
+    });
+
+    const missing = districts.filter(district => !parts.some(part => part.district.name === district.name));
+    if (missing.length > 0) {
+        throw new Error(`Source has no shape for: ${missing.map(district => district.name).join(', ')}`);
+    }
+
+    // Round after simplifying (4 decimals is about 10 m) and drop points that rounding made repeat
+    const round = ring => ring
+        .map(p => p.map(value => Math.round(value * 10000) / 10000))
+        .filter((p, i, all) => key(p) !== key(all[(i + 1) % all.length]));
+    simplifyRings(parts.map(part => part.ring), tolerance).forEach((ring, i) => {
+        parts[i].ring = round(ring);
+    });
+
+    const ringsOf = names => parts.filter(part => names.includes(part.district.name)).map(part => part.ring);
+
+    const districtFeatures = districts.map(district => ({
+        type: 'Feature',
+        properties: { name: district.name, type: 'district', id: district.id, province: district.province },
+        geometry: toGeometry(mergeRings(ringsOf([district.name])))
+    }));
+
+    const provinceFeatures = provinces.map(province => ({
+        type: 'Feature',
+        properties: { name: province.name, type: 'province', number: province.number },
+        geometry: toGeometry(mergeRings(ringsOf(districts.filter(d => d.province === province.number).map(d => d.name))))
+    }));
+
+    const countryFeature = {
+        type: 'Feature',
+        properties: { name: 'Nepal', type: 'country' },
+        geometry: toGeometry(mergeRings(parts.map(part => part.ring)))
+    };
+
+    return {
+        type: 'FeatureCollection',
+        features: [countryFeature, ...provinceFeatures, ...districtFeatures],
+        metadata: {
+            approximate: false,
+            source: 'nepal-geojson (https://github.com/Acesmndr/nepal-geojson)',
+            license: 'MIT, Copyright (c) 2018 Aashish Manandhar',
+            simplifyTolerance: tolerance,
+            generatedBy: 'scripts/generate-boundaries.js'
+        }
+    };
+}
+
+if (require.main === module) {
+    const [sourcePath, tolerance] = process.argv.slice(2);
+    if (!sourcePath) {
+        console.error('Usage: node scripts/generate-boundaries.js <districts.geojson> [tolerance]');
+        process.exit(1);
+    }
+
+    const source = JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
+    const boundaries = generateBoundaries(source, tolerance ? Number(tolerance) : DEFAULT_TOLERANCE);
+    const outputPath = path.join(__dirname, '../data/boundaries.json');
+    const json = JSON.stringify(boundaries, null, 2)
+        // One coordinate pair per line keeps the file readable and diffable
+        .replace(/\[\s+(-?[\d.]+),\s+(-?[\d.]+)\s+\]/g, '[$1, $2]');
+    fs.writeFileSync(outputPath, json + '\n');
+    console.log(`Wrote ${boundaries.features.length} boundaries to ${path.relative(process.cwd(), outputPath)}`);
+}
+
+module.exports = { generateBoundaries };
@@ -0,0 +1,85 @@
+/**
+ * Version stamp for data/postal-data.json
+ *
+ * The metadata block records the data version (semver: major = post offices removed or recoded, minor = added
+ * or renamed, patch = spelling and type fixes), where the data came from, when it was retrieved, and a checksum
+ * of the records. Run this after editing the data; the build fails while the checksum is stale.
+ *
+ * Usage:
+ *   node scripts/stamp-data.js                                  check the stored checksum
+ *   node scripts/stamp-data.js <major|minor|patch> [--retrieved YYYY-MM-DD] [--source "Nepal Postal Service"]
+ *                                                               bump the version and refresh the checksum
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDatasetInfo } = require('../lib/dataset');
+
+const DATA_PATH = path.join(__dirname, '../data/postal-data.json');
+const BUMPS = ['major', 'minor', 'patch'];
+
+/**
+ * Next semantic version
+ * @param {string|null} version - Current version, e.g. '1.2.3' (null counts as 0.0.0)
+ * @param {string} bump - 'major', 'minor' or 'patch'
+ * @returns {string} Bumped version
+ */
+function bumpVersion(version, bump) {
+    const [major, minor, patch] = (version || '0.0.0').split('+')[0].split('.').map(Number);
+    switch (bump) {
+        case 'major':
+            return `${major + 1}.0.0`;
+        case 'minor':
+            return `${major}.${minor + 1}.0`;
+        case 'patch':
+            return `${major}.${minor}.${patch + 1}`;
+        default:
+            throw new Error(`Unknown version bump: ${bump} (use ${BUMPS.join(', ')})`);
+    }
+}
+
+/**
+ * Bump the version of a postal data object and refresh its metadata
+ * @param {Object} data - { postal_data, metadata }
+ * @param {Object} options - { bump: 'minor', retrieved: '2025-06-26', source, now: Date }
+ * @returns {Object} The same object with new metadata
+ */
+function stampData(data, options) {
+    const info = getDatasetInfo(data);
+    const previous = data.metadata || {};
+
+    data.metadata = {
+        dataVersion: bumpVersion(info.version, options.bump),
+        totalRecords: info.totalRecords,
+        source: options.source || previous.source || null,
+        retrievedAt: options.retrieved || previous.retrievedAt || null,
+        lastUpdated: (options.now || new Date()).toISOString(),
+        checksum: info.checksum
+    };
+    return data;
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = name => {
+        const index = args.indexOf(`--${name}`);
+        return index === -1 ? undefined : args[index + 1];
+    };
+    const bump = args.find(arg => BUMPS.includes(arg));
+    const data = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
+
+    if (!bump) {
+        const info = getDatasetInfo(data);
+        console.log(`Postal data ${info.version || '(unversioned)'}: ${info.totalRecords} post offices, ${info.checksum}`);
+        if (info.verified !== true) {
+            console.error('Checksum is missing or stale; run node scripts/stamp-data.js <major|minor|patch>');
+            process.exitCode = 1;
+        }
+    } else {
+        stampData(data, { bump, retrieved: option('retrieved'), source: option('source') });
+        fs.writeFileSync(DATA_PATH, JSON.stringify(data, null, 2));
+        console.log(`Stamped postal data ${data.metadata.dataVersion} (${data.metadata.checksum})`);
+    }
+}
+
+module.exports = { bumpVersion, stampData };